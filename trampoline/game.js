@@ -1,227 +1,163 @@
 // Trampoline Game Prototype
 // Game mechanics prototyping with Pixi.js
+//
+// The rules live in sim/ and run without a browser (see Simulation); this
+// adds the Pixi view, the level editor, the panels and saving to the page.
 
-class Catfox extends PIXI.Sprite {
-  constructor(renderer, x, y, type = 'solid') {
-        // Create a simple player sprite (colored rectangle)
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0xFF6B6B); // Red color
-        graphics.drawRect(0, 0, 40, 40);
-        graphics.endFill();
+import {
+    SIMULATION_HZ, FIXED_TIMESTEP_MS, MAX_FRAME_MS, PLAYER_COLORS, MAX_PLAYERS, MIN_PLATFORM_SIZE
+} from './sim/constants.js';
+import { Rectangle } from './sim/geometry.js';
+import { Utils } from './sim/utils.js';
+import {
+    Trampoline, SolidPlatform, Star, Checkpoint, PlayerStart, DeathPlatform, MovingPlatform,
+    CrumblingPlatform, OneWayPlatform, DoorPlatform, SpawnPlatform, PressurePlate, HitSwitch, StarGate
+} from './sim/platforms.js';
+import { Walker, Bouncer, ProjectileEmitter } from './sim/enemies.js';
+import { LEVEL_FORMAT_VERSION, LevelFormat } from './sim/levelFormat.js';
+import { Simulation } from './sim/simulation.js';
+import { describeTrampolineKind } from './sim/inventory.js';
+import {
+    KEYBOARD_LAYOUT_NAMES, InputBindings, isTextEntry, KeyboardState, KeyboardController, GamepadController, BindingsPanel
+} from './input.js';
+import { PhysicsTuning, TuningPanel } from './physics.js';
+import { InventoryPanel } from './inventory.js';
+import { NetworkSession, LobbyPanel } from './network.js';
+import { ReplayRecorder, ReplayPlayer, ReplayPanel } from './replay.js';
+import { GhostRace } from './ghost.js';
+import {
+    PlaceCommand, EraseCommand, MoveCommand, PropertyCommand, WorldBoundsCommand, LevelPhysicsCommand,
+    StarRuleCommand, CompoundCommand, EditorHistory
+} from './history.js';
+import { EditorSnapping } from './snapping.js';
+import { LevelCheck } from './levelCheck.js';
+import { WorldView } from './view.js';
+import { Dialog, downloadJSON } from './ui.js';
 
-        super(renderer.generateTexture(graphics));
-        this.x = 100;
-        this.y = 100;
-        this.anchor.set(0.5);
-        
-        // physics properties
-        this.vx = 0; // Velocity X
-        this.vy = 0; // Velocity Y
-        this.onGround = false;
-        this.speed = 5;
-    }
-
-    isStandingOn(target) {
-        const playerBounds = this.getBounds();
-        return playerBounds.x < target.x + target.width &&
-               playerBounds.x + playerBounds.width > target.x &&
-               playerBounds.y + playerBounds.height < target.y + target.height &&
-               playerBounds.y + playerBounds.height > target.y;
-    }
+// Steps before the results screen accepts input, so a held jump doesn't skip it
+const RESULTS_INPUT_DELAY_TICKS = SIMULATION_HZ / 2;
 
-    isIntersecting(target) {
-        const playerBounds = this.getBounds();
-        return playerBounds.x < target.x + target.width &&
-               playerBounds.x + playerBounds.width > target.x &&
-               playerBounds.y < target.y + target.height &&
-               playerBounds.y + playerBounds.height > target.y;
+// Scrolls the world container to follow the players. Tracks the centroid
+// of its targets with a deadzone (the focus can move freely inside it
+// before the camera moves) and looks ahead in the direction of travel.
+class Camera {
+    constructor(viewWidth, viewHeight, options = {}) {
+        this.x = 0; // Top-left of the view in world coordinates
+        this.y = 0;
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+        this.bounds = { width: viewWidth, height: viewHeight };
+        this.deadzone = options.deadzone || { width: 160, height: 120 };
+        this.lookAhead = options.lookAhead ?? 80; // Pixels ahead of the movement direction
+        this.smoothing = options.smoothing ?? 0.1; // Fraction of the distance covered per 60Hz frame
+        this.lookAheadOffset = 0;
     }
-}
-
-// Platform base class
-class Platform extends PIXI.Sprite {
-    constructor(x, y, type = 'solid') {
-        // Create a temporary 1x1 texture to avoid null texture error
-        const tempTexture = PIXI.Texture.WHITE;
-        super(tempTexture);
-        this.x = x;
-        this.y = y;
-        this.anchor.set(0.5);
-        this.platformType = type;
-        this.originalScale = { x: 1, y: 1 };
-        this._graphics = null; // Will store graphics for texture generation
-        this.wantsRemoval = false;
-    }
-    
-    initTexture(renderer) {
-        if (this._graphics) {
-            this.texture = renderer.generateTexture(this._graphics);
-            this._graphics = null; // Clean up graphics object
-        }
+    
+    setBounds(bounds) {
+        this.bounds = bounds;
+        this.clamp();
     }
-}
-
-// Trampoline class
-class Trampoline extends Platform {
-    constructor(x, y, bounceForce = -20, ttl = -1) {
-        super(x, y, 'trampoline');
-        this.bounceForce = bounceForce;
-        this.ttl = ttl;
-        // Create graphics for this trampoline
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0x4ECDC4); // Teal color
-        graphics.drawRoundedRect(0, 0, 120, 20, 10);
-        graphics.endFill();
-        this._graphics = graphics;
+    
+    getFocus(targets) {
+        const x = targets.reduce((sum, t) => sum + t.x, 0) / targets.length;
+        const y = targets.reduce((sum, t) => sum + t.y, 0) / targets.length;
+        return { x, y };
     }
-
-    onPlayerCollision(player) {
-        player.vy = this.bounceForce;
-        player.y = this.getBounds().y - player.height / 2;
-        this.playBounceAnimation();
-        this.ttl--;
-        if (this.ttl === 0) {
-            this.wantsRemoval = true;
+    
+    update(targets, frameMs) {
+        if (targets.length === 0) return;
+        
+        const focus = this.getFocus(targets);
+        const t = 1 - Math.pow(1 - this.smoothing, frameMs / (1000 / 60));
+        
+        // Ease the look-ahead toward the average movement direction
+        const vx = targets.reduce((sum, target) => sum + target.vx, 0) / targets.length;
+        const lookAheadTarget = Math.abs(vx) > 0.5 ? Math.sign(vx) * this.lookAhead : this.lookAheadOffset;
+        this.lookAheadOffset = Utils.lerp(this.lookAheadOffset, lookAheadTarget, t);
+        focus.x += this.lookAheadOffset;
+        
+        // Only move when the focus leaves the deadzone around the view center
+        const centerX = this.x + this.viewWidth / 2;
+        const centerY = this.y + this.viewHeight / 2;
+        const halfDeadzoneX = this.deadzone.width / 2;
+        const halfDeadzoneY = this.deadzone.height / 2;
+        let targetX = centerX;
+        let targetY = centerY;
+        if (focus.x > centerX + halfDeadzoneX) {
+            targetX = focus.x - halfDeadzoneX;
+        } else if (focus.x < centerX - halfDeadzoneX) {
+            targetX = focus.x + halfDeadzoneX;
+        }
+        if (focus.y > centerY + halfDeadzoneY) {
+            targetY = focus.y - halfDeadzoneY;
+        } else if (focus.y < centerY - halfDeadzoneY) {
+            targetY = focus.y + halfDeadzoneY;
         }
+        
+        this.x = Utils.lerp(this.x, targetX - this.viewWidth / 2, t);
+        this.y = Utils.lerp(this.y, targetY - this.viewHeight / 2, t);
+        this.clamp();
     }
-
-    playBounceAnimation() {
-        this.scale.set(1.2, 0.8);
-        setTimeout(() => {
-            this.scale.set(this.originalScale.x, this.originalScale.y);
-        }, 100);
+    
+    // Jump straight to the targets, e.g. after loading a level
+    snapTo(targets) {
+        this.lookAheadOffset = 0;
+        if (targets.length > 0) {
+            const focus = this.getFocus(targets);
+            this.x = focus.x - this.viewWidth / 2;
+            this.y = focus.y - this.viewHeight / 2;
+        }
+        this.clamp();
     }
-}
-
-// Solid Platform class
-class SolidPlatform extends Platform {
-    constructor(x, y, width = 120, height = 20) {
-        super(x, y, 'solid');
-        this.platformWidth = width;
-        this.platformHeight = height;
-        
-        // Create graphics for this platform
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0x8B4513); // Brown color
-        graphics.drawRect(0, 0, width, height);
-        graphics.endFill();
-        this._graphics = graphics;
+    
+    pan(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.clamp();
     }
-
-    onPlayerCollision(player) {
-        // Solid platform - stop falling
-        player.vy = 0;
-        player.y = this.getBounds().y - player.height / 2;
-        player.onGround = true;
-    }    
-}
-
-// Star (goal) class
-class Star extends Platform {
-    constructor(x, y) {
-        super(x, y, 'star');
-        
-        // Create star graphics
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0xFFD700); // Gold color
-        // Draw a simple 5-pointed star
-        const points = [];
-        for (let i = 0; i < 10; i++) {
-            const angle = (i * Math.PI) / 5;
-            const radius = i % 2 === 0 ? 15 : 8;
-            points.push(Math.cos(angle) * radius + 15, Math.sin(angle) * radius + 15);
-        }
-        graphics.drawPolygon(points);
-        graphics.endFill();
-        this._graphics = graphics;
-        this.collected = false;
-    }
-    
-    onPlayerCollision(player) {
-        if (!this.collected) {
-            this.collected = true;
-            this.alpha = 0.5; // Make it semi-transparent when collected
-            console.log('Star collected!');
-        }
+    
+    // Keep the view inside the world
+    clamp() {
+        this.x = Utils.clamp(this.x, 0, Math.max(0, this.bounds.width - this.viewWidth));
+        this.y = Utils.clamp(this.y, 0, Math.max(0, this.bounds.height - this.viewHeight));
     }
-}
-
-// Player Start Position class
-class PlayerStart extends Platform {
-    constructor(x, y) {
-        super(x, y, 'playerStart');
-        
-        // Create player start marker graphics
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0x00FF00); // Green color
-        graphics.drawCircle(15, 15, 12);
-        graphics.endFill();
-        graphics.beginFill(0xFFFFFF); // White center
-        graphics.drawCircle(15, 15, 8);
-        graphics.endFill();
-        this._graphics = graphics;
-    }
-    
-    onPlayerCollision(player) {
-        // Player start positions don't affect player physics
-        return;
+    
+    apply(container) {
+        container.x = -Math.round(this.x);
+        container.y = -Math.round(this.y);
     }
-}
-
-// Death Platform class
-class DeathPlatform extends Platform {
-    constructor(x, y, width = 120, height = 20) {
-        super(x, y, 'death');
-        this.platformWidth = width;
-        this.platformHeight = height;
-        
-        // Create graphics for this platform - spiky red platform
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0xFF0000); // Red color
-        graphics.drawRect(0, 0, width, height);
-        graphics.endFill();
-        
-        // Add spikes on top
-        graphics.beginFill(0xAA0000); // Darker red for spikes
-        for (let i = 0; i < width; i += 10) {
-            graphics.drawPolygon([
-                i, 0,
-                i + 5, -8,
-                i + 10, 0
-            ]);
-        }
-        graphics.endFill();
-        this._graphics = graphics;
-    }
-    
-    onPlayerCollision(player) {
-        // Death platform - reset player to start position
-        console.log('Player hit death platform - resetting!');
-        // Trigger reset through the game instance
-        // We'll need to pass the game reference or trigger reset differently
-        this.triggerReset = true;
+    
+    screenToWorld(x, y) {
+        return { x: x + this.x, y: y + this.y };
     }
 }
 
-class Game {
+class Game extends Simulation {
     constructor() {
+        super(new PhysicsTuning()); // Tunable rules: gravity, jump force, ...
         this.app = null;
-        this.player = null;
-        this.platforms = []; // Array to hold all platforms
-        this.stars = []; // Array to hold star objects
-        this.playerStartPos = { x: 100, y: 100 }; // Default start position
-        this.gravity = 0.4;
-        this.jumpForce = -10;
-        this.keys = {};
-        this.lastKeys = {}; // For detecting one-time key presses
-        this.gamepad = null;
-        this.lastGamepadButtons = {};
-        this.gamepadDeadzone = 0.3; // Threshold for analog stick movement
-        this.lastTime = 0;
+        this.view = null; // Sprites for the players and the level, see view.js
+        this.world = null; // Container for everything that scrolls with the camera
+        this.camera = null;
+        this.tuningPanel = null;
+        this.inventoryPanel = null;
+        this.inputBindings = null;
+        this.keyboardState = null;
+        this.keyboardControllers = {}; // One KeyboardController per layout
+        this.bindingsPanel = null;
+        this.network = new NetworkSession(this); // Online co-op, see network.js
+        this.lobbyPanel = null;
+        this.replayPlayer = new ReplayPlayer(this); // Input recording and replays, see replay.js
+        this.replayRecorder = new ReplayRecorder(this);
+        this.replayPanel = null;
+        this.ghostRace = new GhostRace(this); // Racing the best run, see ghost.js
+        this.accumulator = 0; // Unsimulated time in ms
         this.fpsCounter = 0;
         this.fpsTimer = 0;
         this.levelEditor = null;
         this.currentLevelName = null;
+        this.levelModified = false; // Unsaved editor changes in the current level
+        this.startRun();
         
         this.init().catch(console.error);
     }
@@ -241,21 +177,37 @@ class Game {
         // Add canvas to the game area
         document.getElementById('gameArea').appendChild(this.app.canvas);
         
-        // Set up keyboard input
-        this.setupInput();
+        // Everything in the level lives in the world container, which the camera scrolls
+        this.view = new WorldView(this, this.app.renderer);
+        this.world = this.view.world;
+        this.app.stage.addChild(this.world);
+        this.camera = new Camera(this.app.screen.width, this.app.screen.height);
         
-        // Create game objects
-        this.player = new Catfox(this.app.renderer,100, 100);
-        this.app.stage.addChild(this.player);
-
-        this.createGround();
+        this.view.setWorldBounds(this.worldBounds);
+        
+        // Set up keyboard and gamepad input (adds the players)
+        this.setupInput();
         
         // Initialize level editor
         this.levelEditor = new LevelEditor(this);
         await this.levelEditor.setupEditor();
         
         // Setup level management UI
+        this.migrateSavedLevels();
         this.setupLevelManagement();
+        this.setupResultsScreen();
+        
+        // Online co-op lobby
+        this.lobbyPanel = new LobbyPanel(this.network);
+        document.getElementById('onlineBtn').addEventListener('click', () => {
+            this.lobbyPanel.toggle();
+        });
+        
+        // Replays of the current and last attempt
+        this.replayPanel = new ReplayPanel(this);
+        document.getElementById('replayBtn').addEventListener('click', () => {
+            this.replayPanel.toggle();
+        });
         
         // Load initial level
         await this.loadInitialLevel();
@@ -267,27 +219,38 @@ class Game {
     }
     
     setupInput() {
-        // Key event listeners
-        window.addEventListener('keydown', (e) => {
-            this.keys[e.code] = true;
+        this.inputBindings = new InputBindings();
+        this.keyboardState = new KeyboardState();
+        Object.keys(KEYBOARD_LAYOUT_NAMES).forEach(layout => {
+            this.keyboardControllers[layout] = new KeyboardController(this.inputBindings, this.keyboardState, layout);
+        });
+        
+        // Rebinding UI
+        this.bindingsPanel = new BindingsPanel(this.inputBindings, this.keyboardState);
+        document.getElementById('controlsBtn').addEventListener('click', () => {
+            this.bindingsPanel.toggle();
         });
         
-        window.addEventListener('keyup', (e) => {
-            this.keys[e.code] = false;
+        // Physics tuning UI
+        this.tuningPanel = new TuningPanel(this.physics, this);
+        document.getElementById('tuningBtn').addEventListener('click', () => {
+            this.tuningPanel.toggle();
         });
         
-        // Gamepad event listeners
+        // Player one is always on the WASD half of the keyboard
+        this.addPlayer(this.keyboardControllers.wasd);
+        
+        // Gamepad event listeners: every pad gets its own player
         window.addEventListener('gamepadconnected', (e) => {
             console.log(`Gamepad connected: ${e.gamepad.id}`);
-            this.gamepad = e.gamepad;
-            this.updateGamepadStatus();
+            this.addGamepadPlayer(e.gamepad);
         });
         
         window.addEventListener('gamepaddisconnected', (e) => {
             console.log(`Gamepad disconnected: ${e.gamepad.id}`);
-            if (this.gamepad && this.gamepad.index === e.gamepad.index) {
-                this.gamepad = null;
-                this.updateGamepadStatus();
+            const player = this.findGamepadPlayer(e.gamepad.index);
+            if (player) {
+                this.removePlayer(player);
             }
         });
         
@@ -295,279 +258,311 @@ class Game {
         this.checkForGamepads();
     }
     
-    updateGamepadStatus() {
-        const statusElement = document.getElementById('gamepadStatus');
-        if (this.gamepad) {
-            // Truncate gamepad name if too long
-            let name = this.gamepad.id;
-            if (name.length > 30) {
-                name = name.substring(0, 27) + '...';
-            }
-            statusElement.textContent = `Gamepad: ${name}`;
-        } else {
-            statusElement.textContent = 'Gamepad: Not connected';
+    // Also lists the player in the status panel
+    addPlayer(controller, playerIndex) {
+        const player = super.addPlayer(controller, playerIndex);
+        if (player) {
+            this.updatePlayerStatus();
         }
+        return player;
+    }
+    
+    removePlayer(player) {
+        super.removePlayer(player);
+        this.updatePlayerStatus();
+    }
+    
+    addGamepadPlayer(gamepad) {
+        // Online clients play with one keyboard player (see NetworkSession),
+        // and a replay being watched has its own players
+        if (this.findGamepadPlayer(gamepad.index) || this.network.isClient() || this.replayPlayer.isActive()) return;
+        this.addPlayer(new GamepadController(this.inputBindings, gamepad.index));
+    }
+    
+    findGamepadPlayer(gamepadIndex) {
+        return this.players.find(p => p.controller.device === 'gamepad' && p.controller.gamepadIndex === gamepadIndex);
+    }
+    
+    findKeyboardPlayer(layout) {
+        return this.players.find(p => p.controller === this.keyboardControllers[layout]);
+    }
+    
+    updatePlayerStatus() {
+        const statusElement = document.getElementById('playerStatus');
+        statusElement.innerHTML = '';
+        this.players.forEach(player => {
+            const line = document.createElement('div');
+            line.style.color = '#' + PLAYER_COLORS[player.playerIndex].toString(16).padStart(6, '0');
+            line.textContent = `P${player.playerIndex + 1}: ${player.controller.describe()}`;
+            statusElement.appendChild(line);
+        });
     }
     
     checkForGamepads() {
         const gamepads = navigator.getGamepads();
         for (let i = 0; i < gamepads.length; i++) {
             if (gamepads[i]) {
-                this.gamepad = gamepads[i];
-                console.log(`Found existing gamepad: ${this.gamepad.id}`);
-                this.updateGamepadStatus();
-                break;
+                console.log(`Found existing gamepad: ${gamepads[i].id}`);
+                this.addGamepadPlayer(gamepads[i]);
             }
         }
     }
     
-    updateGamepadInput() {
-        if (!this.gamepad) return;
-        
-        // Get the latest gamepad state
-        const gamepads = navigator.getGamepads();
-        this.gamepad = gamepads[this.gamepad.index];
-        
-        if (!this.gamepad) return;
-        
-        // Store current button states for edge detection
-        const currentButtons = {};
-        for (let i = 0; i < this.gamepad.buttons.length; i++) {
-            currentButtons[i] = this.gamepad.buttons[i].pressed;
-        }
-        
-        // Handle gamepad input in handleInput method
-        this.currentGamepadButtons = currentButtons;
+    // Every controller that can issue commands: both keyboard halves
+    // (joined or not) plus the gamepads, online players and replays driving players
+    getControllers() {
+        const otherControllers = this.players
+            .map(p => p.controller)
+            .filter(c => c.device === 'gamepad' || c.device === 'remote' || c.device === 'replay');
+        return [...Object.values(this.keyboardControllers), ...otherControllers];
     }
-
-
     
-    // Method to add a new platform at runtime
-    addPlatform(platform) {
-        platform.initTexture(this.app.renderer);
-        this.platforms.push(platform);
-        this.app.stage.addChild(platform);
+    isEditing() {
+        return this.levelEditor.isEnabled;
     }
     
-    // Method to remove a platform at runtime
-    removePlatform(index) {
-        if (index >= 0 && index < this.platforms.length) {
-            const platform = this.platforms[index];
-            this.app.stage.removeChild(platform);
-            this.platforms.splice(index, 1);
-            return platform;
-        }
-        return null;
+    isNetworkClient() {
+        return this.network.isClient();
     }
     
-    // Method to remove platform by reference
-    removePlatformByRef(platform) {
-        const index = this.platforms.indexOf(platform);
-        if (index !== -1) {
-            return this.removePlatform(index);
+    // The arrow keys half of the keyboard joins as soon as it is used
+    handleJoins() {
+        if (this.keyboardControllers.arrows.isAnyActionDown() && !this.findKeyboardPlayer('arrows')) {
+            this.addPlayer(this.keyboardControllers.arrows);
         }
-        return null;
     }
     
-    createGround() {
-        // Create ground
-        const graphics = new PIXI.Graphics();
-        graphics.beginFill(0x45B7D1); // Blue ground
-        graphics.drawRect(0, 0, this.app.screen.width, 100);
-        graphics.endFill();
-        
-        this.ground = new PIXI.Sprite(this.app.renderer.generateTexture(graphics));
-        this.ground.y = this.app.screen.height - 100;
-        
-        this.app.stage.addChild(this.ground);
+    onRunTick() {
+        this.ghostRace.update();
     }
     
-    handleInput() {
-        // Update gamepad state
-        this.updateGamepadInput();
-        
-        // Get input states from both keyboard and gamepad
-        const moveLeft = this.keys['KeyA'] || this.keys['ArrowLeft'] || this.getGamepadAxisLeft();
-        const moveRight = this.keys['KeyD'] || this.keys['ArrowRight'] || this.getGamepadAxisRight();
-        const jump = (this.keys['KeyW'] || this.keys['ArrowUp'] || this.keys['Space'] || this.getGamepadJump()) && this.player.onGround;
-        
-        // Horizontal movement
-        if (moveLeft) {
-            this.player.vx = -this.player.speed;
-        } else if (moveRight) {
-            this.player.vx = this.player.speed;
-        } else {
-            this.player.vx *= 0.8; // Friction
-        }
-        
-        // Jump
-        if (jump) {
-            this.player.vy = this.jumpForce;
-            this.player.onGround = false;
+    // Tuning panel: store the current values in the level, as an undoable edit
+    setLevelPhysicsFromTuning() {
+        this.levelEditor.execute(new LevelPhysicsCommand(this, this.levelPhysics, this.physics.toLevelData()));
+    }
+    
+    clearLevelPhysics() {
+        if (this.levelPhysics) {
+            this.levelEditor.execute(new LevelPhysicsCommand(this, this.levelPhysics, null));
         }
-        
-        // Platform manipulation (one-time key presses)
-        this.handlePlatformControls();
     }
     
-    getGamepadAxisLeft() {
-        if (!this.gamepad) return false;
-        const leftStickX = this.gamepad.axes[0];
-        const dpadLeft = this.gamepad.buttons[14]?.pressed;
-        return leftStickX < -this.gamepadDeadzone || dpadLeft;
+    // Changes the level's trampoline budget (null = unlimited) and refills it
+    setLevelInventory(inventory) {
+        super.setLevelInventory(inventory);
+        if (this.inventoryPanel) {
+            this.inventoryPanel.render();
+        }
     }
     
-    getGamepadAxisRight() {
-        if (!this.gamepad) return false;
-        const leftStickX = this.gamepad.axes[0];
-        const dpadRight = this.gamepad.buttons[15]?.pressed;
-        return leftStickX > this.gamepadDeadzone || dpadRight;
+    setKeepStarsOnDeath(keep) {
+        super.setKeepStarsOnDeath(keep);
+        const button = document.getElementById('starRuleBtn');
+        button.textContent = keep ? 'Stars: kept on death' : 'Stars: lost on death';
     }
     
-    getGamepadJump() {
-        if (!this.gamepad) return false;
-        // A button (0), B button (1), or dpad up (12)
-        return this.gamepad.buttons[0]?.pressed || 
-               this.gamepad.buttons[1]?.pressed || 
-               this.gamepad.buttons[12]?.pressed;
+    setWorldBounds(bounds) {
+        super.setWorldBounds(bounds);
+        this.camera.setBounds(this.worldBounds);
+        this.view.setWorldBounds(this.worldBounds);
     }
     
     handlePlatformControls() {
-        // Get gamepad button states for one-time presses
-        const addTrampolinePressed = this.keys['KeyT'] && !this.lastKeys['KeyT']
-        
-        // Add trampoline at random position
-        if (addTrampolinePressed) {
-            const x = this.player.x + this.player.vx * 10;
-            const y = this.player.y + this.player.height * 2;
-            const bounceForce = -15;
-            const maxBounces = 1;
-            this.addPlatform(new Trampoline(x, y, bounceForce, maxBounces));
-            console.log(`Added trampoline at (${Math.round(x)}, ${Math.round(y)}) with bounce force ${bounceForce}`);
-        }
-        
         // Toggle level editor
-        const toggleEditorPressed = (this.keys['KeyE'] && !this.lastKeys['KeyE']) ||
-                                   this.getGamepadButtonPressed(8); // Select button
-        
-        if (toggleEditorPressed) {
+        if (this.getControllers().some(c => c.wasPressed('toggleEditor'))) {
             this.levelEditor.toggle();
         }
         
-        // Reset player to start position
-        const resetPressed = this.keys['KeyR'] && !this.lastKeys['KeyR']
-
-        if (resetPressed) {
+        super.handlePlatformControls();
+    }
+    
+    resetGame() {
+        super.resetGame();
+        this.camera.snapTo(this.players);
+    }
+    
+    // Also closes the results and starts recording the attempt
+    startRun() {
+        super.startRun();
+        this.hideResults();
+        this.replayRecorder.start();
+        this.ghostRace.startRun();
+    }
+    
+    // Records the time and shows the results
+    completeLevel() {
+        super.completeLevel();
+        // A replay only plays the finish back
+        if (this.replayPlayer.isActive()) return;
+        const timeMs = this.run.ticks * FIXED_TIMESTEP_MS;
+        // Levels that were never saved have nowhere to keep a record
+        const previousBest = this.currentLevelName ? this.recordCompletion(this.currentLevelName, timeMs) : null;
+        const newGhost = this.currentLevelName ? this.ghostRace.finishRun(this.currentLevelName, timeMs) : false;
+        console.log(`Level "${this.currentLevelName || 'Untitled'}" complete in ${Utils.formatTime(timeMs)}`);
+        this.showResults(timeMs, previousBest, newGhost);
+    }
+    
+    // While the results are up, jump moves on to the next level and reset
+    // replays this one
+    handleResultsInput() {
+        const controllers = this.getControllers();
+        controllers.forEach(controller => controller.update());
+        
+        this.run.resultsTicks++;
+        if (this.run.resultsTicks < RESULTS_INPUT_DELAY_TICKS || Dialog.isOpen) return;
+        
+        if (controllers.some(c => c.wasPressed('jump'))) {
+            this.advanceToNextLevel();
+        } else if (controllers.some(c => c.wasPressed('reset'))) {
             this.resetGame();
         }
-
-        // Store current key states for next frame
-        this.lastKeys = { ...this.keys };
-        this.lastGamepadButtons = { ...this.currentGamepadButtons };
     }
     
-    getGamepadButtonPressed(buttonIndex) {
-        if (!this.gamepad || !this.currentGamepadButtons) return false;
-        return this.currentGamepadButtons[buttonIndex] && !this.lastGamepadButtons[buttonIndex];
+    // The level after the current one in the level list (the playlist),
+    // wrapping round to the first. Null if there are no saved levels.
+    getNextLevelName() {
+        const levels = this.listSavedLevels();
+        if (levels.length === 0) return null;
+        return levels[(levels.indexOf(this.currentLevelName) + 1) % levels.length];
     }
     
-    updatePhysics() {
-        // Apply gravity
-        this.player.vy += this.gravity;
-        
-        // Update position
-        this.player.x += this.player.vx;
-        this.player.y += this.player.vy;
-        
-        // Platform collisions
-        this.checkPlatformCollisions();
-        this.checkPlatformRemovals();
-
-        // Ground collision
-        const groundY = this.app.screen.height - 100 - this.player.height / 2;
-        if (this.player.y >= groundY) {
-            this.player.y = groundY;
-            this.player.vy = 0;
-            this.player.onGround = true;
+    advanceToNextLevel() {
+        const nextLevel = this.getNextLevelName();
+        if (nextLevel) {
+            this.switchToLevel(nextLevel);
+        } else {
+            this.resetGame();
         }
+    }
+    
+    setupResultsScreen() {
+        document.getElementById('resultsNextBtn').addEventListener('click', () => {
+            this.advanceToNextLevel();
+        });
         
-        // Screen boundaries
-        if (this.player.x < this.player.width / 2) {
-            this.player.x = this.player.width / 2;
-        } else if (this.player.x > this.app.screen.width - this.player.width / 2) {
-            this.player.x = this.app.screen.width - this.player.width / 2;
+        document.getElementById('resultsReplayBtn').addEventListener('click', () => {
+            this.resetGame();
+        });
+    }
+    
+    showResults(timeMs, previousBest, newGhost = false) {
+        const levels = this.listSavedLevels();
+        const nextLevel = this.getNextLevelName();
+        const isLastLevel = levels.indexOf(this.currentLevelName) === levels.length - 1;
+        
+        document.getElementById('resultsTitle').textContent = `${this.currentLevelName || 'Level'} complete!`;
+        
+        let bestText = '';
+        if (previousBest === null) {
+            bestText = this.currentLevelName ? 'First clear!' : '';
+        } else if (timeMs < previousBest) {
+            bestText = `New best! (was ${Utils.formatTime(previousBest)})`;
+        } else {
+            bestText = `Best: ${Utils.formatTime(previousBest)}`;
         }
         
-        // Reset if player falls off screen
-        if (this.player.y > this.app.screen.height + 100) {
-            this.resetGame();
+        const stats = document.getElementById('resultsStats');
+        stats.innerHTML = '';
+        [
+            ['Time', Utils.formatTime(timeMs)],
+            ['Deaths', this.run.deaths],
+            ['Bounces', this.run.bounces],
+            ['Best chain', this.run.bestChain]
+        ].forEach(([label, value]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(name);
+            row.appendChild(cell);
+            stats.appendChild(row);
+        });
+        
+        if (newGhost) {
+            bestText += ' Your ghost will race you next time.';
         }
+        document.getElementById('resultsNote').textContent =
+            bestText + (isLastLevel && levels.length > 1 ? ' That was the last level!' : '');
+        document.getElementById('resultsNextBtn').textContent = !nextLevel ? 'Play again (Jump)' :
+            (isLastLevel ? `Back to ${nextLevel} (Jump)` : `Next: ${nextLevel} (Jump)`);
+        document.getElementById('results').style.display = 'block';
     }
     
-    checkPlatformCollisions() {
-        // Check collision with each platform
-        for (let platform of this.platforms) {
-            const platformBounds = platform.getBounds();
-            
-            // Special handling for different platform types
-            if (platform.platformType === 'star') {
-                if (this.player.isIntersecting(platformBounds)) {
-                    platform.onPlayerCollision(this.player);
-                }
-            } else if (platform.platformType === 'death') {
-                // Death platforms trigger on any contact
-                if (this.player.isIntersecting(platformBounds)) {
-                    platform.onPlayerCollision(this.player);
-                    // Check if platform wants to trigger reset
-                    if (platform.triggerReset) {
-                        this.resetGame();
-                        platform.triggerReset = false; // Reset the flag
-                    }
-                }
-            } else if (platform.platformType === 'playerStart') {
-                // Player start positions don't affect physics
-                continue;
-            } else if (this.player.vy > 0) {
-                // Only interact with solid platforms/trampolines when falling
-                if (this.player.isStandingOn(platformBounds)) {
-                    platform.onPlayerCollision(this.player);
-                    break; // Break after first solid collision
-                }
-            }
+    hideResults() {
+        document.getElementById('results').style.display = 'none';
+    }
+    
+    // Stars collected, time so far and the current bounce chain, shown
+    // under the FPS counter
+    updateRunStatus() {
+        const stars = this.platforms.filter(platform => platform.platformType === 'star');
+        const collected = stars.filter(star => star.collected).length;
+        const parts = [];
+        if (stars.length > 0) {
+            parts.push(`★ ${collected}/${stars.length}`, Utils.formatTime(this.run.ticks * FIXED_TIMESTEP_MS));
+        }
+        const chain = Math.max(0, ...this.players.map(player => player.bounceChain));
+        if (chain > 1) {
+            parts.push(`Chain ×${chain}`);
         }
+        document.getElementById('runStatus').textContent = parts.join(' • ');
     }
-
-    checkPlatformRemovals() {
-        // Remove platforms that want to be removed
-        for (let i = this.platforms.length - 1; i >= 0; i--) {
-            const platform = this.platforms[i];
-            if (platform.wantsRemoval) {
-                this.removePlatformByRef(platform);
+    
+    // Trampolines each player has left, with the kind T places marked, and
+    // why the last placement failed. Hidden when trampolines are unlimited.
+    updateInventoryHud() {
+        const kinds = this.getTrampolineKinds();
+        const lines = this.players.map(player => {
+            const parts = [];
+            if (this.inventory.isLimited()) {
+                const kindList = kinds.map((kind, index) => {
+                    const marker = index === Math.min(player.trampolineKind, kinds.length - 1) ? '▸' : '';
+                    return `${marker}${describeTrampolineKind(kind)} ×${this.inventory.getRemaining(player.playerIndex, index)}`;
+                });
+                parts.push(kindList.join(' | ') || 'No trampolines');
             }
+            const message = player.inventoryMessage;
+            if (message && this.tickCount < message.untilTick) {
+                parts.push(message.text);
+            }
+            return parts.length > 0 ? `P${player.playerIndex + 1}: ${parts.join(' — ')}` : '';
+        }).filter(line => line);
+        
+        const hud = document.getElementById('inventoryHud');
+        hud.textContent = lines.join('\n');
+    }
+    
+    // Completion and best time per level name, in localStorage
+    getLevelProgress() {
+        try {
+            return JSON.parse(localStorage.getItem('trampolineProgress')) || {};
+        } catch (error) {
+            console.error('Failed to load level progress:', error);
+            return {};
         }
     }
     
-    resetGame() {
-        // Find player start position or use stored position
-        const startPos = this.platforms.find(p => p.platformType === 'playerStart');
-        if (startPos) {
-            this.player.x = startPos.x;
-            this.player.y = startPos.y;
-        } else {
-            this.player.x = this.playerStartPos.x;
-            this.player.y = this.playerStartPos.y;
-        }
-        this.player.vx = 0;
-        this.player.vy = 0;
-        this.player.onGround = false;
-        
-        // Reset all stars
-        this.platforms.forEach(platform => {
-            if (platform.platformType === 'star') {
-                platform.collected = false;
-                platform.alpha = 1.0;
-            }
-        });
+    setLevelProgress(progress) {
+        try {
+            localStorage.setItem('trampolineProgress', JSON.stringify(progress));
+        } catch (error) {
+            console.error('Failed to save level progress:', error);
+        }
+    }
+    
+    // Marks a level completed and keeps the best time. Returns the previous
+    // best time, or null if the level hadn't been completed before.
+    recordCompletion(levelName, timeMs) {
+        const progress = this.getLevelProgress();
+        const previousBest = progress[levelName] ? progress[levelName].bestTimeMs : null;
+        progress[levelName] = {
+            completed: true,
+            bestTimeMs: previousBest === null ? timeMs : Math.min(previousBest, timeMs)
+        };
+        this.setLevelProgress(progress);
+        this.updateLevelDropdown();
+        return previousBest;
     }
     
     updateFPS(deltaTime) {
@@ -582,39 +577,68 @@ class Game {
         }
     }
     
-    gameLoop(deltaTime) {
-        // Convert deltaTime from frames to milliseconds
-        const dt = deltaTime * 16.67; // Approximate 60fps
+    gameLoop(ticker) {
+        const frameMs = Math.min(ticker.deltaMS, MAX_FRAME_MS);
+        // A replay being watched sets its own pace
+        if (this.replayPlayer.isActive()) {
+            this.replayPlayer.advance(frameMs);
+        } else {
+            this.advanceSimulation(frameMs);
+        }
+        
+        // Render between the last two simulated states
+        this.view.render(this.accumulator / FIXED_TIMESTEP_MS);
+        
+        // The editor pans the camera by hand
+        if (this.levelEditor.isEnabled) {
+            this.levelEditor.updateOverlays();
+        } else {
+            this.camera.update(this.players, frameMs);
+        }
+        this.camera.apply(this.world);
         
-        this.handleInput();
-        this.updatePhysics();
-        this.updateFPS(dt);
+        this.updateFPS(ticker.deltaMS);
+        this.updateRunStatus();
+        this.updateInventoryHud();
+        this.replayPanel.update();
+    }
+    
+    // Simulates in fixed steps so the game runs the same at any refresh rate
+    advanceSimulation(frameMs) {
+        this.accumulator += frameMs;
+        while (this.accumulator >= FIXED_TIMESTEP_MS) {
+            this.fixedUpdate();
+            this.accumulator -= FIXED_TIMESTEP_MS;
+        }
+    }
+    
+    fixedUpdate() {
+        this.savePreviousStates();
+        // Online clients follow the host's game (see network.js); the
+        // level is frozen behind the results screen
+        if (this.network.isClient()) {
+            this.network.updateClient();
+        } else if (this.run.complete) {
+            this.handleResultsInput();
+        } else {
+            this.step();
+            this.replayRecorder.recordStep();
+        }
+        this.tickCount++;
+        this.network.update();
     }
     
-    // Level Save/Load System
     saveLevel(levelName) {
-        const levelData = {
-            name: levelName,
-            platforms: this.platforms.map(platform => {
-                const bounds = platform.getBounds();
-                return {
-                    type: platform.constructor.name,
-                    x: platform.x,
-                    y: platform.y,
-                    width: platform.platformWidth || bounds.width,
-                    height: platform.platformHeight || bounds.height,
-                    bounceForce: platform.bounceForce || null,
-                    collected: platform.collected || false
-                };
-            }),
-            playerStart: this.playerStartPos
-        };
+        const levelData = this.serializeLevel(levelName);
         
         try {
             const savedLevels = this.getSavedLevels();
             savedLevels[levelName] = levelData;
             localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+            this.setLevelOrder(this.listSavedLevels()); // New levels go at the end
+            this.levelEditor.onLevelSaved(this.currentLevelName, levelName);
             this.currentLevelName = levelName;
+            this.setLevelModified(false);
             this.updateLevelDropdown();
             this.setLastUsedLevel(levelName);
             console.log(`Level "${levelName}" saved successfully!`);
@@ -628,80 +652,27 @@ class Game {
     loadLevel(levelName) {
         try {
             const savedLevels = this.getSavedLevels();
-            const levelData = savedLevels[levelName];
             
-            if (!levelData) {
+            if (!savedLevels[levelName]) {
                 console.warn(`Level "${levelName}" not found`);
                 return false;
             }
             
-            // Clear existing platforms
-            this.clearAllPlatforms();
-            
-            // Recreate platforms from saved data
-            levelData.platforms.forEach(platformData => {
-                let platform;
-                
-                switch (platformData.type) {
-                    case 'SolidPlatform':
-                        platform = new SolidPlatform(
-                            platformData.x, 
-                            platformData.y, 
-                            platformData.width || 120, 
-                            platformData.height || 20
-                        );
-                        break;
-                    case 'Trampoline':
-                        platform = new Trampoline(
-                            platformData.x, 
-                            platformData.y, 
-                            platformData.bounceForce || -20
-                        );
-                        break;
-                    case 'Star':
-                        platform = new Star(platformData.x, platformData.y);
-                        if (platformData.collected) {
-                            platform.collected = true;
-                            platform.alpha = 0.5;
-                        }
-                        break;
-                    case 'PlayerStart':
-                        platform = new PlayerStart(platformData.x, platformData.y);
-                        break;
-                    case 'DeathPlatform':
-                        platform = new DeathPlatform(
-                            platformData.x, 
-                            platformData.y, 
-                            platformData.width || 120, 
-                            platformData.height || 20
-                        );
-                        break;
-                    default:
-                        console.warn(`Unknown platform type: ${platformData.type}`);
-                        return;
-                }
-                
-                this.addPlatform(platform);
-            });
-            
-            // Update player start position from PlayerStart platform or saved data
-            const playerStartPlatform = this.platforms.find(p => p.platformType === 'playerStart');
-            if (playerStartPlatform) {
-                this.playerStartPos = { x: playerStartPlatform.x, y: playerStartPlatform.y };
-            } else if (levelData.playerStart) {
-                this.playerStartPos = levelData.playerStart;
+            // Upgrade old formats and drop invalid entries
+            const { level, errors } = LevelFormat.parse(savedLevels[levelName]);
+            if (errors.length > 0) {
+                this.reportLevelErrors(levelName, errors, level !== null);
+            }
+            if (!level) {
+                return false;
             }
             
-            // Move player to start position
-            this.player.x = this.playerStartPos.x;
-            this.player.y = this.playerStartPos.y;
-            this.player.vx = 0;
-            this.player.vy = 0;
-            this.player.onGround = false;
-            
+            this.applyLevelData(level);
             this.currentLevelName = levelName;
+            this.setLevelModified(false);
             this.updateLevelDropdown();
             this.setLastUsedLevel(levelName);
+            this.network.onLevelChanged();
             console.log(`Level "${levelName}" loaded successfully!`);
             return true;
         } catch (error) {
@@ -710,6 +681,52 @@ class Game {
         }
     }
     
+    // Replaces the level with parsed level data and starts a fresh attempt
+    applyLevelData(level) {
+        super.applyLevelData(level);
+        this.camera.snapTo(this.players);
+        this.levelEditor.levelCheck.clear(); // It was for the old level
+    }
+    
+    // Tells the user which parts of a level could not be used
+    reportLevelErrors(levelName, errors, partiallyLoaded) {
+        console.error(`Problems in level "${levelName}":\n` + errors.join('\n'));
+        const shown = errors.slice(0, 10);
+        if (errors.length > shown.length) {
+            shown.push(`...and ${errors.length - shown.length} more (see console)`);
+        }
+        const summary = partiallyLoaded ?
+            `Level "${levelName}" has problems; invalid entries were skipped:` :
+            `Level "${levelName}" could not be loaded:`;
+        alert(summary + '\n\n' + shown.join('\n'));
+    }
+    
+    // Upgrades every level in localStorage to the current format version
+    migrateSavedLevels() {
+        const savedLevels = this.getSavedLevels();
+        let changed = false;
+        
+        Object.entries(savedLevels).forEach(([levelName, levelData]) => {
+            if (levelData && levelData.version === LEVEL_FORMAT_VERSION) return;
+            try {
+                savedLevels[levelName] = LevelFormat.migrate(levelData);
+                changed = true;
+                console.log(`Upgraded level "${levelName}" to format v${LEVEL_FORMAT_VERSION}`);
+            } catch (error) {
+                // Leave it untouched; loadLevel will report the problem
+                console.error(`Could not upgrade level "${levelName}":`, error.message);
+            }
+        });
+        
+        if (changed) {
+            try {
+                localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+            } catch (error) {
+                console.error('Failed to store upgraded levels:', error);
+            }
+        }
+    }
+    
     getSavedLevels() {
         try {
             const saved = localStorage.getItem('trampolineLevels');
@@ -720,12 +737,37 @@ class Game {
         }
     }
     
-    deletLevel(levelName) {
+    // Level names in the order they are listed and played. Stored apart from
+    // the levels because objects list integer-like keys ("1", "10") first,
+    // whatever order they were added in.
+    getLevelOrder() {
+        try {
+            return JSON.parse(localStorage.getItem('trampolineLevelOrder')) || [];
+        } catch (error) {
+            console.error('Failed to get the level order:', error);
+            return [];
+        }
+    }
+    
+    setLevelOrder(names) {
+        try {
+            localStorage.setItem('trampolineLevelOrder', JSON.stringify(names));
+        } catch (error) {
+            console.error('Failed to store the level order:', error);
+        }
+    }
+    
+    deleteLevel(levelName) {
         try {
             const savedLevels = this.getSavedLevels();
             if (savedLevels[levelName]) {
                 delete savedLevels[levelName];
                 localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+                this.setLevelOrder(this.getLevelOrder().filter(name => name !== levelName));
+                const progress = this.getLevelProgress();
+                delete progress[levelName];
+                this.setLevelProgress(progress);
+                this.ghostRace.setGhost(levelName, null);
                 console.log(`Level "${levelName}" deleted successfully!`);
                 return true;
             } else {
@@ -738,71 +780,332 @@ class Game {
         }
     }
     
-    clearAllPlatforms() {
-        // Remove all platforms from stage and clear array
-        this.platforms.forEach(platform => {
-            this.app.stage.removeChild(platform);
-        });
-        this.platforms = [];
+    renameLevel(oldName, newName) {
+        try {
+            const savedLevels = this.getSavedLevels();
+            if (!savedLevels[oldName]) {
+                console.warn(`Level "${oldName}" not found`);
+                return false;
+            }
+            
+            // The level keeps its place in the list
+            const order = this.listSavedLevels().map(name => name === oldName ? newName : name);
+            savedLevels[newName] = { ...savedLevels[oldName], name: newName };
+            delete savedLevels[oldName];
+            localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+            this.setLevelOrder(order);
+            
+            const progress = this.getLevelProgress();
+            if (progress[oldName]) {
+                progress[newName] = progress[oldName];
+                delete progress[oldName];
+                this.setLevelProgress(progress);
+            }
+            this.ghostRace.renameLevel(oldName, newName);
+            console.log(`Level "${oldName}" renamed to "${newName}"`);
+            return true;
+        } catch (error) {
+            console.error('Failed to rename level:', error);
+            return false;
+        }
     }
     
-    listSavedLevels() {
-        const savedLevels = this.getSavedLevels();
-        return Object.keys(savedLevels);
+    // Moves a level up (-1) or down (+1) the level list, which is also the
+    // order levels are played in
+    moveLevel(levelName, offset) {
+        try {
+            const names = this.listSavedLevels();
+            const index = names.indexOf(levelName);
+            const target = index + offset;
+            if (index === -1 || target < 0 || target >= names.length) {
+                return false;
+            }
+            
+            names.splice(index, 1);
+            names.splice(target, 0, levelName);
+            this.setLevelOrder(names);
+            return true;
+        } catch (error) {
+            console.error('Failed to reorder levels:', error);
+            return false;
+        }
     }
     
-    setupLevelManagement() {
-        const levelSelect = document.getElementById('levelSelect');
-        const loadBtn = document.getElementById('loadBtn');
-        const saveBtn = document.getElementById('saveBtn');
-        const saveAsBtn = document.getElementById('saveAsBtn');
-        
-        // Populate level dropdown
-        this.updateLevelDropdown();
-        
-        // Button event listeners
-        loadBtn.addEventListener('click', () => {
-            const selectedLevel = levelSelect.value;
-            if (selectedLevel) {
-                this.loadLevel(selectedLevel);
-            }
-        });
-        
-        saveBtn.addEventListener('click', () => {
-            if (this.currentLevelName) {
-                this.saveLevel(this.currentLevelName);
-            } else {
-                this.saveAsNewLevel();
-            }
-        });
-        
-        saveAsBtn.addEventListener('click', () => {
-            this.saveAsNewLevel();
-        });
-        
-        // Dropdown change listener
-        levelSelect.addEventListener('change', () => {
-            // Auto-load when selection changes (optional)
-            // You can comment this out if you prefer manual loading
-            const selectedLevel = levelSelect.value;
-            if (selectedLevel && selectedLevel !== this.currentLevelName) {
-                this.loadLevel(selectedLevel);
+    duplicateLevel(levelName, copyName) {
+        try {
+            const savedLevels = this.getSavedLevels();
+            if (!savedLevels[levelName]) {
+                console.warn(`Level "${levelName}" not found`);
+                return false;
             }
-        });
+            savedLevels[copyName] = { ...savedLevels[levelName], name: copyName };
+            localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+            console.log(`Level "${levelName}" duplicated as "${copyName}"`);
+            return true;
+        } catch (error) {
+            console.error('Failed to duplicate level:', error);
+            return false;
+        }
+    }
+    
+    // Asks for a level name that isn't taken yet. Returns null if cancelled.
+    promptNewLevelName(message, defaultName = '') {
+        let name = prompt(message, defaultName);
+        while (name !== null) {
+            name = name.trim();
+            if (name && !this.getSavedLevels()[name]) {
+                return name;
+            }
+            name = prompt(name ? `A level named "${name}" already exists. ${message}` : message, name);
+        }
+        return null;
+    }
+    
+    setLevelModified(modified) {
+        this.levelModified = modified;
+        document.getElementById('modifiedIndicator').style.visibility = modified ? 'visible' : 'hidden';
+        document.title = (modified ? '* ' : '') + 'Trampoline Game Prototype';
+    }
+    
+    // Before leaving a level with unsaved changes, lets the user save or
+    // discard them. Resolves to 'clean', 'saved', 'discarded' or, if the
+    // user wants to stay, 'cancelled'.
+    async resolveUnsavedChanges(cancelLabel = 'Cancel') {
+        if (!this.levelModified) return 'clean';
+        
+        const name = this.currentLevelName || 'Untitled';
+        const choice = await Dialog.choose(`Level "${name}" has unsaved changes.`, [
+            { key: 'save', label: 'Save' },
+            { key: 'discard', label: 'Discard' },
+            { key: 'cancel', label: cancelLabel }
+        ], 'cancel');
+        
+        if (choice === 'save') {
+            const saved = this.currentLevelName ? this.saveLevel(this.currentLevelName) : this.saveAsNewLevel();
+            return saved ? 'saved' : 'cancelled';
+        }
+        if (choice === 'discard') {
+            // The history describes the discarded changes
+            this.levelEditor.dropHistory(this.currentLevelName);
+            this.setLevelModified(false);
+            return 'discarded';
+        }
+        return 'cancelled';
+    }
+    
+    // Loads another level, asking about unsaved changes first
+    async switchToLevel(levelName) {
+        if (await this.resolveUnsavedChanges() !== 'cancelled') {
+            this.loadLevel(levelName);
+        }
+        this.updateLevelDropdown();
+    }
+    
+    async deleteCurrentLevel() {
+        const levelName = this.currentLevelName;
+        if (!levelName) return;
+        
+        const choice = await Dialog.choose(`Delete level "${levelName}"? This cannot be undone.`, [
+            { key: 'delete', label: 'Delete' },
+            { key: 'cancel', label: 'Cancel' }
+        ], 'cancel');
+        if (choice !== 'delete' || !this.deleteLevel(levelName)) return;
+        this.levelEditor.dropHistory(levelName);
+        
+        // Move on to another level, or an empty one if none are left
+        this.setLevelModified(false);
+        const remaining = this.listSavedLevels();
+        if (remaining.length > 0) {
+            this.loadLevel(remaining[0]);
+        } else {
+            this.clearAllPlatforms();
+            this.setLevelPhysics(null);
+            this.setLevelInventory(null);
+            this.setKeepStarsOnDeath(false);
+            this.currentLevelName = null;
+            this.resetGame();
+        }
+        this.updateLevelDropdown();
+    }
+    
+    renameCurrentLevel() {
+        const oldName = this.currentLevelName;
+        if (!oldName) return;
+        
+        const newName = this.promptNewLevelName('Rename level to:', oldName);
+        if (newName && this.renameLevel(oldName, newName)) {
+            this.levelEditor.moveHistory(oldName, newName);
+            this.currentLevelName = newName;
+            this.setLastUsedLevel(newName);
+            this.updateLevelDropdown();
+        }
+    }
+    
+    duplicateCurrentLevel() {
+        const levelName = this.currentLevelName;
+        if (!levelName) return;
+        
+        const copyName = this.promptNewLevelName('Name for the copy:', `${levelName} copy`);
+        if (copyName && this.duplicateLevel(levelName, copyName)) {
+            this.updateLevelDropdown();
+        }
+    }
+    
+    clearAllPlatforms() {
+        super.clearAllPlatforms();
+        // Ids are reused by the next level
+        this.levelEditor.clearSelection();
+    }
+    
+    // Saved level names in play order. Levels missing from the stored order
+    // (saved before it was kept, imported or duplicated) go at the end.
+    listSavedLevels() {
+        const names = Object.keys(this.getSavedLevels());
+        const ordered = this.getLevelOrder().filter(name => names.includes(name));
+        return [...new Set([...ordered, ...names])];
+    }
+    
+    setupLevelManagement() {
+        const levelSelect = document.getElementById('levelSelect');
+        const loadBtn = document.getElementById('loadBtn');
+        const saveBtn = document.getElementById('saveBtn');
+        const saveAsBtn = document.getElementById('saveAsBtn');
+        const sizeBtn = document.getElementById('sizeBtn');
+        const inventoryBtn = document.getElementById('inventoryBtn');
+        const starRuleBtn = document.getElementById('starRuleBtn');
+        const exportBtn = document.getElementById('exportBtn');
+        const exportAllBtn = document.getElementById('exportAllBtn');
+        const importBtn = document.getElementById('importBtn');
+        const importFile = document.getElementById('importFile');
+        const renameBtn = document.getElementById('renameBtn');
+        const duplicateBtn = document.getElementById('duplicateBtn');
+        const deleteBtn = document.getElementById('deleteBtn');
+        const moveUpBtn = document.getElementById('moveUpBtn');
+        const moveDownBtn = document.getElementById('moveDownBtn');
+        
+        // Populate level dropdown
+        this.updateLevelDropdown();
+        
+        // Button event listeners
+        loadBtn.addEventListener('click', () => {
+            const selectedLevel = levelSelect.value;
+            if (selectedLevel) {
+                this.switchToLevel(selectedLevel);
+            }
+        });
+        
+        saveBtn.addEventListener('click', () => {
+            if (this.currentLevelName) {
+                this.saveLevel(this.currentLevelName);
+            } else {
+                this.saveAsNewLevel();
+            }
+        });
+        
+        saveAsBtn.addEventListener('click', () => {
+            this.saveAsNewLevel();
+        });
+        
+        sizeBtn.addEventListener('click', () => {
+            this.promptWorldSize();
+        });
+        
+        this.inventoryPanel = new InventoryPanel(this);
+        inventoryBtn.addEventListener('click', () => {
+            this.inventoryPanel.toggle();
+        });
+        
+        starRuleBtn.addEventListener('click', () => {
+            this.levelEditor.execute(new StarRuleCommand(this, this.keepStarsOnDeath, !this.keepStarsOnDeath));
+        });
+        
+        renameBtn.addEventListener('click', () => {
+            this.renameCurrentLevel();
+        });
+        
+        duplicateBtn.addEventListener('click', () => {
+            this.duplicateCurrentLevel();
+        });
+        
+        deleteBtn.addEventListener('click', () => {
+            this.deleteCurrentLevel();
+        });
+        
+        // Level order is the play order
+        moveUpBtn.addEventListener('click', () => {
+            if (this.currentLevelName && this.moveLevel(this.currentLevelName, -1)) {
+                this.updateLevelDropdown();
+            }
+        });
+        
+        moveDownBtn.addEventListener('click', () => {
+            if (this.currentLevelName && this.moveLevel(this.currentLevelName, 1)) {
+                this.updateLevelDropdown();
+            }
+        });
+        
+        // Warn before the page is closed or reloaded with unsaved changes
+        window.addEventListener('beforeunload', (e) => {
+            if (this.levelModified) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+        
+        // Sharing levels as files
+        exportBtn.addEventListener('click', () => {
+            this.exportCurrentLevel();
+        });
+        
+        exportAllBtn.addEventListener('click', () => {
+            this.exportAllLevels();
+        });
+        
+        importBtn.addEventListener('click', () => {
+            importFile.click();
+        });
+        
+        importFile.addEventListener('change', () => {
+            this.importLevelFiles(importFile.files);
+            importFile.value = ''; // Allow picking the same file again
+        });
+        
+        // Level files can also be dropped onto the game
+        const canvas = this.app.canvas;
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.importLevelFiles(e.dataTransfer.files);
+        });
+        
+        // Dropdown change listener
+        levelSelect.addEventListener('change', () => {
+            // Auto-load when selection changes (optional)
+            // You can comment this out if you prefer manual loading
+            const selectedLevel = levelSelect.value;
+            if (selectedLevel && selectedLevel !== this.currentLevelName) {
+                this.switchToLevel(selectedLevel);
+            }
+        });
     }
     
     updateLevelDropdown() {
         const levelSelect = document.getElementById('levelSelect');
         const savedLevels = this.listSavedLevels();
+        const progress = this.getLevelProgress();
         
         // Clear existing options except the first one
         levelSelect.innerHTML = '<option value="">Select a level...</option>';
         
-        // Add saved levels
-        savedLevels.forEach(levelName => {
+        // Add saved levels, numbered in play order and ticked once completed
+        savedLevels.forEach((levelName, index) => {
             const option = document.createElement('option');
             option.value = levelName;
-            option.textContent = levelName;
+            option.textContent = `${index + 1}. ${levelName}` + (progress[levelName] ? ' ✓' : '');
             if (levelName === this.currentLevelName) {
                 option.selected = true;
             }
@@ -810,23 +1113,193 @@ class Game {
         });
     }
     
+    promptWorldSize() {
+        const current = `${this.worldBounds.width}x${this.worldBounds.height}`;
+        const input = prompt('Level size in pixels (width x height, at least 800x600):', current);
+        if (!input) return;
+        
+        const match = input.match(/^\s*(\d+)\s*[x×,]\s*(\d+)\s*$/i);
+        if (!match) {
+            alert(`"${input}" is not a valid size. Use e.g. 2400x600.`);
+            return;
+        }
+        
+        this.levelEditor.execute(new WorldBoundsCommand(this, this.worldBounds, {
+            width: Math.max(this.app.screen.width, parseInt(match[1], 10)),
+            height: Math.max(this.app.screen.height, parseInt(match[2], 10))
+        }));
+        console.log(`Level size set to ${this.worldBounds.width}x${this.worldBounds.height}`);
+    }
+    
     saveAsNewLevel() {
         const levelName = prompt('Enter new level name:');
         if (levelName && levelName.trim()) {
             const trimmedName = levelName.trim();
-            this.saveLevel(trimmedName);
-            this.currentLevelName = trimmedName;
-            this.updateLevelDropdown();
-            this.setLastUsedLevel(trimmedName);
+            return this.saveLevel(trimmedName);
+        }
+        return false;
+    }
+    
+    exportCurrentLevel() {
+        const name = this.currentLevelName || 'Untitled';
+        const levelData = this.ghostRace.attachGhost(this.serializeLevel(name), name);
+        downloadJSON(`${Utils.toFileName(name)}.json`, levelData);
+        console.log(`Exported level "${name}"`);
+    }
+    
+    exportAllLevels() {
+        const savedLevels = this.getSavedLevels();
+        const pack = LevelFormat.createPack(this.listSavedLevels()
+            .map(name => this.ghostRace.attachGhost(savedLevels[name], name)));
+        downloadJSON('trampoline-levels.json', pack);
+        console.log(`Exported ${pack.levels.length} levels`);
+    }
+    
+    async importLevelFiles(files) {
+        const imported = [];
+        
+        for (const file of Array.from(files)) {
+            let levels;
+            try {
+                levels = LevelFormat.unpack(JSON.parse(await file.text()));
+            } catch (error) {
+                this.reportLevelErrors(file.name, [error.message], false);
+                continue;
+            }
+            
+            for (const [index, levelData] of levels.entries()) {
+                const fallbackName = levels.length > 1 ? `${file.name} #${index + 1}` : file.name.replace(/\.json$/i, '');
+                const name = await this.importLevel(levelData, fallbackName);
+                if (name) {
+                    imported.push(name);
+                }
+            }
+        }
+        
+        if (imported.length > 0) {
+            console.log(`Imported ${imported.length} level(s): ${imported.join(', ')}`);
+            await this.switchToLevel(imported[0]);
+        }
+    }
+    
+    // Adds one level to the saved levels, asking what to do if the name is
+    // taken. Resolves to the name it was saved under, or null if skipped.
+    async importLevel(levelData, fallbackName) {
+        const { level, errors } = LevelFormat.parse(levelData);
+        const originalName = (level && typeof level.name === 'string' && level.name.trim()) || fallbackName;
+        if (errors.length > 0) {
+            this.reportLevelErrors(originalName, errors, level !== null);
+        }
+        if (!level) {
+            return null;
+        }
+        
+        const savedLevels = this.getSavedLevels();
+        let name = originalName;
+        if (savedLevels[name]) {
+            const choice = await Dialog.choose(`A level named "${name}" already exists.`, [
+                { key: 'overwrite', label: 'Overwrite' },
+                { key: 'rename', label: 'Keep both' },
+                { key: 'skip', label: 'Skip' }
+            ], 'skip');
+            if (choice === 'rename') {
+                name = this.getUniqueLevelName(name);
+            } else if (choice !== 'overwrite') {
+                console.log(`Skipped importing "${name}"`);
+                return null;
+            }
+        }
+        
+        level.name = name;
+        // The level's ghost is kept apart, replacing any old one along with the level
+        this.ghostRace.setGhost(name, level.ghost || null);
+        delete level.ghost;
+        savedLevels[name] = level;
+        this.levelEditor.dropHistory(name); // Any history was for the old contents
+        try {
+            localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+        } catch (error) {
+            console.error('Failed to save imported level:', error);
+            return null;
+        }
+        this.updateLevelDropdown();
+        return name;
+    }
+    
+    getUniqueLevelName(name) {
+        const savedLevels = this.getSavedLevels();
+        let counter = 2;
+        while (savedLevels[`${name} (${counter})`]) {
+            counter++;
+        }
+        return `${name} (${counter})`;
+    }
+    
+    // Adds the curated levels listed in levels/manifest.json (shipped next to
+    // index.html) to the saved levels. Each bundled level is only added once,
+    // so local edits and deletions stick.
+    async loadBundledLevels() {
+        let manifest;
+        try {
+            const response = await fetch('levels/manifest.json');
+            if (!response.ok) return;
+            manifest = await response.json();
+        } catch (error) {
+            // Not served over HTTP (e.g. opened from disk) - nothing bundled
+            console.log('No bundled levels available');
+            return;
+        }
+        
+        const seen = this.getSeenBundledLevels();
+        const savedLevels = this.getSavedLevels();
+        
+        for (const file of manifest.levels || []) {
+            if (seen.includes(file)) continue;
+            try {
+                const response = await fetch(`levels/${file}`);
+                const { level, errors } = LevelFormat.parse(await response.json());
+                if (errors.length > 0) {
+                    this.reportLevelErrors(file, errors, level !== null);
+                }
+                if (level && !savedLevels[level.name]) {
+                    if (level.ghost) {
+                        this.ghostRace.setGhost(level.name, level.ghost);
+                        delete level.ghost;
+                    }
+                    savedLevels[level.name] = level;
+                    console.log(`Added bundled level "${level.name}"`);
+                }
+                seen.push(file);
+            } catch (error) {
+                console.error(`Failed to load bundled level ${file}:`, error);
+            }
+        }
+        
+        try {
+            localStorage.setItem('trampolineLevels', JSON.stringify(savedLevels));
+            localStorage.setItem('trampolineBundledLevels', JSON.stringify(seen));
+        } catch (error) {
+            console.error('Failed to store bundled levels:', error);
+        }
+    }
+    
+    getSeenBundledLevels() {
+        try {
+            return JSON.parse(localStorage.getItem('trampolineBundledLevels')) || [];
+        } catch (error) {
+            return [];
         }
     }
     
     async loadInitialLevel() {
+        await this.loadBundledLevels();
         const savedLevels = this.listSavedLevels();
         
         if (savedLevels.length === 0) {
             // No saved levels, create and load demo level
             this.createDemoLevel();
+            this.players.forEach(player => this.resetPlayer(player));
+            this.startRun();
             this.saveLevel('Demo');
             this.currentLevelName = 'Demo';
             this.setLastUsedLevel('Demo');
@@ -854,15 +1327,12 @@ class Game {
         const star1 = new Star(300, 170);
         const star2 = new Star(500, 220);
         
-        // Add player start position
+        // Add player start positions for the first two players
         const playerStart = new PlayerStart(100, 450);
+        const playerStart2 = new PlayerStart(50, 450, 1);
         
-        this.platforms = [trampoline1, trampoline2, trampoline3, platform1, platform2, platform3, star1, star2, playerStart];
-        
-        this.platforms.forEach(platform => {
-            platform.initTexture(this.app.renderer);
-            this.app.stage.addChild(platform);
-        });
+        [trampoline1, trampoline2, trampoline3, platform1, platform2, platform3, star1, star2, playerStart, playerStart2]
+            .forEach(platform => this.addPlatform(platform));
         
         // Update player start position
         this.playerStartPos = { x: 100, y: 450 };
@@ -897,28 +1367,18 @@ window.addEventListener('load', async () => {
     }
 });
 
-// Utility functions for future expansion
-const Utils = {
-    // Distance between two points
-    distance(x1, y1, x2, y2) {
-        return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
-    },
-    
-    // Random number between min and max
-    random(min, max) {
-        return Math.random() * (max - min) + min;
-    },
-    
-    // Clamp value between min and max
-    clamp(value, min, max) {
-        return Math.min(Math.max(value, min), max);
-    },
-    
-    // Linear interpolation
-    lerp(start, end, t) {
-        return start + t * (end - start);
-    }
-};
+// Select tool and snapping appearance and behaviour
+const SELECTION_COLOR = 0x00BFFF;
+const GUIDE_COLOR = 0xFF00FF;
+const RESIZE_HANDLE_SIZE = 8;
+const PASTE_OFFSET = 20; // Pasted copies land this far right of and below the originals
+const WAYPOINT_HANDLE_RADIUS = 6;
+const LINK_COLOR = 0xFFA500;
+
+// Tool buttons are laid out in two columns
+const TOOL_BUTTON_WIDTH = 58;
+const TOOL_BUTTON_HEIGHT = 44;
+const TOOL_BUTTON_GAP = 4;
 
 // Level Editor class
 class LevelEditor {
@@ -926,30 +1386,177 @@ class LevelEditor {
         this.game = game;
         this.isEnabled = false;
         this.selectedTool = 'platform';
+        this.playerStartSlot = 0; // Which player the Start tool places a spawn for
         this.paletteApp = null;
         this.paletteContainer = null;
+        this.panStart = null; // Last pointer position while right-dragging the view
+        this.histories = {}; // EditorHistory per level name, kept across editor toggles
+        this.historyButtons = {};
+        this.selection = new Set(); // Ids of the objects picked with the Select tool
+        this.drag = null; // Select tool drag in progress: move, resize or box select
+        this.clipboard = []; // Level entries copied with Ctrl+C
+        this.selectionOverlay = null;
+        this.propertyPanel = null;
+        this.snapping = new EditorSnapping();
+        this.snapButtons = {};
+        this.levelCheck = null; // Reachability check and its overlay
+        this.levelAtEditStart = null; // Level data to discard back to if the level was never saved
+        this.checkButton = null;
+        this.overlayLayer = null; // Ghost preview and selection, drawn above the level
+        this.gridOverlay = null;
+        this.gridKey = null; // What the grid overlay was last drawn for
+        this.ghost = null; // Object the current tool would place, previewed by ghostSprite
+        this.ghostSprite = null;
+        this.ghostKey = null;
+        this.guides = []; // Alignment guides for the object being placed or moved
         this.tools = {
+            'select': { name: 'Select', color: 0xFFFFFF, class: null },
             'platform': { name: 'Platform', color: 0x8B4513, class: SolidPlatform },
             'trampoline': { name: 'Trampoline', color: 0x4ECDC4, class: Trampoline },
             'star': { name: 'Star', color: 0xFFD700, class: Star },
             'playerStart': { name: 'Start', color: 0x00FF00, class: PlayerStart },
+            'checkpoint': { name: 'Checkpoint', color: 0x32CD32, class: Checkpoint },
             'death': { name: 'Death', color: 0xFF0000, class: DeathPlatform },
+            'moving': { name: 'Moving', color: 0x6A5ACD, class: MovingPlatform },
+            'crumbling': { name: 'Crumble', color: 0xA0522D, class: CrumblingPlatform },
+            'oneWay': { name: 'One-way', color: 0xDEB887, class: OneWayPlatform },
+            'pressurePlate': { name: 'Plate', color: 0xB0B0B0, class: PressurePlate },
+            'hitSwitch': { name: 'Switch', color: 0xFF6347, class: HitSwitch },
+            'starGate': { name: 'Star gate', color: 0xFFD700, class: StarGate },
+            'door': { name: 'Door', color: 0x708090, class: DoorPlatform },
+            'spawnPlatform': { name: 'Appear', color: 0x3CB371, class: SpawnPlatform },
+            'walker': { name: 'Walker', color: 0x9932CC, class: Walker },
+            'bouncer': { name: 'Bouncer', color: 0xFF8C00, class: Bouncer },
+            'emitter': { name: 'Emitter', color: 0x444444, class: ProjectileEmitter },
+            'link': { name: 'Link', color: LINK_COLOR, class: null },
             'erase': { name: 'Erase', color: 0x800000, class: null }
         };
         // setupEditor will be called async from Game.init()
     }
     
     async setupEditor() {
+        this.levelCheck = new LevelCheck(this.game);
         await this.createPaletteCanvas();
+        this.selectionOverlay = new PIXI.Graphics();
+        this.overlayLayer = new PIXI.Container();
+        this.overlayLayer.addChild(this.levelCheck.overlay, this.selectionOverlay);
+        this.gridOverlay = new PIXI.Graphics();
+        this.propertyPanel = new PropertyPanel(this);
         this.setupMouseEvents();
+        this.setupKeyboardShortcuts();
+    }
+    
+    setupKeyboardShortcuts() {
+        window.addEventListener('keydown', (e) => {
+            // Leave typing in the property panel to the browser
+            if (!this.isEnabled || Dialog.isOpen || isTextEntry(e.target)) return;
+            
+            if (e.ctrlKey || e.metaKey) {
+                if (e.code === 'KeyZ' && e.shiftKey || e.code === 'KeyY') {
+                    e.preventDefault();
+                    this.redo();
+                } else if (e.code === 'KeyZ') {
+                    e.preventDefault();
+                    this.undo();
+                } else if (e.code === 'KeyC') {
+                    this.copySelection();
+                } else if (e.code === 'KeyV') {
+                    e.preventDefault();
+                    this.pasteClipboard();
+                }
+            } else if (e.code === 'Delete' || e.code === 'Backspace') {
+                e.preventDefault();
+                this.deleteSelection();
+            } else if (e.code === 'Escape') {
+                this.clearSelection();
+            } else if (e.code === 'KeyG') {
+                this.toggleSnapping();
+            } else if (e.code === 'KeyK') {
+                this.toggleLevelCheck();
+            }
+        });
+    }
+    
+    // History of the level currently being edited
+    getHistory() {
+        return this.getHistoryFor(this.game.currentLevelName);
+    }
+    
+    // Applies an editor change through the undo history
+    execute(command) {
+        this.getHistory().execute(command);
+        this.onHistoryChanged();
+    }
+    
+    // Adds a change that was already applied live (drags) to the history
+    record(command) {
+        this.getHistory().record(command);
+        this.onHistoryChanged();
+    }
+    
+    undo() {
+        const command = this.getHistory().undo();
+        if (command) {
+            console.log(`Undo: ${command.description}`);
+            this.onHistoryChanged();
+        }
+    }
+    
+    redo() {
+        const command = this.getHistory().redo();
+        if (command) {
+            console.log(`Redo: ${command.description}`);
+            this.onHistoryChanged();
+        }
+    }
+    
+    onHistoryChanged() {
+        this.game.setLevelModified(!this.getHistory().isAtSavedState());
+        this.updateHistoryButtons();
+        this.propertyPanel.render();
+        this.levelCheck.clear(); // Stale after any change
+        this.updateCheckButton();
+    }
+    
+    // Keeps a level's history when it is saved, including under a new name
+    onLevelSaved(oldName, newName) {
+        const oldKey = oldName || '';
+        if (oldKey !== newName && this.histories[oldKey]) {
+            this.histories[newName] = this.histories[oldKey];
+            delete this.histories[oldKey];
+        }
+        this.getHistoryFor(newName).markSaved();
+        this.updateHistoryButtons();
+    }
+    
+    getHistoryFor(levelName) {
+        const key = levelName || '';
+        if (!this.histories[key]) {
+            this.histories[key] = new EditorHistory();
+        }
+        return this.histories[key];
+    }
+    
+    moveHistory(oldName, newName) {
+        if (this.histories[oldName]) {
+            this.histories[newName] = this.histories[oldName];
+            delete this.histories[oldName];
+        }
+    }
+    
+    dropHistory(levelName) {
+        delete this.histories[levelName || ''];
+        this.updateHistoryButtons();
     }
     
     async createPaletteCanvas() {
         // Create separate Pixi application for palette
         this.paletteApp = new PIXI.Application();
+        // Tall enough for every tool and the action buttons below them
+        const toolRows = Math.ceil(Object.keys(this.tools).length / 2);
         await this.paletteApp.init({
             width: 140,
-            height: 600,
+            height: Math.max(600, 10 + toolRows * (TOOL_BUTTON_HEIGHT + TOOL_BUTTON_GAP) + 6 + 120),
             backgroundColor: 0x333333,
             antialias: true
         });
@@ -966,31 +1573,114 @@ class LevelEditor {
     }
     
     createToolButtons() {
-        let yOffset = 10;
-        Object.keys(this.tools).forEach((toolKey, index) => {
-            const tool = this.tools[toolKey];
-            const button = this.createToolButton(toolKey, tool, yOffset);
-            this.paletteApp.stage.addChild(button);
-            yOffset += 60;
+        const toolKeys = Object.keys(this.tools);
+        toolKeys.forEach((toolKey, index) => {
+            const x = 10 + (index % 2) * (TOOL_BUTTON_WIDTH + TOOL_BUTTON_GAP);
+            const y = 10 + Math.floor(index / 2) * (TOOL_BUTTON_HEIGHT + TOOL_BUTTON_GAP);
+            this.paletteApp.stage.addChild(this.createToolButton(toolKey, this.tools[toolKey], x, y));
+        });
+        let yOffset = 10 + Math.ceil(toolKeys.length / 2) * (TOOL_BUTTON_HEIGHT + TOOL_BUTTON_GAP) + 6;
+        
+        // Undo / redo below the tools
+        this.historyButtons.undo = this.createActionButton('Undo', 10, yOffset, () => this.undo());
+        this.historyButtons.redo = this.createActionButton('Redo', 10 + TOOL_BUTTON_WIDTH + TOOL_BUTTON_GAP, yOffset, () => this.redo());
+        this.paletteApp.stage.addChild(this.historyButtons.undo, this.historyButtons.redo);
+        this.updateHistoryButtons();
+        
+        // Grid size and snapping toggle
+        yOffset += 40;
+        this.snapButtons.grid = this.createActionButton('', 10, yOffset, () => this.cycleGridSize());
+        this.snapButtons.snap = this.createActionButton('', 10 + TOOL_BUTTON_WIDTH + TOOL_BUTTON_GAP, yOffset, () => this.toggleSnapping());
+        this.paletteApp.stage.addChild(this.snapButtons.grid, this.snapButtons.snap);
+        this.updateSnapButtons();
+        
+        // Reachability check
+        yOffset += 40;
+        this.checkButton = this.createActionButton('Check', 10, yOffset, () => this.toggleLevelCheck());
+        this.paletteApp.stage.addChild(this.checkButton);
+        this.updateCheckButton();
+    }
+    
+    toggleLevelCheck() {
+        this.levelCheck.toggle();
+        this.updateCheckButton();
+    }
+    
+    updateCheckButton() {
+        if (!this.checkButton) return;
+        this.checkButton.alpha = this.levelCheck.isActive() ? 1 : 0.6;
+    }
+    
+    updateSnapButtons() {
+        this.snapButtons.grid.label.text = `Grid ${this.snapping.gridSize}`;
+        this.snapButtons.snap.label.text = this.snapping.enabled ? 'Snap on' : 'Snap off';
+        this.snapButtons.snap.alpha = this.snapping.enabled ? 1 : 0.6;
+    }
+    
+    cycleGridSize() {
+        this.snapping.cycleGridSize();
+        this.updateSnapButtons();
+    }
+    
+    toggleSnapping() {
+        this.snapping.toggle();
+        this.updateSnapButtons();
+        console.log(`Snapping ${this.snapping.enabled ? 'on' : 'off'}`);
+    }
+    
+    // Small palette button that runs an action instead of selecting a tool
+    createActionButton(label, x, y, onClick) {
+        const button = new PIXI.Container();
+        button.x = x;
+        button.y = y;
+        button.interactive = true;
+        button.cursor = 'pointer';
+        
+        const bg = new PIXI.Graphics();
+        bg.beginFill(0x444444);
+        bg.drawRoundedRect(0, 0, 55, 30, 5);
+        bg.endFill();
+        button.addChild(bg);
+        
+        const text = new PIXI.Text(label, {
+            fontSize: 12,
+            fill: 0xFFFFFF,
+            fontFamily: 'Arial'
         });
+        text.x = 10;
+        text.y = 8;
+        button.addChild(text);
+        button.label = text;
+        
+        button.on('pointerdown', onClick);
+        return button;
+    }
+    
+    updateHistoryButtons() {
+        if (!this.historyButtons.undo) return;
+        const history = this.getHistory();
+        this.historyButtons.undo.alpha = history.canUndo() ? 1 : 0.4;
+        this.historyButtons.redo.alpha = history.canRedo() ? 1 : 0.4;
     }
     
-    createToolButton(toolKey, tool, yOffset) {
+    createToolButton(toolKey, tool, x, y) {
         const button = new PIXI.Container();
-        button.x = 10;
-        button.y = yOffset;
+        button.x = x;
+        button.y = y;
         button.interactive = true;
         button.cursor = 'pointer';
         
         // Button background
         const bg = new PIXI.Graphics();
         bg.beginFill(toolKey === this.selectedTool ? 0x666666 : 0x444444);
-        bg.drawRoundedRect(0, 0, 120, 50, 5);
+        bg.drawRoundedRect(0, 0, TOOL_BUTTON_WIDTH, TOOL_BUTTON_HEIGHT, 5);
         bg.endFill();
         button.addChild(bg);
         
-        // Tool icon
+        // Tool icon, drawn in a 40x40 box above the label
         const icon = new PIXI.Graphics();
+        icon.x = (TOOL_BUTTON_WIDTH - 40) / 2;
+        icon.y = -6;
         if (toolKey === 'erase') {
             // Draw X for erase tool
             icon.lineStyle(3, tool.color);
@@ -998,6 +1688,21 @@ class LevelEditor {
             icon.lineTo(30, 30);
             icon.moveTo(30, 10);
             icon.lineTo(10, 30);
+        } else if (toolKey === 'select') {
+            // Draw a mouse pointer for the select tool
+            icon.beginFill(tool.color);
+            icon.drawPolygon([14, 8, 14, 30, 19, 25, 23, 33, 26, 31, 22, 24, 29, 24]);
+            icon.endFill();
+        } else if (toolKey === 'link') {
+            // Two objects joined by a line
+            icon.lineStyle(2, tool.color);
+            icon.moveTo(12, 28);
+            icon.lineTo(28, 12);
+            icon.lineStyle(0);
+            icon.beginFill(tool.color);
+            icon.drawCircle(12, 28, 4);
+            icon.drawCircle(28, 12, 4);
+            icon.endFill();
         } else {
             // Draw simple shape for other tools
             icon.beginFill(tool.color);
@@ -1011,6 +1716,9 @@ class LevelEditor {
                 icon.drawPolygon(points);
             } else if (toolKey === 'playerStart') {
                 icon.drawCircle(20, 20, 8);
+            } else if (toolKey === 'checkpoint') {
+                icon.drawRect(14, 8, 3, 24);
+                icon.drawPolygon([17, 9, 29, 13, 17, 17]);
             } else if (toolKey === 'death') {
                 // Draw spiky platform for death tool
                 icon.drawRoundedRect(10, 15, 20, 10, 2);
@@ -1023,6 +1731,55 @@ class LevelEditor {
                         i + 4, 15
                     ]);
                 }
+            } else if (toolKey === 'moving') {
+                icon.drawRoundedRect(12, 17, 16, 8, 2);
+                icon.drawPolygon([6, 21, 11, 17, 11, 25]);
+                icon.drawPolygon([34, 21, 29, 17, 29, 25]);
+            } else if (toolKey === 'crumbling') {
+                // Platform broken in two
+                icon.drawPolygon([8, 16, 19, 16, 17, 20, 20, 26, 8, 26]);
+                icon.drawPolygon([22, 17, 32, 17, 32, 27, 23, 27, 20, 21]);
+            } else if (toolKey === 'oneWay') {
+                icon.drawRect(8, 20, 24, 5);
+                icon.endFill();
+                icon.beginFill(0xFFFFFF);
+                icon.drawPolygon([20, 8, 25, 14, 15, 14]); // Up through it
+            } else if (toolKey === 'pressurePlate') {
+                icon.drawRect(11, 22, 18, 4);
+                icon.endFill();
+                icon.beginFill(0x666666);
+                icon.drawRect(8, 26, 24, 3);
+            } else if (toolKey === 'hitSwitch') {
+                icon.drawCircle(20, 19, 7);
+            } else if (toolKey === 'starGate') {
+                icon.drawRect(18, 14, 4, 16);
+                icon.drawRect(11, 10, 18, 8);
+            } else if (toolKey === 'walker') {
+                icon.drawRoundedRect(11, 12, 18, 16, 4);
+                icon.endFill();
+                icon.beginFill(0xFFFFFF);
+                icon.drawCircle(16, 18, 2);
+                icon.drawCircle(24, 18, 2);
+            } else if (toolKey === 'bouncer') {
+                icon.drawCircle(20, 14, 7);
+                icon.endFill();
+                icon.lineStyle(1, tool.color);
+                icon.moveTo(14, 30);
+                icon.lineTo(17, 24);
+                icon.moveTo(26, 30);
+                icon.lineTo(23, 24);
+            } else if (toolKey === 'emitter') {
+                icon.drawRect(10, 12, 16, 16);
+                icon.drawRect(26, 17, 8, 6);
+                icon.endFill();
+                icon.beginFill(0xFF4500);
+                icon.drawCircle(36, 20, 2);
+            } else if (toolKey === 'door') {
+                icon.drawRect(15, 8, 10, 24);
+            } else if (toolKey === 'spawnPlatform') {
+                icon.endFill();
+                icon.lineStyle(2, tool.color);
+                icon.drawRect(10, 16, 20, 8);
             } else {
                 icon.drawRoundedRect(10, 15, 20, 10, 2);
             }
@@ -1031,13 +1788,14 @@ class LevelEditor {
         button.addChild(icon);
         
         // Tool label
-        const text = new PIXI.Text(tool.name, {
-            fontSize: 12,
+        const text = new PIXI.Text(this.getToolLabel(toolKey), {
+            fontSize: 10,
             fill: 0xFFFFFF,
             fontFamily: 'Arial'
         });
-        text.x = 45;
-        text.y = 20;
+        text.anchor.set(0.5, 0);
+        text.x = TOOL_BUTTON_WIDTH / 2;
+        text.y = 30;
         button.addChild(text);
         
         // Click handler
@@ -1047,11 +1805,27 @@ class LevelEditor {
         
         button.toolKey = toolKey;
         button.bg = bg;
+        button.label = text;
         
         return button;
     }
     
+    getToolLabel(toolKey) {
+        if (toolKey === 'playerStart') {
+            return `${this.tools[toolKey].name} P${this.playerStartSlot + 1}`;
+        }
+        return this.tools[toolKey].name;
+    }
+    
     selectTool(toolKey) {
+        // Clicking the Start tool again cycles through the player slots
+        if (toolKey === 'playerStart' && this.selectedTool === 'playerStart') {
+            this.playerStartSlot = (this.playerStartSlot + 1) % MAX_PLAYERS;
+        }
+        if (toolKey !== 'select') {
+            this.clearSelection();
+        }
+        this.hideGhost();
         this.selectedTool = toolKey;
         this.updatePaletteSelection();
     }
@@ -1061,81 +1835,796 @@ class LevelEditor {
             if (child.toolKey) {
                 child.bg.clear();
                 child.bg.beginFill(child.toolKey === this.selectedTool ? 0x666666 : 0x444444);
-                child.bg.drawRoundedRect(0, 0, 120, 50, 5);
+                child.bg.drawRoundedRect(0, 0, TOOL_BUTTON_WIDTH, TOOL_BUTTON_HEIGHT, 5);
                 child.bg.endFill();
+                child.label.text = this.getToolLabel(child.toolKey);
             }
         });
     }
     
     setupMouseEvents() {
-        this.game.app.canvas.addEventListener('click', (e) => {
+        const canvas = this.game.app.canvas;
+        
+        canvas.addEventListener('click', (e) => {
             if (this.isEnabled) {
                 this.handleCanvasClick(e);
             }
         });
+        
+        // Pan around large levels: mouse wheel (Shift for horizontal) or right-drag
+        canvas.addEventListener('wheel', (e) => {
+            if (!this.isEnabled) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.game.camera.pan(e.deltaY, 0);
+            } else {
+                this.game.camera.pan(e.deltaX, e.deltaY);
+            }
+        });
+        
+        canvas.addEventListener('contextmenu', (e) => {
+            if (this.isEnabled) {
+                e.preventDefault();
+            }
+        });
+        
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.isEnabled) return;
+            if (e.button === 2) {
+                this.panStart = { x: e.clientX, y: e.clientY };
+            } else if (e.button === 0 && this.selectedTool === 'select') {
+                this.beginSelectDrag(e);
+            } else if (e.button === 0 && this.selectedTool === 'link') {
+                this.beginLinkDrag(e);
+            }
+        });
+        
+        // Ghost preview of the object the current tool would place
+        canvas.addEventListener('pointermove', (e) => {
+            if (this.isEnabled && !this.drag && !this.panStart) {
+                this.updateGhost(this.getWorldPosition(e), e.altKey);
+            }
+        });
+        
+        canvas.addEventListener('pointerleave', () => {
+            this.hideGhost();
+        });
+        
+        window.addEventListener('pointermove', (e) => {
+            if (this.drag) {
+                this.updateSelectDrag(e);
+            }
+            if (!this.panStart) return;
+            this.game.camera.pan(this.panStart.x - e.clientX, this.panStart.y - e.clientY);
+            this.panStart = { x: e.clientX, y: e.clientY };
+        });
+        
+        window.addEventListener('pointerup', () => {
+            this.panStart = null;
+            if (this.drag) {
+                this.endSelectDrag();
+            }
+        });
     }
     
-    handleCanvasClick(e) {
+    // Converts a mouse event to world coordinates
+    getWorldPosition(e) {
         const rect = this.game.app.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        return this.game.camera.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+    
+    handleCanvasClick(e) {
+        const { x, y } = this.getWorldPosition(e);
         
         // Handle different tool actions
-        if (this.selectedTool === 'erase') {
+        if (this.selectedTool === 'select' || this.selectedTool === 'link') {
+            return; // Handled by the pointer events (see beginSelectDrag)
+        } else if (this.selectedTool === 'erase') {
             this.eraseAtPosition(x, y);
         } else {
-            this.placeObject(x, y, this.selectedTool);
+            // Place exactly where the preview shows
+            const ghost = this.updateGhost({ x, y }, e.altKey);
+            if (ghost) {
+                this.placeObject(ghost.x, ghost.y, this.selectedTool);
+            }
+        }
+    }
+    
+    // New object for a placement tool, with the tool's default parameters
+    createToolObject(toolType, x, y) {
+        const tool = this.tools[toolType];
+        if (toolType === 'platform' || toolType === 'death' || toolType === 'moving' || toolType === 'crumbling') {
+            return new tool.class(x, y, 100, 15);
+        } else if (toolType === 'trampoline') {
+            return new tool.class(x, y, this.game.physics.values.trampolineForce);
+        } else if (toolType === 'playerStart') {
+            return new tool.class(x, y, this.playerStartSlot);
+        } else if (toolType === 'spawnPlatform') {
+            return new tool.class(x, y, 100, 15);
         }
+        return new tool.class(x, y);
     }
     
     placeObject(x, y, toolType) {
         const tool = this.tools[toolType];
         if (!tool || !tool.class) return;
         
-        let newObject;
-        if (toolType === 'platform') {
-            newObject = new tool.class(x, y, 100, 15);
-        } else if (toolType === 'trampoline') {
-            newObject = new tool.class(x, y, -20);
-        } else if (toolType === 'death') {
-            newObject = new tool.class(x, y, 100, 15);
-        } else if (toolType === 'playerStart') {
-            // Remove existing player start positions
-            this.game.platforms = this.game.platforms.filter(platform => {
-                if (platform.platformType === 'playerStart') {
-                    this.game.app.stage.removeChild(platform);
-                    return false;
-                }
-                return true;
-            });
-            newObject = new tool.class(x, y);
-            // Update the game's player start position
-            this.game.playerStartPos = { x: x, y: y };
-        } else {
-            newObject = new tool.class(x, y);
+        const commands = [];
+        if (toolType === 'playerStart') {
+            // Replace the existing start position for this player slot
+            this.game.platforms
+                .filter(platform => platform.platformType === 'playerStart' && platform.playerIndex === this.playerStartSlot)
+                .forEach(platform => commands.push(new EraseCommand(this.game, platform)));
         }
         
-        this.game.addPlatform(newObject);
+        const newObject = this.createToolObject(toolType, x, y);
+        newObject.id = this.game.nextObjectId++;
+        commands.push(new PlaceCommand(this.game, LevelFormat.serializeObject(newObject)));
+        this.execute(commands.length === 1 ? commands[0] : new CompoundCommand(commands, `Place ${tool.name}`));
     }
     
     eraseAtPosition(x, y) {
-        const clickBounds = new PIXI.Rectangle(x - 5, y - 5, 10, 10);
+        // Only remove one object per click
+        const platform = this.findPlatformAt(x, y);
+        if (platform) {
+            this.execute(new EraseCommand(this.game, platform));
+        }
+    }
+    
+    // Topmost object near a level position that passes `filter`, or null
+    findPlatformAt(x, y, filter = () => true) {
+        const clickBounds = new Rectangle(x - 5, y - 5, 10, 10);
         
         for (let i = this.game.platforms.length - 1; i >= 0; i--) {
             const platform = this.game.platforms[i];
-            const bounds = platform.getBounds();
-            
-            if (clickBounds.intersects(bounds)) {
-                this.game.removePlatform(i);
-                break; // Only remove one object per click
+            if (filter(platform) && clickBounds.intersects(platform.getCollisionBounds())) {
+                return platform;
             }
         }
+        return null;
+    }
+    
+    getSelectedPlatforms() {
+        return this.game.platforms.filter(platform => this.selection.has(platform.id));
     }
     
-    toggle() {
+    setSelection(ids) {
+        this.selection = new Set(ids);
+        this.propertyPanel.render();
+    }
+    
+    clearSelection() {
+        if (this.selection.size > 0) {
+            this.setSelection([]);
+        }
+    }
+    
+    // Resize handles of a single selected resizable object, as { x, y, dx, dy }
+    // where dx/dy (-1, 0 or 1) say which edges the handle moves
+    getResizeHandles() {
+        const selected = this.getSelectedPlatforms();
+        if (selected.length !== 1 || !selected[0].isResizable()) return [];
+        
+        const bounds = selected[0].getCollisionBounds();
+        const handles = [];
+        [-1, 0, 1].forEach(dy => {
+            [-1, 0, 1].forEach(dx => {
+                if (dx === 0 && dy === 0) return;
+                handles.push({
+                    x: bounds.x + bounds.width * (dx + 1) / 2,
+                    y: bounds.y + bounds.height * (dy + 1) / 2,
+                    dx, dy
+                });
+            });
+        });
+        return handles;
+    }
+    
+    // Waypoint handles of a single selected moving platform; index is into
+    // its path (the start position moves with the platform itself)
+    getWaypointHandles() {
+        const selected = this.getSelectedPlatforms();
+        if (selected.length !== 1 || !(selected[0] instanceof MovingPlatform)) return [];
+        const platform = selected[0];
+        return platform.getWaypoints().slice(1).map((point, index) => ({ ...point, index, platform }));
+    }
+    
+    // Select tool: a handle resizes, an object is selected and moved
+    // (Shift toggles it in the selection), empty space starts a box select
+    beginSelectDrag(e) {
+        const start = this.getWorldPosition(e);
+        
+        const waypoint = this.getWaypointHandles().find(h =>
+            Utils.distance(h.x, h.y, start.x, start.y) <= WAYPOINT_HANDLE_RADIUS + 1);
+        if (waypoint) {
+            this.drag = {
+                mode: 'waypoint',
+                start,
+                platform: waypoint.platform,
+                index: waypoint.index,
+                before: waypoint.platform.path.map(point => ({ ...point }))
+            };
+            return;
+        }
+        
+        // Hit area matches the drawn handle so thin platforms can still be grabbed
+        const reach = RESIZE_HANDLE_SIZE / 2 + 1;
+        const handle = this.getResizeHandles().find(h =>
+            Math.abs(h.x - start.x) <= reach && Math.abs(h.y - start.y) <= reach);
+        if (handle) {
+            const platform = this.getSelectedPlatforms()[0];
+            this.drag = {
+                mode: 'resize',
+                start,
+                handle,
+                platform,
+                bounds: platform.getCollisionBounds(),
+                before: {
+                    x: platform.x,
+                    y: platform.y,
+                    platformWidth: platform.platformWidth,
+                    platformHeight: platform.platformHeight
+                }
+            };
+            return;
+        }
+        
+        const platform = this.findPlatformAt(start.x, start.y);
+        if (!platform) {
+            this.drag = { mode: 'box', start, current: start, additive: e.shiftKey };
+            return;
+        }
+        
+        if (e.shiftKey && this.selection.has(platform.id)) {
+            this.setSelection([...this.selection].filter(id => id !== platform.id));
+            return;
+        }
+        if (e.shiftKey) {
+            this.setSelection([...this.selection, platform.id]);
+        } else if (!this.selection.has(platform.id)) {
+            this.setSelection([platform.id]);
+        }
+        
+        const origins = this.getSelectedPlatforms().map(p => ({ platform: p, x: p.x, y: p.y }));
+        this.drag = {
+            mode: 'move',
+            start,
+            moved: false,
+            origins,
+            grabbed: origins.find(origin => origin.platform === platform)
+        };
+    }
+    
+    updateSelectDrag(e) {
+        const position = this.getWorldPosition(e);
+        const dx = position.x - this.drag.start.x;
+        const dy = position.y - this.drag.start.y;
+        
+        if (this.drag.mode === 'move') {
+            // Ignore the small jitter of a plain click
+            if (!this.drag.moved && Math.abs(dx) < 3 && Math.abs(dy) < 3) return;
+            this.drag.moved = true;
+            // Snap the grabbed object and carry the rest of the selection along
+            const grabbed = this.drag.grabbed;
+            grabbed.platform.x = grabbed.x + dx;
+            grabbed.platform.y = grabbed.y + dy;
+            const offset = this.getSnapOffset(grabbed.platform, e.altKey, this.selection);
+            this.drag.origins.forEach(origin => {
+                origin.platform.x = origin.x + dx + offset.x;
+                origin.platform.y = origin.y + dy + offset.y;
+            });
+        } else if (this.drag.mode === 'resize') {
+            this.drag.platform.applyProperties(this.getResizedProperties(dx, dy));
+        } else if (this.drag.mode === 'waypoint') {
+            const { platform, index, before } = this.drag;
+            let x = before[index].x + dx;
+            let y = before[index].y + dy;
+            // Offsets snap to the grid so the path keeps the platform aligned
+            if (this.snapping.enabled && !e.altKey) {
+                const size = this.snapping.gridSize;
+                x = Math.round(x / size) * size;
+                y = Math.round(y / size) * size;
+            }
+            platform.path = before.map((point, i) => i === index ? { x, y } : point);
+        } else {
+            this.drag.current = position;
+        }
+    }
+    
+    // Size and center for the object being resized, with the handle moved by dx/dy
+    getResizedProperties(dx, dy) {
+        const { handle, bounds, before } = this.drag;
+        // Drawn extras such as spikes are part of the bounds but not the size
+        const extraWidth = bounds.width - before.platformWidth;
+        const extraHeight = bounds.height - before.platformHeight;
+        
+        let left = bounds.x;
+        let right = bounds.x + bounds.width;
+        let top = bounds.y;
+        let bottom = bounds.y + bounds.height;
+        if (handle.dx === -1) left = Math.min(left + dx, right - extraWidth - MIN_PLATFORM_SIZE);
+        if (handle.dx === 1) right = Math.max(right + dx, left + extraWidth + MIN_PLATFORM_SIZE);
+        if (handle.dy === -1) top = Math.min(top + dy, bottom - extraHeight - MIN_PLATFORM_SIZE);
+        if (handle.dy === 1) bottom = Math.max(bottom + dy, top + extraHeight + MIN_PLATFORM_SIZE);
+        
+        return {
+            x: (left + right) / 2,
+            y: (top + bottom) / 2,
+            platformWidth: right - left - extraWidth,
+            platformHeight: bottom - top - extraHeight
+        };
+    }
+    
+    // Records the finished drag as one undo step
+    endSelectDrag() {
+        const drag = this.drag;
+        this.drag = null;
+        this.guides = [];
+        
+        if (drag.mode === 'move') {
+            const commands = drag.origins
+                .filter(origin => origin.platform.x !== origin.x || origin.platform.y !== origin.y)
+                .map(origin => new MoveCommand(this.game, origin.platform.id, origin, origin.platform));
+            if (commands.length > 0) {
+                this.record(commands.length === 1 ? commands[0] : new CompoundCommand(commands, `Move ${commands.length} objects`));
+            }
+        } else if (drag.mode === 'resize') {
+            const platform = drag.platform;
+            const after = {
+                x: platform.x,
+                y: platform.y,
+                platformWidth: platform.platformWidth,
+                platformHeight: platform.platformHeight
+            };
+            if (Object.keys(after).some(key => after[key] !== drag.before[key])) {
+                this.record(new PropertyCommand(this.game, platform.id, drag.before, after, 'Resize'));
+            }
+        } else if (drag.mode === 'waypoint') {
+            const before = drag.before[drag.index];
+            const after = drag.platform.path[drag.index];
+            if (after.x !== before.x || after.y !== before.y) {
+                this.record(new PropertyCommand(this.game, drag.platform.id, { path: drag.before }, { path: drag.platform.path }, 'Move waypoint'));
+            }
+        } else if (drag.mode === 'link') {
+            const target = this.findPlatformAt(drag.current.x, drag.current.y, platform => platform.isTriggerTarget());
+            if (target) {
+                this.toggleLink(drag.source, target);
+            }
+        } else {
+            const box = this.getBoxRectangle(drag);
+            let ids = [];
+            // A click on empty space just clears the selection
+            if (box.width >= 3 || box.height >= 3) {
+                ids = this.game.platforms
+                    .filter(platform => box.intersects(platform.getCollisionBounds()))
+                    .map(platform => platform.id);
+            }
+            this.setSelection(drag.additive ? [...this.selection, ...ids] : ids);
+        }
+    }
+    
+    // Link tool: drag from a trigger to an object it should switch. Dragging
+    // to an object that is already linked removes the link.
+    beginLinkDrag(e) {
+        const start = this.getWorldPosition(e);
+        const source = this.findPlatformAt(start.x, start.y, platform => platform.isTrigger());
+        if (!source) {
+            console.log('Links start on a plate, switch or star gate');
+            return;
+        }
+        this.drag = { mode: 'link', start, current: start, source };
+    }
+    
+    toggleLink(trigger, target) {
+        const linked = trigger.targets.includes(target.id);
+        const targets = linked ? trigger.targets.filter(id => id !== target.id) : [...trigger.targets, target.id];
+        this.execute(new PropertyCommand(this.game, trigger.id, { targets: trigger.targets }, { targets },
+            `${linked ? 'Unlink' : 'Link'} ${trigger.platformType} to ${target.platformType}`));
+    }
+    
+    getBoxRectangle(drag) {
+        return new Rectangle(
+            Math.min(drag.start.x, drag.current.x),
+            Math.min(drag.start.y, drag.current.y),
+            Math.abs(drag.current.x - drag.start.x),
+            Math.abs(drag.current.y - drag.start.y)
+        );
+    }
+    
+    // Sets one field on every selected object as a single undo step
+    setSelectionProperty(key, value, label) {
+        const commands = this.getSelectedPlatforms()
+            .filter(platform => platform[key] !== value)
+            .map(platform => new PropertyCommand(this.game, platform.id, { [key]: platform[key] }, { [key]: value }, `Set ${label}`));
+        if (commands.length === 0) return;
+        this.execute(commands.length === 1 ? commands[0] : new CompoundCommand(commands, `Set ${label}`));
+    }
+    
+    deleteSelection() {
+        // Erase from the back so each command's remembered index stays valid on undo
+        const selected = this.getSelectedPlatforms().reverse();
+        if (selected.length === 0) return;
+        
+        const commands = selected.map(platform => new EraseCommand(this.game, platform));
+        this.execute(commands.length === 1 ? commands[0] : new CompoundCommand(commands, `Delete ${commands.length} objects`));
+        this.clearSelection();
+    }
+    
+    // Player starts are left out: each player slot has exactly one
+    copySelection() {
+        const selected = this.getSelectedPlatforms();
+        const copied = selected.filter(platform => platform.platformType !== 'playerStart');
+        if (copied.length === 0) return;
+        
+        this.clipboard = copied.map(platform => LevelFormat.serializeObject(platform));
+        console.log(`Copied ${copied.length} object(s)` +
+            (copied.length < selected.length ? ' (player starts are not copied)' : ''));
+    }
+    
+    // Pastes the clipboard slightly offset and selects the copies
+    pasteClipboard() {
+        if (this.clipboard.length === 0) return;
+        
+        const newIds = new Map(this.clipboard.map(entry => [entry.id, this.game.nextObjectId++]));
+        const entries = this.clipboard.map(entry => ({
+            ...entry,
+            id: newIds.get(entry.id),
+            x: entry.x + PASTE_OFFSET,
+            y: entry.y + PASTE_OFFSET
+        }));
+        // Copied triggers switch the copies of copied targets, and the
+        // originals otherwise
+        entries.forEach(entry => {
+            if (entry.targets) {
+                entry.targets = entry.targets.map(id => newIds.get(id) || id);
+            }
+        });
+        // Pasting again continues the cascade
+        this.clipboard = entries;
+        
+        const commands = entries.map(entry => new PlaceCommand(this.game, entry));
+        this.execute(commands.length === 1 ? commands[0] : new CompoundCommand(commands, `Paste ${commands.length} objects`));
+        this.selectTool('select');
+        this.setSelection(entries.map(entry => entry.id));
+    }
+    
+    // Offset that snaps an object to the grid or its neighbours' edges (Alt
+    // held = `free`, no snapping). Also updates the alignment guides.
+    // `excludedIds` are left out as neighbours, e.g. the objects being dragged.
+    getSnapOffset(object, free = false, excludedIds = new Set()) {
+        const neighbours = this.game.platforms
+            .filter(platform => platform !== object && !excludedIds.has(platform.id))
+            .map(platform => platform.getCollisionBounds());
+        const result = this.snapping.snap(object.getCollisionBounds(), neighbours, free);
+        this.guides = result.guides;
+        return { x: result.x, y: result.y };
+    }
+    
+    // Moves the placement preview under the pointer, snapped. Returns the
+    // preview, or null if the current tool doesn't place objects.
+    updateGhost(position, free = false) {
+        const tool = this.tools[this.selectedTool];
+        if (!tool || !tool.class) {
+            this.hideGhost();
+            return null;
+        }
+        
+        // A real object of the tool's type, so it looks exactly like the placed one
+        const key = `${this.selectedTool}:${this.playerStartSlot}`;
+        if (this.ghostKey !== key) {
+            this.hideGhost();
+            this.ghost = this.createToolObject(this.selectedTool, 0, 0);
+            this.ghostSprite = this.game.view.createObjectSprite(this.ghost);
+            this.ghostSprite.alpha = 0.5;
+            this.ghostKey = key;
+            this.overlayLayer.addChildAt(this.ghostSprite, 0);
+        }
+        
+        this.ghost.x = position.x;
+        this.ghost.y = position.y;
+        const offset = this.getSnapOffset(this.ghost, free);
+        this.ghost.x += offset.x;
+        this.ghost.y += offset.y;
+        this.ghostSprite.position.set(this.ghost.x, this.ghost.y);
+        return this.ghost;
+    }
+    
+    hideGhost() {
+        if (this.ghostSprite) {
+            this.ghostSprite.destroy({ children: true, texture: true, textureSource: true });
+        }
+        this.ghost = null;
+        this.ghostSprite = null;
+        this.ghostKey = null;
+        this.guides = [];
+    }
+    
+    // Redraws the grid, selection outlines, resize handles, alignment guides
+    // and the selection box. Runs every frame while editing so undo and
+    // erase are reflected.
+    updateOverlays() {
+        const world = this.game.world;
+        if (world.children[world.children.length - 1] !== this.overlayLayer) {
+            world.addChild(this.overlayLayer); // Keep it above newly placed objects
+        }
+        this.updateGridOverlay();
+        
+        this.levelCheck.update(this.isEnabled);
+        
+        const overlay = this.selectionOverlay;
+        overlay.clear();
+        if (!this.isEnabled) return;
+        
+        // Forget objects that no longer exist
+        const selected = this.getSelectedPlatforms();
+        if (selected.length !== this.selection.size) {
+            this.setSelection(selected.map(platform => platform.id));
+        }
+        
+        selected.forEach(platform => {
+            const bounds = platform.getCollisionBounds();
+            overlay.lineStyle(2, SELECTION_COLOR);
+            overlay.drawRect(bounds.x - 2, bounds.y - 2, bounds.width + 4, bounds.height + 4);
+        });
+        
+        // Paths of moving platforms, so the level's motion is visible while editing
+        this.game.platforms.forEach(platform => {
+            if (!(platform instanceof MovingPlatform)) return;
+            const waypoints = platform.getWaypoints();
+            overlay.lineStyle(1, 0x6A5ACD, 0.8);
+            overlay.moveTo(waypoints[0].x, waypoints[0].y);
+            waypoints.slice(1).forEach(point => overlay.lineTo(point.x, point.y));
+        });
+        // Walkers' patrol ranges
+        this.game.platforms.forEach(platform => {
+            if (platform.platformType !== 'walker' || platform.range <= 0) return;
+            const bounds = platform.getCollisionBounds();
+            const y = bounds.y + bounds.height + 3;
+            overlay.lineStyle(2, 0x9932CC, 0.8);
+            overlay.moveTo(platform.x - platform.range / 2, y);
+            overlay.lineTo(platform.x + platform.range / 2, y);
+        });
+        
+        // Trigger links, and the one being drawn with the Link tool
+        this.game.platforms.forEach(platform => {
+            if (!platform.isTrigger()) return;
+            platform.targets.forEach(id => {
+                const target = this.game.findPlatformById(id);
+                if (target) {
+                    this.drawLink(overlay, platform, target);
+                }
+            });
+        });
+        if (this.drag && this.drag.mode === 'link') {
+            const bounds = this.drag.source.getCollisionBounds();
+            overlay.lineStyle(2, LINK_COLOR);
+            overlay.drawRect(bounds.x - 2, bounds.y - 2, bounds.width + 4, bounds.height + 4);
+            this.drawLink(overlay, this.drag.source, this.drag.current);
+        }
+        
+        this.getWaypointHandles().forEach(handle => {
+            overlay.lineStyle(1, SELECTION_COLOR);
+            overlay.beginFill(0x6A5ACD);
+            overlay.drawCircle(handle.x, handle.y, WAYPOINT_HANDLE_RADIUS);
+            overlay.endFill();
+        });
+        
+        this.getResizeHandles().forEach(handle => {
+            overlay.lineStyle(1, SELECTION_COLOR);
+            overlay.beginFill(0xFFFFFF);
+            overlay.drawRect(handle.x - RESIZE_HANDLE_SIZE / 2, handle.y - RESIZE_HANDLE_SIZE / 2, RESIZE_HANDLE_SIZE, RESIZE_HANDLE_SIZE);
+            overlay.endFill();
+        });
+        
+        if (this.drag && this.drag.mode === 'box') {
+            const box = this.getBoxRectangle(this.drag);
+            overlay.lineStyle(1, SELECTION_COLOR);
+            overlay.beginFill(SELECTION_COLOR, 0.15);
+            overlay.drawRect(box.x, box.y, box.width, box.height);
+            overlay.endFill();
+        }
+        
+        overlay.lineStyle(1, GUIDE_COLOR);
+        this.guides.forEach(guide => {
+            if (guide.axis === 'x') {
+                overlay.moveTo(guide.at, guide.from - 10);
+                overlay.lineTo(guide.at, guide.to + 10);
+            } else {
+                overlay.moveTo(guide.from - 10, guide.at);
+                overlay.lineTo(guide.to + 10, guide.at);
+            }
+        });
+    }
+    
+    // Line from a trigger to a target (or the cursor), dotted at the target end
+    drawLink(overlay, from, to) {
+        overlay.lineStyle(2, LINK_COLOR, 0.8);
+        overlay.moveTo(from.x, from.y);
+        overlay.lineTo(to.x, to.y);
+        overlay.lineStyle(0);
+        overlay.beginFill(LINK_COLOR);
+        overlay.drawCircle(to.x, to.y, 4);
+        overlay.endFill();
+    }
+    
+    // Grid lines across the level, only redrawn when the size changes
+    updateGridOverlay() {
+        const grid = this.gridOverlay;
+        const world = this.game.world;
+        if (grid.parent !== world) {
+            world.addChildAt(grid, Math.min(1, world.children.length)); // Just above the ground
+        }
+        grid.visible = this.isEnabled;
+        
+        const size = this.snapping.gridSize;
+        const { width, height } = this.game.worldBounds;
+        const key = `${size}:${width}x${height}`;
+        if (key === this.gridKey) return;
+        this.gridKey = key;
+        
+        grid.clear();
+        grid.lineStyle(1, 0xFFFFFF, 0.08);
+        for (let x = 0; x <= width; x += size) {
+            grid.moveTo(x, 0);
+            grid.lineTo(x, height);
+        }
+        for (let y = 0; y <= height; y += size) {
+            grid.moveTo(0, y);
+            grid.lineTo(width, y);
+        }
+    }
+    
+    // Leaving the editor asks about unsaved changes first; discarding
+    // reloads the last saved version of the level, or puts back the level
+    // as it was when editing started if it was never saved
+    async toggle() {
+        if (Dialog.isOpen) return;
+        
+        if (this.isEnabled) {
+            const result = await this.game.resolveUnsavedChanges('Keep editing');
+            if (result === 'cancelled') {
+                return;
+            }
+            if (result === 'discarded') {
+                if (this.game.getSavedLevels()[this.game.currentLevelName]) {
+                    this.game.loadLevel(this.game.currentLevelName);
+                } else {
+                    this.game.applyLevelData(LevelFormat.parse(this.levelAtEditStart).level);
+                }
+            }
+        }
+        
         this.isEnabled = !this.isEnabled;
         this.paletteContainer.style.display = this.isEnabled ? 'block' : 'none';
+        if (this.isEnabled) {
+            this.levelAtEditStart = this.game.serializeLevel(this.game.currentLevelName || 'Untitled');
+        }
+        if (!this.isEnabled) {
+            this.drag = null;
+            this.clearSelection();
+            this.hideGhost();
+            this.updateOverlays();
+            // Online players get the edited level
+            this.game.network.onLevelChanged();
+        }
+        this.updateHistoryButtons();
         console.log(`Level editor ${this.isEnabled ? 'enabled' : 'disabled'}`);
     }
 }
 
+
+// Editor overlay for the position and properties of the selected objects
+class PropertyPanel {
+    constructor(editor) {
+        this.editor = editor;
+        this.element = document.getElementById('propertyPanel');
+    }
+    
+    render() {
+        const selected = this.editor.isEnabled ? this.editor.getSelectedPlatforms() : [];
+        this.element.style.display = selected.length > 0 ? 'block' : 'none';
+        this.element.innerHTML = '';
+        if (selected.length === 0) return;
+        
+        const title = document.createElement('div');
+        title.className = 'propertyTitle';
+        title.textContent = selected.length === 1 ?
+            `${selected[0].platformType} #${selected[0].id}` : `${selected.length} objects selected`;
+        this.element.appendChild(title);
+        
+        if (selected.length === 1 && selected[0].isTrigger()) {
+            const links = document.createElement('div');
+            links.textContent = selected[0].targets.length > 0 ?
+                `Switches ${selected[0].targets.map(id => `#${id}`).join(', ')}` : 'Not linked (use the Link tool)';
+            this.element.appendChild(links);
+        }
+        
+        const fields = [];
+        if (selected.length === 1) {
+            fields.push({ key: 'x', label: 'X' }, { key: 'y', label: 'Y' });
+        }
+        // Type-specific fields only when every selected object shares the type
+        if (selected.every(platform => platform.platformType === selected[0].platformType)) {
+            fields.push(...selected[0].getEditableProperties());
+        }
+        
+        const table = document.createElement('table');
+        fields.forEach(field => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = field.label;
+            row.appendChild(label);
+            
+            const input = document.createElement('input');
+            const values = new Set(selected.map(platform => platform[field.key]));
+            if (field.toggle) {
+                input.type = 'checkbox';
+                input.checked = values.size === 1 && selected[0][field.key];
+                input.indeterminate = values.size > 1;
+                input.addEventListener('change', () => this.editor.setSelectionProperty(field.key, input.checked, field.label));
+            } else {
+                input.type = 'number';
+                input.step = field.integer ? '1' : 'any';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                input.value = values.size === 1 ? selected[0][field.key] : '';
+                input.placeholder = values.size === 1 ? '' : 'mixed';
+                input.addEventListener('change', () => this.commit(field, input.value));
+            }
+            
+            const cell = document.createElement('td');
+            cell.appendChild(input);
+            row.appendChild(cell);
+            table.appendChild(row);
+        });
+        this.element.appendChild(table);
+        
+        const footer = document.createElement('div');
+        footer.className = 'propertyFooter';
+        if (selected.length === 1) {
+            const platform = selected[0];
+            platform.getEditorActions().forEach(action => {
+                const button = document.createElement('button');
+                button.textContent = action.label;
+                button.title = action.title || '';
+                button.disabled = !!action.disabled;
+                button.addEventListener('click', () => {
+                    const before = {};
+                    Object.keys(action.properties).forEach(key => { before[key] = platform[key]; });
+                    this.editor.execute(new PropertyCommand(this.editor.game, platform.id, before, action.properties, action.label));
+                });
+                footer.appendChild(button);
+            });
+        }
+        const copyButton = document.createElement('button');
+        copyButton.textContent = 'Copy';
+        copyButton.title = 'Ctrl+C, paste with Ctrl+V';
+        copyButton.addEventListener('click', () => this.editor.copySelection());
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.title = 'Delete / Backspace';
+        deleteButton.addEventListener('click', () => this.editor.deleteSelection());
+        footer.appendChild(copyButton);
+        footer.appendChild(deleteButton);
+        this.element.appendChild(footer);
+    }
+    
+    // Returns the typed value, or null if the field doesn't allow it
+    parseValue(field, text) {
+        const value = Number(text);
+        if (text.trim() === '' || !isFinite(value)) return null;
+        if (field.integer && !Number.isInteger(value)) return null;
+        if (field.min !== undefined && value < field.min) return null;
+        if (field.max !== undefined && value > field.max) return null;
+        return value;
+    }
+    
+    commit(field, text) {
+        const value = this.parseValue(field, text);
+        if (value === null) {
+            this.render(); // Put the current value back
+            return;
+        }
+        this.editor.setSelectionProperty(field.key, value, field.label);
+    }
+}
@@ -0,0 +1,231 @@
+// Trampoline Game Prototype
+// Ghost runs: race against the best attempt at a level
+//
+// While playing, every player's position is sampled every
+// GHOST_SAMPLE_TICKS steps. When a level is completed faster than its
+// ghost (or it has none yet), the attempt becomes the level's ghost. The
+// next attempt plays it back as translucent players and shows split times
+// against it as each star is collected.
+//
+// Ghosts are stored by level name in localStorage (`trampolineGhosts`) and
+// travel with exported levels as their `ghost` block:
+//
+//   "ghost": {
+//     "timeMs": 12480,
+//     "sampleTicks": 6,
+//     "splits": [3150, 7420, 12480],
+//     "players": [ { "playerIndex": 0, "positions": [100, 474, 101.2, 474, null, null, ...] } ]
+//   }
+//
+// `splits` are the times the 1st, 2nd, ... star was collected; `positions`
+// holds x, y per sample, null while the player was dead or not there.
+
+import { SIMULATION_HZ, FIXED_TIMESTEP_MS, PLAYER_COLORS } from './sim/constants.js';
+import { Utils } from './sim/utils.js';
+import { createPlayerSprite } from './view.js';
+
+const GHOST_SAMPLE_TICKS = 6; // 20 samples a second at 120Hz
+const GHOST_ALPHA = 0.35;
+const SPLIT_DISPLAY_TICKS = SIMULATION_HZ * 2.5;
+
+export class GhostRace {
+    constructor(game) {
+        this.game = game;
+        this.storageKey = 'trampolineGhosts';
+        this.ghost = null; // The current level's ghost, raced in this attempt
+        this.sprites = []; // A player sprite per ghost player, made on first use
+        this.recording = null; // { splits, positions: Map of player index -> [x, y, ...], samples }
+        this.starsCollected = 0; // Most stars collected at once this attempt
+        this.split = null; // { text, color, untilTick } on show
+    }
+
+    getSavedGhosts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to load ghosts:', error);
+            return {};
+        }
+    }
+
+    setSavedGhosts(ghosts) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(ghosts));
+        } catch (error) {
+            console.error('Failed to save ghosts:', error);
+        }
+    }
+
+    getGhost(levelName) {
+        return this.getSavedGhosts()[levelName] || null;
+    }
+
+    // Stores a level's ghost, or removes it when null
+    setGhost(levelName, ghost) {
+        const ghosts = this.getSavedGhosts();
+        if (ghost) {
+            ghosts[levelName] = ghost;
+        } else {
+            delete ghosts[levelName];
+        }
+        this.setSavedGhosts(ghosts);
+    }
+
+    renameLevel(oldName, newName) {
+        const ghost = this.getGhost(oldName);
+        if (ghost) {
+            this.setGhost(newName, ghost);
+            this.setGhost(oldName, null);
+        }
+    }
+
+    // Exported levels carry their ghost along
+    attachGhost(levelData, levelName) {
+        const ghost = this.getGhost(levelName);
+        return ghost ? { ...levelData, ghost } : levelData;
+    }
+
+    // Begins racing the level's ghost, if it has one, and recording the
+    // attempt. Replays show their own players only.
+    startRun() {
+        const game = this.game;
+        this.removeSprites();
+        this.split = null;
+        this.updateSplitDisplay();
+        this.starsCollected = 0;
+        if (game.replayPlayer.isActive()) {
+            this.ghost = null;
+            this.recording = null;
+            return;
+        }
+        this.ghost = game.currentLevelName ? this.getGhost(game.currentLevelName) : null;
+        this.recording = { splits: [], positions: new Map(), samples: 0 };
+        this.sample();
+    }
+
+    // Called every step the attempt's time runs
+    update() {
+        if (!this.recording) return;
+        const ticks = this.game.run.ticks;
+        if (ticks % GHOST_SAMPLE_TICKS === 0) {
+            this.sample();
+        }
+        this.checkSplits(ticks);
+        this.moveSprites(ticks);
+        if (this.split && ticks >= this.split.untilTick) {
+            this.split = null;
+        }
+        this.updateSplitDisplay();
+    }
+
+    sample() {
+        const recording = this.recording;
+        const present = new Set();
+        this.game.players.forEach(player => {
+            if (!recording.positions.has(player.playerIndex)) {
+                recording.positions.set(player.playerIndex, new Array(recording.samples * 2).fill(null));
+            }
+            const positions = recording.positions.get(player.playerIndex);
+            if (player.isDead()) {
+                positions.push(null, null);
+            } else {
+                positions.push(Math.round(player.x * 10) / 10, Math.round(player.y * 10) / 10);
+            }
+            present.add(player.playerIndex);
+        });
+        recording.positions.forEach((positions, playerIndex) => {
+            if (!present.has(playerIndex)) {
+                positions.push(null, null);
+            }
+        });
+        recording.samples++;
+    }
+
+    // A split is taken the first time each number of stars is reached, so
+    // stars lost on death and collected again don't count twice
+    checkSplits(ticks) {
+        const collected = this.game.platforms.filter(platform => platform.platformType === 'star' && platform.collected).length;
+        while (this.starsCollected < collected) {
+            this.starsCollected++;
+            const timeMs = ticks * FIXED_TIMESTEP_MS;
+            this.recording.splits.push(timeMs);
+            this.showSplit(this.starsCollected, timeMs);
+        }
+    }
+
+    showSplit(star, timeMs) {
+        let text = `★ ${star}  ${Utils.formatTime(timeMs)}`;
+        let color = '#FFD700';
+        const ghostMs = this.ghost ? this.ghost.splits[star - 1] : undefined;
+        if (ghostMs !== undefined) {
+            const difference = timeMs - ghostMs;
+            text += `  ${difference <= 0 ? '−' : '+'}${(Math.abs(difference) / 1000).toFixed(2)}`;
+            color = difference <= 0 ? '#6BFF8B' : '#FF6B6B';
+        }
+        this.split = { text, color, untilTick: this.game.run.ticks + SPLIT_DISPLAY_TICKS };
+    }
+
+    updateSplitDisplay() {
+        const element = document.getElementById('splitDisplay');
+        element.textContent = this.split ? this.split.text : '';
+        element.style.color = this.split ? this.split.color : '';
+    }
+
+    // Puts the ghost players where they were at this point of the ghost's run
+    moveSprites(ticks) {
+        if (!this.ghost) return;
+        if (this.sprites.length === 0) {
+            this.createSprites();
+        }
+        const position = ticks / this.ghost.sampleTicks;
+        const index = Math.floor(position);
+        const t = position - index;
+        this.ghost.players.forEach(({ positions }, i) => {
+            const sprite = this.sprites[i];
+            const x = positions[index * 2];
+            const y = positions[index * 2 + 1];
+            const hasNext = positions[index * 2 + 2] !== undefined && positions[index * 2 + 2] !== null;
+            // Gone while dead, before joining and once the ghost has finished
+            sprite.visible = x !== undefined && x !== null;
+            if (sprite.visible) {
+                sprite.x = hasNext ? Utils.lerp(x, positions[index * 2 + 2], t) : x;
+                sprite.y = hasNext ? Utils.lerp(y, positions[index * 2 + 3], t) : y;
+            }
+        });
+    }
+
+    createSprites() {
+        const game = this.game;
+        this.sprites = this.ghost.players.map(({ playerIndex }) => {
+            const sprite = createPlayerSprite(game.app.renderer, PLAYER_COLORS[playerIndex]);
+            sprite.alpha = GHOST_ALPHA;
+            sprite.visible = false;
+            game.world.addChild(sprite);
+            return sprite;
+        });
+    }
+
+    removeSprites() {
+        this.sprites.forEach(sprite => this.game.world.removeChild(sprite));
+        this.sprites = [];
+    }
+
+    // Called when the level is completed. Keeps the attempt as the level's
+    // ghost if it beat the old one; returns whether it did.
+    finishRun(levelName, timeMs) {
+        if (!this.recording) return false;
+        this.sample();
+        this.removeSprites();
+        if (this.ghost && this.ghost.timeMs <= timeMs) return false;
+
+        this.setGhost(levelName, {
+            timeMs,
+            sampleTicks: GHOST_SAMPLE_TICKS,
+            splits: this.recording.splits,
+            players: [...this.recording.positions.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([playerIndex, positions]) => ({ playerIndex, positions }))
+        });
+        return true;
+    }
+}
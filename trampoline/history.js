@@ -0,0 +1,247 @@
+// Trampoline Game Prototype
+// Level editor undo/redo history
+//
+// Every editor change is a command with do() and undo(). Commands refer to
+// level objects by their level id (not by reference), so a level's history
+// stays valid after the level is saved, left and loaded again.
+
+import { LevelFormat } from './sim/levelFormat.js';
+
+// Adds a new object to the level
+export class PlaceCommand {
+    constructor(game, entry) {
+        this.game = game;
+        this.entry = entry; // Level format entry, including the id
+        this.description = `Place ${entry.type}`;
+    }
+
+    do() {
+        this.game.addPlatform(LevelFormat.createObject(this.entry));
+    }
+
+    undo() {
+        this.game.removePlatformById(this.entry.id);
+    }
+}
+
+// Removes an object, remembering where it was in the draw order
+export class EraseCommand {
+    constructor(game, platform) {
+        this.game = game;
+        this.entry = LevelFormat.serializeObject(platform);
+        this.index = game.platforms.indexOf(platform);
+        this.description = `Erase ${this.entry.type}`;
+    }
+
+    do() {
+        this.game.removePlatformById(this.entry.id);
+    }
+
+    undo() {
+        this.game.insertPlatform(LevelFormat.createObject(this.entry), this.index);
+    }
+}
+
+export class MoveCommand {
+    constructor(game, id, from, to) {
+        this.game = game;
+        this.id = id;
+        this.from = { x: from.x, y: from.y };
+        this.to = { x: to.x, y: to.y };
+        this.description = 'Move';
+    }
+
+    do() {
+        this.moveTo(this.to);
+    }
+
+    undo() {
+        this.moveTo(this.from);
+    }
+
+    moveTo(position) {
+        const platform = this.game.findPlatformById(this.id);
+        if (platform) {
+            platform.x = position.x;
+            platform.y = position.y;
+        }
+    }
+}
+
+// Changes type-specific fields (size, bounce force, ...) of an object.
+// `before` and `after` hold the same keys.
+export class PropertyCommand {
+    constructor(game, id, before, after, description = 'Edit properties') {
+        this.game = game;
+        this.id = id;
+        this.before = { ...before };
+        this.after = { ...after };
+        this.description = description;
+    }
+
+    do() {
+        this.apply(this.after);
+    }
+
+    undo() {
+        this.apply(this.before);
+    }
+
+    apply(properties) {
+        const platform = this.game.findPlatformById(this.id);
+        if (platform) {
+            platform.applyProperties(properties);
+        }
+    }
+}
+
+export class WorldBoundsCommand {
+    constructor(game, from, to) {
+        this.game = game;
+        this.from = { ...from };
+        this.to = { ...to };
+        this.description = 'Resize level';
+    }
+
+    do() {
+        this.game.setWorldBounds(this.to);
+    }
+
+    undo() {
+        this.game.setWorldBounds(this.from);
+    }
+}
+
+// Stores or removes the level's own physics values (null = none)
+export class LevelPhysicsCommand {
+    constructor(game, from, to) {
+        this.game = game;
+        this.from = from;
+        this.to = to;
+        this.description = to ? 'Store physics in level' : 'Remove physics from level';
+    }
+
+    do() {
+        this.game.setLevelPhysics(this.to);
+    }
+
+    undo() {
+        this.game.setLevelPhysics(this.from);
+    }
+}
+
+// Sets or removes the level's trampoline budget (null = unlimited)
+export class LevelInventoryCommand {
+    constructor(game, from, to) {
+        this.game = game;
+        this.from = from;
+        this.to = to;
+        this.description = to ? 'Change trampoline budget' : 'Remove trampoline budget';
+    }
+
+    do() {
+        this.game.setLevelInventory(this.to);
+    }
+
+    undo() {
+        this.game.setLevelInventory(this.from);
+    }
+}
+
+// Sets whether collected stars stay collected when a player dies
+export class StarRuleCommand {
+    constructor(game, from, to) {
+        this.game = game;
+        this.from = from;
+        this.to = to;
+        this.description = to ? 'Keep stars on death' : 'Lose stars on death';
+    }
+
+    do() {
+        this.game.setKeepStarsOnDeath(this.to);
+    }
+
+    undo() {
+        this.game.setKeepStarsOnDeath(this.from);
+    }
+}
+
+// Several commands undone and redone as one step
+export class CompoundCommand {
+    constructor(commands, description) {
+        this.commands = commands;
+        this.description = description || commands.map(c => c.description).join(', ');
+    }
+
+    do() {
+        this.commands.forEach(command => command.do());
+    }
+
+    undo() {
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+}
+
+export class EditorHistory {
+    constructor(limit = 200) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+        // Undo stack depth at the last save; null if that state was dropped
+        this.savedDepth = 0;
+    }
+
+    // Runs a command and records it
+    execute(command) {
+        command.do();
+        this.record(command);
+    }
+
+    // Records a command whose change has already been applied (e.g. a drag)
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+            if (this.savedDepth !== null) {
+                this.savedDepth = this.savedDepth > 0 ? this.savedDepth - 1 : null;
+            }
+        }
+        // The saved state can't be reached again once its redo branch is gone
+        if (this.savedDepth !== null && this.savedDepth > this.undoStack.length - 1) {
+            this.savedDepth = null;
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.do();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    markSaved() {
+        this.savedDepth = this.undoStack.length;
+    }
+
+    isAtSavedState() {
+        return this.savedDepth === this.undoStack.length;
+    }
+}
@@ -0,0 +1,318 @@
+// Trampoline Game Prototype
+// Input layer: maps keyboard keys and gamepad buttons to logical actions
+
+import { INPUT_ACTIONS, Controller } from './sim/controller.js';
+
+// Default mapping table. Keyboard entries are KeyboardEvent.code values,
+// gamepad entries are standard-mapping button indices.
+const DEFAULT_BINDINGS = {
+    keyboard: {
+        wasd: {
+            moveLeft: ['KeyA'],
+            moveRight: ['KeyD'],
+            moveDown: ['KeyS'],
+            jump: ['KeyW', 'Space'],
+            placeTrampoline: ['KeyT'],
+            nextTrampoline: ['KeyQ'],
+            toggleEditor: ['KeyE'],
+            reset: ['KeyR']
+        },
+        arrows: {
+            moveLeft: ['ArrowLeft'],
+            moveRight: ['ArrowRight'],
+            moveDown: ['ArrowDown'],
+            jump: ['ArrowUp'],
+            placeTrampoline: ['Slash'],
+            nextTrampoline: ['Period'],
+            toggleEditor: [],
+            reset: []
+        }
+    },
+    gamepad: {
+        moveLeft: [14],       // D-pad left
+        moveRight: [15],      // D-pad right
+        moveDown: [13],       // D-pad down
+        jump: [0, 1, 12],     // A, B, D-pad up
+        placeTrampoline: [2], // X
+        nextTrampoline: [3],  // Y
+        toggleEditor: [8],    // Select
+        reset: [9]            // Start
+    }
+};
+
+export const KEYBOARD_LAYOUT_NAMES = {
+    wasd: 'WASD',
+    arrows: 'Arrows'
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start',
+    'L3', 'R3', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Home'
+];
+
+// Rebindable mapping table, persisted in localStorage
+export class InputBindings {
+    constructor() {
+        this.storageKey = 'trampolineInputBindings';
+        this.bindings = this.load();
+        this.listeners = [];
+    }
+
+    load() {
+        const bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                // Merge over the defaults so newly added actions keep a binding
+                const parsed = JSON.parse(saved);
+                Object.keys(bindings.keyboard).forEach(layout => {
+                    Object.assign(bindings.keyboard[layout], parsed.keyboard?.[layout]);
+                });
+                Object.assign(bindings.gamepad, parsed.gamepad);
+            }
+        } catch (error) {
+            console.error('Failed to load input bindings:', error);
+        }
+        return bindings;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.error('Failed to save input bindings:', error);
+        }
+        this.listeners.forEach(listener => listener());
+    }
+
+    // Returns the action -> inputs table for a device
+    // ('keyboard' with a layout name, or 'gamepad')
+    getMap(device, layout) {
+        return device === 'keyboard' ? this.bindings.keyboard[layout] : this.bindings.gamepad;
+    }
+
+    setBinding(device, layout, action, input) {
+        this.getMap(device, layout)[action] = [input];
+        this.save();
+    }
+
+    clearBinding(device, layout, action) {
+        this.getMap(device, layout)[action] = [];
+        this.save();
+    }
+
+    resetToDefaults() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        this.save();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+// Whether a key event target is a form field the user is typing into
+export function isTextEntry(target) {
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || !!target.isContentEditable);
+}
+
+// Tracks which keys are held; shared by all keyboard controllers
+export class KeyboardState {
+    constructor() {
+        this.keys = {};
+        this.enabled = true;
+
+        window.addEventListener('keydown', (e) => {
+            // Typing in the editor's property panel shouldn't move players
+            if (isTextEntry(e.target)) return;
+            this.keys[e.code] = true;
+        });
+
+        window.addEventListener('keyup', (e) => {
+            this.keys[e.code] = false;
+        });
+    }
+
+    isDown(code) {
+        return this.enabled && !!this.keys[code];
+    }
+}
+
+export class KeyboardController extends Controller {
+    constructor(bindings, keyboardState, layout) {
+        super(bindings, 'keyboard', layout);
+        this.keyboardState = keyboardState;
+    }
+
+    isInputDown(code) {
+        return this.keyboardState.isDown(code);
+    }
+
+    describe() {
+        return `Keyboard (${KEYBOARD_LAYOUT_NAMES[this.layout]})`;
+    }
+}
+
+export class GamepadController extends Controller {
+    constructor(bindings, gamepadIndex, deadzone = 0.3) {
+        super(bindings, 'gamepad');
+        this.gamepadIndex = gamepadIndex;
+        this.deadzone = deadzone; // Threshold for analog stick movement
+        this.gamepad = null;
+    }
+
+    poll() {
+        // Get the latest gamepad state
+        this.gamepad = navigator.getGamepads()[this.gamepadIndex];
+        const leftStickX = this.gamepad ? this.gamepad.axes[0] : 0;
+        this.axisX = Math.abs(leftStickX) > this.deadzone ? leftStickX : 0;
+    }
+
+    isInputDown(buttonIndex) {
+        return !!this.gamepad?.buttons[buttonIndex]?.pressed;
+    }
+
+    describe() {
+        // Truncate gamepad name if too long
+        let name = this.gamepad?.id || navigator.getGamepads()[this.gamepadIndex]?.id || `Gamepad ${this.gamepadIndex}`;
+        if (name.length > 30) {
+            name = name.substring(0, 27) + '...';
+        }
+        return name;
+    }
+}
+
+// Small overlay for viewing and rebinding the mapping table
+export class BindingsPanel {
+    constructor(bindings, keyboardState) {
+        this.bindings = bindings;
+        this.keyboardState = keyboardState;
+        this.element = document.getElementById('bindingsPanel');
+        this.isVisible = false;
+        this.capture = null; // { device, layout, action } while waiting for input
+
+        this.bindings.onChange(() => this.render());
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.capture || this.capture.device !== 'keyboard') return;
+            e.preventDefault();
+            if (e.code !== 'Escape') {
+                this.bindings.setBinding('keyboard', this.capture.layout, this.capture.action, e.code);
+            }
+            this.endCapture();
+        });
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.style.display = this.isVisible ? 'block' : 'none';
+        if (this.isVisible) {
+            this.render();
+        } else {
+            this.endCapture();
+        }
+    }
+
+    beginCapture(device, layout, action) {
+        this.capture = { device, layout, action };
+        // Don't let the key or button being bound also drive the game
+        this.keyboardState.enabled = false;
+        this.render();
+
+        if (device === 'gamepad') {
+            this.pollGamepadCapture();
+        }
+    }
+
+    endCapture() {
+        this.capture = null;
+        // Forget the key that was just bound so it doesn't read as held
+        this.keyboardState.keys = {};
+        this.keyboardState.enabled = true;
+        this.render();
+    }
+
+    pollGamepadCapture() {
+        if (!this.capture || this.capture.device !== 'gamepad') return;
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad) continue;
+            const buttonIndex = gamepad.buttons.findIndex(button => button.pressed);
+            if (buttonIndex !== -1) {
+                this.bindings.setBinding('gamepad', null, this.capture.action, buttonIndex);
+                this.endCapture();
+                return;
+            }
+        }
+        requestAnimationFrame(() => this.pollGamepadCapture());
+    }
+
+    describeInput(device, input) {
+        if (device === 'gamepad') {
+            return GAMEPAD_BUTTON_NAMES[input] || `Button ${input}`;
+        }
+        return input.replace(/^Key|^Digit/, '');
+    }
+
+    render() {
+        if (!this.isVisible) return;
+
+        const devices = [
+            ...Object.keys(KEYBOARD_LAYOUT_NAMES).map(layout => ({
+                device: 'keyboard', layout, name: `Keys (${KEYBOARD_LAYOUT_NAMES[layout]})`
+            })),
+            { device: 'gamepad', layout: null, name: 'Gamepad' }
+        ];
+
+        this.element.innerHTML = '';
+
+        const table = document.createElement('table');
+        const header = document.createElement('tr');
+        ['Action', ...devices.map(d => d.name)].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        Object.entries(INPUT_ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+            row.appendChild(name);
+
+            devices.forEach(({ device, layout }) => {
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                const capturing = this.capture && this.capture.device === device &&
+                                  this.capture.layout === layout && this.capture.action === action;
+                const inputs = this.bindings.getMap(device, layout)[action] || [];
+                button.textContent = capturing ? 'Press...' :
+                    (inputs.map(input => this.describeInput(device, input)).join(' / ') || '—');
+                button.title = 'Click to rebind, right-click to clear';
+                button.addEventListener('click', () => this.beginCapture(device, layout, action));
+                button.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.bindings.clearBinding(device, layout, action);
+                });
+                cell.appendChild(button);
+                row.appendChild(cell);
+            });
+
+            table.appendChild(row);
+        });
+        this.element.appendChild(table);
+
+        const footer = document.createElement('div');
+        footer.className = 'bindingsFooter';
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => this.bindings.resetToDefaults());
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => this.toggle());
+        footer.appendChild(resetButton);
+        footer.appendChild(closeButton);
+        this.element.appendChild(footer);
+    }
+}
@@ -0,0 +1,139 @@
+// Trampoline Game Prototype
+// Editor panel for the level's trampoline budget. The budget itself and
+// its level data block are in sim/inventory.js.
+
+import { INVENTORY_MODES, DEFAULT_INVENTORY } from './sim/inventory.js';
+import { LevelFormat } from './sim/levelFormat.js';
+import { LevelInventoryCommand } from './history.js';
+
+// Editor overlay for the current level's trampoline budget. Every change is
+// an undoable edit of the level.
+export class InventoryPanel {
+    constructor(game) {
+        this.game = game;
+        this.element = document.getElementById('inventoryPanel');
+        this.isVisible = false;
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.style.display = this.isVisible ? 'block' : 'none';
+        this.render();
+    }
+
+    render() {
+        if (!this.isVisible) return;
+        const inventory = this.game.levelInventory;
+        this.element.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'inventoryTitle';
+        title.textContent = `Trampolines: ${this.game.currentLevelName || 'Untitled'}`;
+        this.element.appendChild(title);
+
+        const limitRow = document.createElement('label');
+        limitRow.className = 'inventoryRow';
+        const limit = document.createElement('input');
+        limit.type = 'checkbox';
+        limit.checked = !!inventory;
+        limit.addEventListener('change', () => {
+            this.commit(limit.checked ? DEFAULT_INVENTORY : null);
+        });
+        limitRow.appendChild(limit);
+        limitRow.appendChild(document.createTextNode(' Limit the trampolines players can place'));
+        this.element.appendChild(limitRow);
+
+        if (inventory) {
+            this.element.appendChild(this.createModeRow(inventory));
+            this.element.appendChild(this.createKindTable(inventory));
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'inventoryRow';
+        if (inventory) {
+            footer.appendChild(this.createButton('Add kind', () => {
+                this.commit({ ...inventory, trampolines: [...inventory.trampolines, { ...DEFAULT_INVENTORY.trampolines[0] }] });
+            }));
+        }
+        footer.appendChild(this.createButton('Close', () => this.toggle()));
+        this.element.appendChild(footer);
+    }
+
+    createModeRow(inventory) {
+        const row = document.createElement('div');
+        row.className = 'inventoryRow';
+        row.appendChild(document.createTextNode('Budget: '));
+        const select = document.createElement('select');
+        Object.entries(INVENTORY_MODES).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            option.selected = mode === inventory.mode;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            this.commit({ ...inventory, mode: select.value });
+        });
+        row.appendChild(select);
+        return row;
+    }
+
+    createKindTable(inventory) {
+        const fields = [
+            { key: 'bounceForce', label: 'Force' },
+            { key: 'ttl', label: 'Bounces (-1 = ∞)' },
+            { key: 'count', label: 'Count' }
+        ];
+
+        const table = document.createElement('table');
+        const header = document.createElement('tr');
+        [...fields.map(field => field.label), ''].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.appendChild(th);
+        });
+        table.appendChild(header);
+
+        inventory.trampolines.forEach((kind, index) => {
+            const row = document.createElement('tr');
+            fields.forEach(field => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.value = kind[field.key];
+                input.addEventListener('change', () => {
+                    const value = Number(input.value);
+                    if (input.value.trim() === '' || LevelFormat.checkInventoryValue(field.key, value)) {
+                        input.value = kind[field.key]; // Put the current value back
+                        return;
+                    }
+                    const trampolines = inventory.trampolines.map((other, i) =>
+                        i === index ? { ...other, [field.key]: value } : other
+                    );
+                    this.commit({ ...inventory, trampolines });
+                });
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            const cell = document.createElement('td');
+            cell.appendChild(this.createButton('Remove', () => {
+                this.commit({ ...inventory, trampolines: inventory.trampolines.filter((other, i) => i !== index) });
+            }));
+            row.appendChild(cell);
+            table.appendChild(row);
+        });
+        return table;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    commit(inventory) {
+        this.game.levelEditor.execute(new LevelInventoryCommand(this.game, this.game.levelInventory, inventory));
+    }
+}
@@ -0,0 +1,111 @@
+// Trampoline Game Prototype
+// Level editor solvability check: where players can get and which stars
+// they can't reach (see sim/reachability.js)
+//
+// The search runs a few milliseconds every frame so the editor stays
+// responsive, and its overlay fills in as it goes: the cells the players
+// pass through, the jump and bounce arcs that found new places and a red
+// ring around every star not reached. Any edit, or loading another level,
+// clears it.
+
+import { LevelFormat } from './sim/levelFormat.js';
+import { LevelAnalyser } from './sim/reachability.js';
+
+const CHECK_FRAME_MS = 8; // Search time per frame
+const CELL_COLOR = 0x00FF7F;
+const UNREACHABLE_COLOR = 0xFF3030;
+const ARC_COLORS = {
+    jump: 0xFFFFFF,
+    bounce: 0x4ECDC4,
+    place: 0xFFA500,
+    drop: 0xDEB887,
+    fall: 0xAAAAAA
+};
+
+export class LevelCheck {
+    constructor(game) {
+        this.game = game;
+        this.analyser = null; // Search of the current level, running or finished
+        this.overlay = new PIXI.Graphics();
+        this.status = document.getElementById('checkStatus');
+    }
+
+    isActive() {
+        return !!this.analyser;
+    }
+
+    toggle() {
+        if (this.isActive()) {
+            this.clear();
+        } else {
+            this.start();
+        }
+    }
+
+    // Checks the level as it is in the editor, with the physics in effect
+    start() {
+        const game = this.game;
+        const data = game.serializeLevel(game.currentLevelName || 'Untitled');
+        data.physics = game.physics.toLevelData();
+        this.analyser = new LevelAnalyser(LevelFormat.parse(data).level);
+        this.showStatus();
+    }
+
+    clear() {
+        this.analyser = null;
+        this.overlay.clear();
+        this.status.textContent = '';
+    }
+
+    // Called every frame while editing
+    update(isEditing) {
+        this.overlay.visible = isEditing;
+        if (!this.analyser || this.analyser.done) return;
+
+        const until = performance.now() + CHECK_FRAME_MS;
+        while (!this.analyser.run(1) && performance.now() < until) {}
+        this.draw();
+        this.showStatus();
+    }
+
+    draw() {
+        const report = this.analyser.getReport();
+        const overlay = this.overlay;
+        const size = report.cellSize;
+        overlay.clear();
+
+        overlay.beginFill(CELL_COLOR, 0.12);
+        report.cells.forEach(([x, y]) => overlay.drawRect(x * size, y * size, size, size));
+        overlay.endFill();
+
+        report.arcs.forEach(arc => {
+            overlay.lineStyle(1, ARC_COLORS[arc.kind], 0.35);
+            overlay.moveTo(arc.points[0], arc.points[1]);
+            for (let i = 2; i < arc.points.length; i += 2) {
+                overlay.lineTo(arc.points[i], arc.points[i + 1]);
+            }
+        });
+
+        report.stars.forEach(star => {
+            overlay.lineStyle(star.reachable ? 2 : 4, star.reachable ? CELL_COLOR : UNREACHABLE_COLOR);
+            overlay.drawCircle(star.x, star.y, 24);
+        });
+        overlay.lineStyle(0);
+    }
+
+    showStatus() {
+        const report = this.analyser.getReport();
+        const total = report.stars.length;
+        const reached = total - report.unreachable.length;
+        if (!this.analyser.done) {
+            this.status.textContent = `Checking... ${reached} of ${total} stars reached (${report.searched} places)`;
+        } else if (report.unreachable.length === 0) {
+            this.status.textContent = `Check: all ${total} stars reachable`;
+        } else {
+            this.status.textContent = `Check: ${report.unreachable.length} of ${total} stars can't be reached (circled in red)`;
+        }
+        if (this.analyser.done && !report.complete) {
+            this.status.textContent += `, stopped after ${report.searched} places`;
+        }
+    }
+}
@@ -0,0 +1,756 @@
+// Trampoline Game Prototype
+// Online co-op through the local relay server (server/relay.js)
+//
+// One player hosts a room and their Game stays authoritative over the
+// level, the stars and every player. Players who join (clients) send their
+// input for every simulation step and get snapshots of the host's game
+// back. A client moves its own Catfox from its input straight away
+// (prediction); when a snapshot shows the host ended up somewhere else, it
+// takes the host's state and replays the inputs the host hasn't seen yet
+// (reconciliation). The other players are shown a little in the past,
+// between the last snapshots. The rest of the level isn't rewound, so
+// replays are approximate until the next snapshot.
+//
+// Messages between host and clients go through the relay as
+// { type: 'relay', data } with these data types:
+//   client -> host: input { frame: { seq, actions, axisX } }
+//   host -> client: welcome { playerIndex }, full, level { level }, snapshot
+
+import { SIMULATION_HZ, FIXED_TIMESTEP_MS, MAX_FRAME_MS, MAX_PLAYERS } from './sim/constants.js';
+import { Utils } from './sim/utils.js';
+import { INPUT_ACTIONS, Controller } from './sim/controller.js';
+import { LevelFormat } from './sim/levelFormat.js';
+
+const DEFAULT_RELAY_PORT = 8080;
+const SNAPSHOT_INTERVAL_TICKS = 4; // 30 snapshots a second at 120Hz
+const MAX_QUEUED_INPUTS = 12; // A client's frames the host keeps before dropping the oldest
+const INPUT_HISTORY_LIMIT = SIMULATION_HZ * 2; // Unacknowledged frames a client keeps for replays
+const RECONCILE_TOLERANCE = 0.5; // Pixels the prediction may be off before it is corrected
+const REMOTE_DELAY_TICKS = SNAPSHOT_INTERVAL_TICKS * 3; // How far in the past other players are shown
+const HIDDEN_TICK_MS = 16; // Simulation rate while the tab is in the background
+
+// Input actions as a bitmask, in INPUT_ACTIONS order
+export function encodeActions(controller) {
+    return Object.keys(INPUT_ACTIONS).reduce((bits, action, index) =>
+        controller.isDown(action) ? bits | (1 << index) : bits, 0);
+}
+
+export function decodeActions(bits) {
+    const actions = {};
+    Object.keys(INPUT_ACTIONS).forEach((action, index) => {
+        actions[action] = (bits & (1 << index)) !== 0;
+    });
+    return actions;
+}
+
+// Controller fed with input frames received over the network. The host
+// drives online players with one; a client uses one to replay its inputs.
+class RemoteController extends Controller {
+    constructor(peerId = null) {
+        super(null, 'remote');
+        this.peerId = peerId; // Relay id of the client it belongs to
+        this.frames = []; // Frames received and not yet simulated
+        this.lastSeq = 0; // Sequence number of the last frame simulated
+    }
+
+    pushFrame(frame) {
+        this.frames.push(frame);
+        if (this.frames.length > MAX_QUEUED_INPUTS) {
+            this.frames.shift();
+        }
+    }
+
+    // One frame per step; without a new one the same keys stay held
+    update() {
+        this.previous = this.current;
+        const frame = this.frames.shift();
+        if (frame) {
+            this.setFrame(frame);
+        }
+    }
+
+    setFrame(frame) {
+        this.current = decodeActions(frame.actions);
+        // Online players don't get to open the host's editor
+        this.current.toggleEditor = false;
+        this.axisX = Utils.clamp(Number(frame.axisX) || 0, -1, 1);
+        this.lastSeq = frame.seq;
+    }
+
+    describe() {
+        return this.peerId === null ? 'Online' : `Online (#${this.peerId})`;
+    }
+}
+
+// Connection to the relay and this game's part in a room: 'host',
+// 'client' or null when playing locally
+export class NetworkSession {
+    constructor(game) {
+        this.game = game;
+        this.socket = null;
+        this.relayUrl = null;
+        this.role = null;
+        this.room = null; // { code, name }
+        this.status = 'Not connected';
+        this.rooms = []; // Open rooms, from the last refresh
+        this.listeners = [];
+        this.hiddenTimer = null; // Keeps the game running in a background tab
+
+        // Host
+        this.peers = new Map(); // Relay peer id -> Catfox
+
+        // Client
+        this.localPlayer = null;
+        this.inputSeq = 0;
+        this.history = []; // { seq, actions, axisX, state } for frames the host hasn't acknowledged
+        this.ackedActions = 0; // Actions of the last frame the host acknowledged
+        this.pendingSnapshot = null; // Applied at the start of the next step
+        this.remoteStates = new Map(); // Player index -> [{ tick, state }] for other players
+        this.hostTick = 0; // Estimate of the host's current step
+        this.showingResults = false;
+    }
+
+    isHost() {
+        return this.role === 'host';
+    }
+
+    isClient() {
+        return this.role === 'client';
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.listeners.forEach(listener => listener());
+    }
+
+    // Relay on the server the page came from, or on this machine when the
+    // page was opened from disk
+    static getDefaultRelayUrl() {
+        return location.protocol.startsWith('http') ?
+            `ws://${location.host}/relay` : `ws://localhost:${DEFAULT_RELAY_PORT}/relay`;
+    }
+
+    // Opens the connection to the relay, or reuses the open one
+    connect(url) {
+        if (this.socket && this.relayUrl === url && this.socket.readyState === WebSocket.OPEN) {
+            return Promise.resolve();
+        }
+        this.disconnect();
+        this.relayUrl = url;
+        this.setStatus(`Connecting to ${url}...`);
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                reject(new Error(`Invalid relay address ${url}`));
+                return;
+            }
+            this.socket = socket;
+            socket.addEventListener('open', () => {
+                this.setStatus('Connected');
+                resolve();
+            });
+            socket.addEventListener('message', event => this.handleMessage(JSON.parse(event.data)));
+            socket.addEventListener('error', () => {
+                reject(new Error(`Could not reach the relay at ${url}. Is "node server/relay.js" running?`));
+            });
+            socket.addEventListener('close', () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                if (this.role) {
+                    this.leaveRoom('Lost the connection to the relay');
+                } else {
+                    this.setStatus('Not connected');
+                }
+            });
+        });
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    // Sends game data to the host, or from the host to one client (or all)
+    relay(data, to) {
+        this.send(to === undefined ? { type: 'relay', data } : { type: 'relay', to, data });
+    }
+
+    async refreshRooms(url) {
+        await this.connect(url);
+        this.send({ type: 'list' });
+    }
+
+    async hostRoom(url, name) {
+        await this.connect(url);
+        this.send({ type: 'create', name });
+    }
+
+    async joinRoom(url, code) {
+        await this.connect(url);
+        this.send({ type: 'join', room: code });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'rooms':
+                this.rooms = message.rooms;
+                this.setStatus(this.status);
+                break;
+            case 'created':
+                this.startHosting(message);
+                break;
+            case 'joined':
+                this.startClient(message);
+                break;
+            case 'peerJoined':
+                this.addPeer(message.peerId);
+                break;
+            case 'peerLeft':
+                this.removePeer(message.peerId);
+                break;
+            case 'roomClosed':
+                this.leaveRoom('The host closed the room');
+                break;
+            case 'relay':
+                if (this.isHost()) {
+                    this.handleClientData(message.from, message.data);
+                } else if (this.isClient()) {
+                    this.handleHostData(message.data);
+                }
+                break;
+            case 'error':
+                this.setStatus(message.message);
+                break;
+        }
+    }
+
+    // Leaves the room (if in one) and goes back to local play
+    leaveRoom(status = 'Left the room') {
+        const role = this.role;
+        if (role) {
+            this.send({ type: 'leave' });
+        }
+        this.role = null;
+        this.room = null;
+        this.stopHiddenTimer();
+        if (role === 'host') {
+            this.peers.forEach(player => this.game.removePlayer(player));
+            this.peers.clear();
+        } else if (role === 'client') {
+            this.stopClient();
+        }
+        this.setStatus(status);
+    }
+
+    // Browsers pause animation frames in background tabs, which would stop
+    // the game for everyone else. Timers in a worker keep running.
+    startHiddenTimer() {
+        if (this.hiddenTimer || typeof Worker === 'undefined') return;
+        const source = `setInterval(() => postMessage(0), ${HIDDEN_TICK_MS});`;
+        this.hiddenTimer = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        let lastTime = performance.now();
+        this.hiddenTimer.onmessage = () => {
+            const now = performance.now();
+            if (document.hidden) {
+                this.game.advanceSimulation(Math.min(now - lastTime, MAX_FRAME_MS));
+            }
+            lastTime = now;
+        };
+    }
+
+    stopHiddenTimer() {
+        if (this.hiddenTimer) {
+            this.hiddenTimer.terminate();
+            this.hiddenTimer = null;
+        }
+    }
+
+    // Host
+
+    startHosting(message) {
+        this.role = 'host';
+        this.room = { code: message.room, name: message.name };
+        this.startHiddenTimer();
+        this.setStatus(`Hosting room ${message.room}`);
+    }
+
+    addPeer(peerId) {
+        const player = this.game.addPlayer(new RemoteController(peerId));
+        if (!player) {
+            this.relay({ type: 'full' }, peerId);
+            return;
+        }
+        this.peers.set(peerId, player);
+        this.relay({ type: 'welcome', playerIndex: player.playerIndex }, peerId);
+        this.relay(this.createLevelMessage(), peerId);
+        this.setStatus(`Hosting room ${this.room.code}`);
+    }
+
+    removePeer(peerId) {
+        const player = this.peers.get(peerId);
+        if (player) {
+            this.game.removePlayer(player);
+            this.peers.delete(peerId);
+        }
+        this.setStatus(`Hosting room ${this.room.code}`);
+    }
+
+    handleClientData(peerId, data) {
+        const player = this.peers.get(peerId);
+        if (player && data && data.type === 'input' && data.frame && Number.isInteger(data.frame.seq)) {
+            player.controller.pushFrame(data.frame);
+        }
+    }
+
+    // The level as it is now, played with the host's physics
+    createLevelMessage() {
+        const game = this.game;
+        const level = game.serializeLevel(game.currentLevelName || 'Online');
+        level.physics = game.physics.toLevelData();
+        return { type: 'level', level };
+    }
+
+    // Called when the host loads a level or leaves the editor
+    onLevelChanged() {
+        if (this.isHost() && this.peers.size > 0) {
+            this.relay(this.createLevelMessage());
+        }
+    }
+
+    // Called after every simulation step
+    update() {
+        if (this.isHost() && this.peers.size > 0 && this.game.tickCount % SNAPSHOT_INTERVAL_TICKS === 0) {
+            this.relay(this.createSnapshot());
+        }
+    }
+
+    createSnapshot() {
+        const game = this.game;
+        const states = {};
+        game.platforms.forEach(platform => {
+            const state = platform.getNetworkState();
+            if (state) {
+                states[platform.id] = state;
+            }
+        });
+        return {
+            type: 'snapshot',
+            tick: game.tickCount,
+            run: { ...game.run },
+            inventory: game.inventory.pools,
+            players: game.players.map(player => ({
+                playerIndex: player.playerIndex,
+                seq: player.controller.device === 'remote' ? player.controller.lastSeq : 0,
+                state: player.getNetworkState()
+            })),
+            // Every object's id, so clients drop what is gone, and the
+            // trampolines placed while playing, so they can add them
+            ids: game.platforms.map(platform => platform.id),
+            placed: game.platforms
+                .filter(platform => platform.placedBy !== null)
+                .map(platform => ({ ...LevelFormat.serializeObject(platform), placedBy: platform.placedBy })),
+            states
+        };
+    }
+
+    // Client
+
+    startClient(message) {
+        const game = this.game;
+        this.role = 'client';
+        this.room = { code: message.room, name: message.name };
+        this.inputSeq = 0;
+        this.history = [];
+        this.ackedActions = 0;
+        this.pendingSnapshot = null;
+        this.remoteStates.clear();
+        this.showingResults = false;
+        // Players come from the host from now on
+        [...game.players].forEach(player => game.removePlayer(player));
+        this.localPlayer = null;
+        this.setLevelBarEnabled(false);
+        this.startHiddenTimer();
+        this.setStatus(`Joined room ${message.room}, waiting for the host...`);
+    }
+
+    // Back to local play with the level that was loaded before joining
+    stopClient() {
+        const game = this.game;
+        [...game.players].forEach(player => game.removePlayer(player));
+        this.localPlayer = null;
+        this.hideResults();
+        this.setLevelBarEnabled(true);
+        game.addPlayer(game.keyboardControllers.wasd);
+        game.checkForGamepads();
+        game.loadInitialLevel().catch(console.error);
+    }
+
+    // Levels come from the host, so a client can't load, save or edit them
+    setLevelBarEnabled(enabled) {
+        const kept = ['controlsBtn', 'tuningBtn', 'onlineBtn'];
+        document.querySelectorAll('#levelManager button, #levelManager select').forEach(element => {
+            if (!kept.includes(element.id)) {
+                element.disabled = !enabled;
+            }
+        });
+    }
+
+    handleHostData(data) {
+        const game = this.game;
+        switch (data.type) {
+            case 'welcome':
+                this.localPlayer = game.addPlayer(game.keyboardControllers.wasd, data.playerIndex);
+                this.setStatus(`In room ${this.room.code} as player ${data.playerIndex + 1}`);
+                break;
+            case 'full':
+                this.leaveRoom(`Room ${this.room.code} is full`);
+                break;
+            case 'level':
+                this.loadHostLevel(data.level);
+                break;
+            case 'snapshot':
+                this.pendingSnapshot = data;
+                this.bufferRemoteStates(data);
+                break;
+        }
+    }
+
+    loadHostLevel(levelData) {
+        const game = this.game;
+        const { level, errors } = LevelFormat.parse(levelData);
+        if (errors.length > 0) {
+            console.error('Problems in the host\'s level:\n' + errors.join('\n'));
+        }
+        if (!level) return;
+        game.applyLevelData(level);
+        game.currentLevelName = level.name;
+        this.history = [];
+        this.remoteStates.clear();
+        this.hideResults();
+    }
+
+    // Runs one simulation step on a client: the local player is predicted,
+    // everyone else follows the host
+    updateClient() {
+        const game = this.game;
+        if (this.pendingSnapshot) {
+            this.applySnapshot(this.pendingSnapshot);
+            this.pendingSnapshot = null;
+        }
+        this.hostTick++;
+        this.updateRemotePlayers();
+
+        const player = this.localPlayer;
+        if (!player) return;
+        const controller = player.controller;
+        controller.update();
+        const frame = { seq: ++this.inputSeq, actions: encodeActions(controller), axisX: controller.axisX };
+        this.relay({ type: 'input', frame });
+
+        // Behind the results screen the input only goes to the host.
+        // Triggers and what they switch only change with the snapshots.
+        if (game.run.complete) return;
+        game.handlePlayerInput(player);
+        game.updatePlatforms();
+        game.updateEnemies();
+        game.updatePhysics(player);
+
+        this.history.push({ ...frame, state: player.getNetworkState() });
+        if (this.history.length > INPUT_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+    }
+
+    applySnapshot(snapshot) {
+        const game = this.game;
+        this.hostTick = snapshot.tick;
+        game.run = { ...snapshot.run };
+        game.inventory.pools = snapshot.inventory;
+        this.syncPlatforms(snapshot);
+
+        // Players who joined or left the host's game
+        snapshot.players.forEach(({ playerIndex }) => {
+            if (!game.players.some(player => player.playerIndex === playerIndex)) {
+                game.addPlayer(new RemoteController(), playerIndex);
+            }
+        });
+        game.players
+            .filter(player => !snapshot.players.some(entry => entry.playerIndex === player.playerIndex))
+            .forEach(player => game.removePlayer(player));
+
+        const own = this.localPlayer && snapshot.players.find(entry => entry.playerIndex === this.localPlayer.playerIndex);
+        if (own) {
+            this.reconcile(own.state, own.seq);
+        }
+
+        if (snapshot.run.complete && !this.showingResults) {
+            this.showResults();
+        } else if (!snapshot.run.complete && this.showingResults) {
+            this.hideResults();
+        }
+    }
+
+    syncPlatforms(snapshot) {
+        const game = this.game;
+        const ids = new Set(snapshot.ids);
+        game.platforms
+            .filter(platform => !ids.has(platform.id))
+            .forEach(platform => game.removePlatformByRef(platform));
+        snapshot.placed.forEach(entry => {
+            if (game.findPlatformById(entry.id)) return;
+            const platform = LevelFormat.createObject(entry);
+            platform.placedBy = entry.placedBy;
+            game.addPlatform(platform);
+        });
+        Object.entries(snapshot.states).forEach(([id, state]) => {
+            const platform = game.findPlatformById(Number(id));
+            if (platform) {
+                platform.applyNetworkState(state, game);
+            }
+        });
+    }
+
+    // Compares the host's state for the last input it simulated with what
+    // this client predicted for it. If they differ, starts from the host's
+    // state and replays the inputs sent since.
+    reconcile(state, ackedSeq) {
+        const game = this.game;
+        const player = this.localPlayer;
+        const acked = this.history.find(entry => entry.seq === ackedSeq);
+        const pending = this.history.filter(entry => entry.seq > ackedSeq);
+        this.history = pending;
+        if (acked) {
+            this.ackedActions = acked.actions;
+        }
+        if (acked && this.matchesPrediction(acked.state, state)) return;
+
+        player.applyNetworkState(state, game);
+        const controller = player.controller;
+        const replay = new RemoteController();
+        replay.current = decodeActions(this.ackedActions);
+        player.controller = replay;
+        pending.forEach(entry => {
+            replay.previous = replay.current;
+            replay.setFrame(entry);
+            game.handlePlayerInput(player);
+            game.updatePhysics(player);
+            entry.state = player.getNetworkState();
+        });
+        player.controller = controller;
+    }
+
+    matchesPrediction(predicted, state) {
+        return Math.abs(predicted.x - state.x) <= RECONCILE_TOLERANCE &&
+            Math.abs(predicted.y - state.y) <= RECONCILE_TOLERANCE &&
+            (predicted.respawnMs > 0) === (state.respawnMs > 0);
+    }
+
+    bufferRemoteStates(snapshot) {
+        snapshot.players.forEach(({ playerIndex, state }) => {
+            const buffer = this.remoteStates.get(playerIndex) || [];
+            buffer.push({ tick: snapshot.tick, state });
+            // Enough to cover the delay, plus one to interpolate from
+            while (buffer.length > 2 && buffer[1].tick <= snapshot.tick - REMOTE_DELAY_TICKS) {
+                buffer.shift();
+            }
+            this.remoteStates.set(playerIndex, buffer);
+        });
+    }
+
+    // Shows the other players REMOTE_DELAY_TICKS in the past, between the
+    // two snapshots either side of that moment
+    updateRemotePlayers() {
+        const game = this.game;
+        const tick = this.hostTick - REMOTE_DELAY_TICKS;
+        game.players.forEach(player => {
+            if (player === this.localPlayer) return;
+            const buffer = this.remoteStates.get(player.playerIndex);
+            if (!buffer || buffer.length === 0) return;
+            let from = buffer[0];
+            let to = buffer[0];
+            for (const entry of buffer) {
+                if (entry.tick <= tick) {
+                    from = entry;
+                }
+                if (entry.tick >= tick) {
+                    to = entry;
+                    break;
+                }
+                to = entry;
+            }
+            const t = to.tick > from.tick ? Utils.clamp((tick - from.tick) / (to.tick - from.tick), 0, 1) : 1;
+            player.x = Utils.lerp(from.state.x, to.state.x, t);
+            player.y = Utils.lerp(from.state.y, to.state.y, t);
+            player.respawnMs = to.state.respawnMs;
+            player.invulnerableMs = to.state.invulnerableMs;
+            player.bounceChain = to.state.bounceChain;
+            player.trampolineKind = to.state.trampolineKind;
+            player.alpha = to.state.alpha;
+            player.rotation = to.state.rotation;
+            player.scale.set(to.state.scale);
+        });
+    }
+
+    // The host decides when to move on; any player's Jump or Reset counts
+    showResults() {
+        const game = this.game;
+        this.showingResults = true;
+        game.showResults(game.run.ticks * FIXED_TIMESTEP_MS, null);
+        document.getElementById('resultsNote').textContent = 'Jump: next level • Reset: replay (for everyone)';
+        document.getElementById('resultsButtons').style.display = 'none';
+    }
+
+    hideResults() {
+        this.showingResults = false;
+        this.game.hideResults();
+        document.getElementById('resultsButtons').style.display = '';
+    }
+}
+
+// Lobby for hosting, finding and joining rooms on the relay
+export class LobbyPanel {
+    constructor(network) {
+        this.network = network;
+        this.element = document.getElementById('lobbyPanel');
+        this.isVisible = false;
+        this.storageKey = 'trampolineRelayUrl';
+        this.relayUrl = localStorage.getItem(this.storageKey) || NetworkSession.getDefaultRelayUrl();
+        network.onChange(() => this.render());
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.style.display = this.isVisible ? 'block' : 'none';
+        this.render();
+        if (this.isVisible && !this.network.role) {
+            this.run(() => this.network.refreshRooms(this.relayUrl));
+        }
+    }
+
+    // Runs a relay request, showing why it failed
+    run(action) {
+        action().catch(error => this.network.setStatus(error.message));
+    }
+
+    render() {
+        if (!this.isVisible) return;
+        const network = this.network;
+        this.element.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'lobbyTitle';
+        title.textContent = 'Online co-op';
+        this.element.appendChild(title);
+
+        const status = document.createElement('div');
+        status.className = 'lobbyRow';
+        status.textContent = network.status;
+        this.element.appendChild(status);
+
+        if (network.role) {
+            const row = document.createElement('div');
+            row.className = 'lobbyRow';
+            if (network.isHost()) {
+                const players = this.network.game.players.length;
+                row.appendChild(document.createTextNode(`Room code ${network.room.code} • ${players} player${players === 1 ? '' : 's'}`));
+            }
+            row.appendChild(this.createButton(network.isHost() ? 'Close room' : 'Leave', () => network.leaveRoom()));
+            this.element.appendChild(row);
+        } else {
+            this.element.appendChild(this.createRelayRow());
+            this.element.appendChild(this.createJoinRow());
+            this.element.appendChild(this.createRoomList());
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'lobbyRow';
+        footer.appendChild(this.createButton('Close', () => this.toggle()));
+        this.element.appendChild(footer);
+    }
+
+    createRelayRow() {
+        const row = document.createElement('div');
+        row.className = 'lobbyRow';
+        row.appendChild(document.createTextNode('Relay: '));
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = this.relayUrl;
+        input.addEventListener('change', () => {
+            this.relayUrl = input.value.trim() || NetworkSession.getDefaultRelayUrl();
+            localStorage.setItem(this.storageKey, this.relayUrl);
+        });
+        row.appendChild(input);
+        row.appendChild(this.createButton('Host room', () => {
+            this.run(() => this.network.hostRoom(this.relayUrl, this.network.game.currentLevelName || ''));
+        }));
+        return row;
+    }
+
+    createJoinRow() {
+        const row = document.createElement('div');
+        row.className = 'lobbyRow';
+        row.appendChild(document.createTextNode('Room code: '));
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'lobbyCode';
+        input.maxLength = 4;
+        row.appendChild(input);
+        row.appendChild(this.createButton('Join', () => this.join(input.value.trim().toUpperCase())));
+        return row;
+    }
+
+    createRoomList() {
+        const list = document.createElement('div');
+        list.className = 'lobbyRooms';
+        const header = document.createElement('div');
+        header.className = 'lobbyRow';
+        header.appendChild(document.createTextNode(this.network.rooms.length > 0 ? 'Open rooms:' : 'No open rooms'));
+        header.appendChild(this.createButton('Refresh', () => {
+            this.run(() => this.network.refreshRooms(this.relayUrl));
+        }));
+        list.appendChild(header);
+
+        this.network.rooms.forEach(room => {
+            const row = document.createElement('div');
+            row.className = 'lobbyRow';
+            row.appendChild(document.createTextNode(`${room.room} — ${room.name} (${room.players}/${MAX_PLAYERS})`));
+            row.appendChild(this.createButton('Join', () => this.join(room.room)));
+            list.appendChild(row);
+        });
+        return list;
+    }
+
+    // Joining replaces the level, so unsaved edits are dealt with first
+    async join(code) {
+        const game = this.network.game;
+        if (!code) return;
+        if (game.levelEditor.isEnabled) {
+            this.network.setStatus('Leave the editor before joining a room');
+            return;
+        }
+        if (await game.resolveUnsavedChanges() === 'cancelled') return;
+        this.run(() => this.network.joinRoom(this.relayUrl, code));
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
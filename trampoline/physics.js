@@ -0,0 +1,335 @@
+// Trampoline Game Prototype
+// The tuning panel, the player's own tuning and saved presets for the rules in sim/physicsRules.js
+
+import { PHYSICS_FIELDS, BUILTIN_PHYSICS_PRESETS, PhysicsRules } from './sim/physicsRules.js';
+
+// Built-in presets plus the player's own, saved in localStorage
+class PhysicsPresets {
+    constructor() {
+        this.storageKey = 'trampolinePhysicsPresets';
+        this.userPresets = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to load physics presets:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.userPresets));
+        } catch (error) {
+            console.error('Failed to save physics presets:', error);
+        }
+    }
+
+    names() {
+        return [...Object.keys(BUILTIN_PHYSICS_PRESETS), ...Object.keys(this.userPresets)];
+    }
+
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(BUILTIN_PHYSICS_PRESETS, name);
+    }
+
+    // Full set of values for a preset, or null if there is no such preset
+    get(name) {
+        const preset = this.isBuiltIn(name) ? BUILTIN_PHYSICS_PRESETS[name] : this.userPresets[name];
+        return preset ? PhysicsRules.sanitize(preset).values : null;
+    }
+
+    set(name, values) {
+        this.userPresets[name] = { ...values };
+        this.save();
+    }
+
+    remove(name) {
+        delete this.userPresets[name];
+        this.save();
+    }
+}
+
+// The physics values in effect. A level can carry its own values; levels
+// without them use the player's own tuning, which is kept in localStorage.
+export class PhysicsTuning {
+    constructor() {
+        this.storageKey = 'trampolinePhysics';
+        this.presets = new PhysicsPresets();
+        this.values = PhysicsRules.defaults();
+        this.presetName = 'Default'; // Preset the values came from, if any
+        this.modified = false; // Values edited since the preset was applied
+        this.fromLevel = false; // Values came from the current level
+        this.listeners = [];
+        this.loadOwnSettings();
+    }
+
+    loadOwnSettings() {
+        this.fromLevel = false;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.values = PhysicsRules.sanitize(saved.values).values;
+                this.presetName = typeof saved.preset === 'string' ? saved.preset : null;
+                this.modified = !!saved.modified;
+                return;
+            }
+        } catch (error) {
+            console.error('Failed to load physics settings:', error);
+        }
+        this.values = PhysicsRules.defaults();
+        this.presetName = 'Default';
+        this.modified = false;
+    }
+
+    // Level physics are only changed through the level itself
+    saveOwnSettings() {
+        if (this.fromLevel) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                preset: this.presetName,
+                modified: this.modified,
+                values: this.values
+            }));
+        } catch (error) {
+            console.error('Failed to save physics settings:', error);
+        }
+    }
+
+    setValue(key, value) {
+        this.values[key] = value;
+        this.modified = true;
+        this.saveOwnSettings();
+        this.notify();
+    }
+
+    applyPreset(name) {
+        const values = this.presets.get(name);
+        if (!values) return false;
+        this.values = values;
+        this.presetName = name;
+        this.modified = false;
+        this.saveOwnSettings();
+        this.notify();
+        return true;
+    }
+
+    saveAsPreset(name) {
+        this.presets.set(name, this.values);
+        this.presetName = name;
+        this.modified = false;
+        this.saveOwnSettings();
+        this.notify();
+    }
+
+    // Switches to a level's physics block, or back to the player's own
+    // settings when the level has none (null)
+    useLevelPhysics(levelPhysics) {
+        if (levelPhysics) {
+            this.values = PhysicsRules.sanitize(levelPhysics.values).values;
+            this.presetName = levelPhysics.preset || null;
+            this.modified = false;
+            this.fromLevel = true;
+        } else {
+            this.loadOwnSettings();
+        }
+        this.notify();
+    }
+
+    // Physics block for the level file
+    toLevelData() {
+        const data = { values: { ...this.values } };
+        if (this.presetName && !this.modified) {
+            data.preset = this.presetName;
+        }
+        return data;
+    }
+
+    describe() {
+        const source = this.fromLevel ? 'Level physics' : 'Your physics';
+        const preset = this.presetName ? ` (${this.presetName}${this.modified ? ', modified' : ''})` :
+            (this.modified ? ' (modified)' : '');
+        return source + preset;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+// Overlay with a slider per physics value, presets and the level's physics
+export class TuningPanel {
+    constructor(tuning, game) {
+        this.tuning = tuning;
+        this.game = game;
+        this.element = document.getElementById('tuningPanel');
+        this.isVisible = false;
+        this.editing = false; // Set while a slider changes a value, so it isn't rebuilt mid-drag
+
+        this.tuning.onChange(() => {
+            if (!this.editing) this.render();
+        });
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.style.display = this.isVisible ? 'block' : 'none';
+        this.render();
+    }
+
+    render() {
+        if (!this.isVisible) return;
+        this.element.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'tuningTitle';
+        title.textContent = 'Physics';
+        this.element.appendChild(title);
+
+        this.sourceLine = document.createElement('div');
+        this.sourceLine.className = 'tuningSource';
+        this.sourceLine.textContent = this.tuning.describe();
+        this.element.appendChild(this.sourceLine);
+
+        this.element.appendChild(this.createPresetRow());
+
+        const table = document.createElement('table');
+        Object.entries(PHYSICS_FIELDS).forEach(([key, field]) => {
+            table.appendChild(this.createFieldRow(key, field));
+        });
+        this.element.appendChild(table);
+
+        this.element.appendChild(this.createLevelRow());
+    }
+
+    createPresetRow() {
+        const row = document.createElement('div');
+        row.className = 'tuningRow';
+
+        const select = document.createElement('select');
+        this.tuning.presets.names().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === this.tuning.presetName;
+            select.appendChild(option);
+        });
+        row.appendChild(select);
+
+        row.appendChild(this.createButton('Load', 'Use this preset', () => {
+            this.tuning.applyPreset(select.value);
+        }));
+        row.appendChild(this.createButton('Save as...', 'Save the current values as a preset', () => {
+            this.savePreset();
+        }));
+        const deleteButton = this.createButton('Delete', 'Delete this preset', () => {
+            this.tuning.presets.remove(select.value);
+            this.render();
+        });
+        deleteButton.disabled = this.tuning.presets.isBuiltIn(select.value);
+        select.addEventListener('change', () => {
+            deleteButton.disabled = this.tuning.presets.isBuiltIn(select.value);
+        });
+        row.appendChild(deleteButton);
+        return row;
+    }
+
+    createFieldRow(key, field) {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = field.label;
+        row.appendChild(label);
+
+        if (field.toggle) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.tuning.values[key];
+            checkbox.addEventListener('change', () => this.setValue(key, checkbox.checked));
+            const cell = document.createElement('td');
+            cell.colSpan = 2;
+            cell.appendChild(checkbox);
+            row.appendChild(cell);
+            return row;
+        }
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        const number = document.createElement('input');
+        number.type = 'number';
+        [slider, number].forEach(input => {
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            input.value = this.tuning.values[key];
+        });
+
+        slider.addEventListener('input', () => {
+            number.value = slider.value;
+            this.setValue(key, Number(slider.value));
+        });
+        number.addEventListener('change', () => {
+            const value = Number(number.value);
+            if (number.value.trim() === '' || PhysicsRules.checkValue(key, value)) {
+                number.value = this.tuning.values[key]; // Put the current value back
+                return;
+            }
+            slider.value = value;
+            this.setValue(key, value);
+        });
+
+        [slider, number].forEach(input => {
+            const cell = document.createElement('td');
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+        return row;
+    }
+
+    createLevelRow() {
+        const row = document.createElement('div');
+        row.className = 'tuningRow';
+        row.appendChild(this.createButton('Store in level', 'Save these values with the current level', () => {
+            this.game.setLevelPhysicsFromTuning();
+        }));
+        const removeButton = this.createButton('Remove from level', 'Use your own physics for this level', () => {
+            this.game.clearLevelPhysics();
+        });
+        removeButton.disabled = !this.game.levelPhysics;
+        row.appendChild(removeButton);
+        row.appendChild(this.createButton('Close', '', () => this.toggle()));
+        return row;
+    }
+
+    createButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    setValue(key, value) {
+        this.editing = true;
+        this.tuning.setValue(key, value);
+        this.editing = false;
+        this.sourceLine.textContent = this.tuning.describe();
+    }
+
+    savePreset() {
+        let name = prompt('Preset name:', this.tuning.presetName || '');
+        while (name !== null) {
+            name = name.trim();
+            if (name && !this.tuning.presets.isBuiltIn(name)) {
+                this.tuning.saveAsPreset(name);
+                return;
+            }
+            name = prompt(name ? `"${name}" is a built-in preset. Preset name:` : 'Preset name:', name);
+        }
+    }
+}
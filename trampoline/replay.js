@@ -0,0 +1,613 @@
+// Trampoline Game Prototype
+// Input recording and replays
+//
+// Every attempt at a level is recorded: the level and physics it started
+// with, where each player started and their input whenever it changed.
+// The simulation is deterministic, so feeding that input back through
+// Game.fixedUpdate() plays the attempt out again exactly. To catch the
+// times it isn't, the recording also keeps a checksum of the game state
+// every CHECK_INTERVAL_TICKS steps; a replay whose state stops matching has
+// diverged (a determinism bug, or a replay made by different game code).
+//
+// Replay files are JSON:
+//
+//   {
+//     "format": "trampolineReplay", "version": 1, "simulationHz": 120,
+//     "levelName": "Demo", "recordedAt": "2024-05-01T12:00:00.000Z",
+//     "level": { <the level, with the physics values in use> },
+//     "nextObjectId": 42,
+//     "players": [ { "playerIndex": 0, "state": { "x": 100, "y": 474, ... } } ],
+//     "events": [
+//       { "tick": 0, "type": "input", "player": 0, "actions": 4, "axisX": 0 },
+//       { "tick": 310, "type": "join", "player": 1 },
+//       { "tick": 900, "type": "leave", "player": 1 }
+//     ],
+//     "checks": [ { "tick": 59, "hash": "8f3a01c2", "positions": [[0, 131.5, 474]] } ],
+//     "length": 1800,
+//     "complete": true
+//   }
+//
+// Events apply before the step of their tick. `actions` is a bitmask of
+// INPUT_ACTIONS (see encodeActions in network.js); the player's input stays
+// the same until their next input event.
+
+import { SIMULATION_HZ, FIXED_TIMESTEP_MS, MAX_PLAYERS } from './sim/constants.js';
+import { Utils } from './sim/utils.js';
+import { Controller } from './sim/controller.js';
+import { LevelFormat } from './sim/levelFormat.js';
+import { encodeActions, decodeActions } from './network.js';
+import { downloadJSON } from './ui.js';
+
+const REPLAY_FORMAT = 'trampolineReplay';
+const REPLAY_VERSION = 1;
+const CHECK_INTERVAL_TICKS = SIMULATION_HZ / 2;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const EVENT_TYPES = ['input', 'join', 'leave'];
+
+// FNV-1a hash of everything that decides how the game goes on: the players
+// and every level object, as online play sends them
+function computeStateChecksum(game) {
+    const state = JSON.stringify([
+        game.players.map(player => [player.playerIndex, player.getNetworkState(), getLateSuperBounceState(player)]),
+        game.platforms.map(platform => [platform.id, platform.getNetworkState()]),
+        game.inventory.pools,
+        game.run.deaths
+    ]);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < state.length; i++) {
+        hash ^= state.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Online play leaves the late super bounce out, but it changes the next bounce
+function getLateSuperBounceState(player) {
+    const late = player.lateSuperBounce;
+    return late && { trampoline: late.trampoline.id, ageMs: late.ageMs, vx: late.vx, vy: late.vy };
+}
+
+// [playerIndex, x, y] per player, kept with each check to show where a
+// diverged replay went wrong
+function getPlayerPositions(game) {
+    return game.players.map(player => [player.playerIndex, Math.round(player.x * 10) / 10, Math.round(player.y * 10) / 10]);
+}
+
+// Controller that plays back a player's recorded input
+class ReplayController extends Controller {
+    constructor() {
+        super(null, 'replay');
+        this.next = {}; // Input for the coming step
+        this.nextAxisX = 0;
+    }
+
+    setInput(actions, axisX) {
+        this.next = decodeActions(actions);
+        // The recording starts over on a reset and stops in the editor, so
+        // these only ever show up by accident
+        this.next.reset = false;
+        this.next.toggleEditor = false;
+        this.nextAxisX = axisX;
+    }
+
+    update() {
+        this.previous = this.current;
+        this.current = this.next;
+        this.axisX = this.nextAxisX;
+    }
+
+    describe() {
+        return 'Replay';
+    }
+}
+
+// Records the current attempt. Game.startRun() starts a new recording and
+// keeps the last one as `previous`, so an attempt can still be saved after
+// resetting.
+export class ReplayRecorder {
+    constructor(game) {
+        this.game = game;
+        this.recording = null;
+        this.previous = null;
+        this.isRecording = false;
+        this.recordedPlayers = new Set(); // Player indexes present in the last step recorded
+        this.lastInputs = new Map(); // Player index -> "actions,axisX" last recorded
+    }
+
+    start() {
+        const game = this.game;
+        if (game.replayPlayer.isActive()) return;
+        if (this.recording && this.recording.length > 0) {
+            this.previous = this.recording;
+        }
+
+        const level = game.serializeLevel(game.currentLevelName || 'Untitled');
+        level.physics = game.physics.toLevelData();
+        this.recording = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            simulationHz: SIMULATION_HZ,
+            levelName: game.currentLevelName || 'Untitled',
+            recordedAt: new Date().toISOString(),
+            level,
+            nextObjectId: game.nextObjectId,
+            players: game.players.map(player => ({ playerIndex: player.playerIndex, state: player.getNetworkState() })),
+            events: [],
+            checks: [],
+            length: 0,
+            complete: false
+        };
+        this.isRecording = true;
+        this.lastInputs.clear();
+    }
+
+    // Called after every step of play
+    recordStep() {
+        const game = this.game;
+        const recording = this.recording;
+        if (!this.isRecording || game.replayPlayer.isActive()) return;
+        // Edits change the level under the recording, so it ends there
+        if (game.levelEditor.isEnabled) {
+            this.isRecording = false;
+            return;
+        }
+
+        const tick = recording.length;
+        const recorded = this.getRecordedPlayers();
+        const present = new Set(game.players.map(player => player.playerIndex));
+        recorded.forEach(playerIndex => {
+            if (!present.has(playerIndex)) {
+                recording.events.push({ tick, type: 'leave', player: playerIndex });
+                this.lastInputs.delete(playerIndex);
+            }
+        });
+        game.players.forEach(player => {
+            if (!recorded.has(player.playerIndex)) {
+                recording.events.push({ tick, type: 'join', player: player.playerIndex });
+            }
+            const actions = encodeActions(player.controller);
+            const axisX = player.controller.axisX;
+            const key = `${actions},${axisX}`;
+            if (this.lastInputs.get(player.playerIndex) !== key) {
+                recording.events.push({ tick, type: 'input', player: player.playerIndex, actions, axisX });
+                this.lastInputs.set(player.playerIndex, key);
+            }
+        });
+        this.recordedPlayers = present;
+        recording.length++;
+
+        if (recording.length % CHECK_INTERVAL_TICKS === 0 || game.run.complete) {
+            recording.checks.push({ tick, hash: computeStateChecksum(game), positions: getPlayerPositions(game) });
+        }
+        if (game.run.complete) {
+            recording.complete = true;
+            this.isRecording = false;
+        }
+    }
+
+    // Players in the recording as of the last step recorded
+    getRecordedPlayers() {
+        if (this.recording.length === 0) {
+            return new Set(this.recording.players.map(player => player.playerIndex));
+        }
+        return this.recordedPlayers;
+    }
+}
+
+// Plays a replay back in the running game. Watching swaps out the level
+// and the players; stop() puts them back as they were.
+export class ReplayPlayer {
+    constructor(game) {
+        this.game = game;
+        this.replay = null;
+        this.level = null; // The replay's level, parsed
+        this.checksByTick = new Map();
+        this.playing = false;
+        this.speed = 1;
+        this.tick = 0; // Steps played so far
+        this.eventIndex = 0; // Next event to apply
+        this.checksPassed = 0;
+        this.divergence = null; // { tick, expected, actual } once the replay stops matching
+        this.saved = null; // The game's own level and players while watching
+        this.listeners = [];
+    }
+
+    isActive() {
+        return this.replay !== null;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    // Checks replay data, e.g. from an imported file. Returns
+    // { replay, level, errors }, with replay null if it can't be played.
+    static validate(data) {
+        const fail = message => ({ replay: null, level: null, errors: [message] });
+        if (!data || typeof data !== 'object' || data.format !== REPLAY_FORMAT) {
+            return fail('Not a replay file');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            return fail(`Unsupported replay version ${data.version}`);
+        }
+        if (data.simulationHz !== SIMULATION_HZ) {
+            return fail(`Replay was recorded at ${data.simulationHz}Hz, the game runs at ${SIMULATION_HZ}Hz`);
+        }
+        if (!Number.isInteger(data.length) || data.length < 0) {
+            return fail('Replay length is missing');
+        }
+
+        const { level, errors } = LevelFormat.parse(data.level);
+        if (!level) {
+            return { replay: null, level: null, errors };
+        }
+        // A replay of a level missing objects would play out differently
+        if (errors.length > 0) {
+            return { replay: null, level: null, errors: ['The replay\'s level has errors:', ...errors] };
+        }
+
+        const isPlayerIndex = value => Number.isInteger(value) && value >= 0 && value < MAX_PLAYERS;
+        if (!Array.isArray(data.players) || !data.players.every(player =>
+            player && isPlayerIndex(player.playerIndex) && player.state &&
+            Number.isFinite(player.state.x) && Number.isFinite(player.state.y))) {
+            return fail('Replay players are invalid');
+        }
+        let lastTick = 0;
+        const eventsValid = Array.isArray(data.events) && data.events.every(event => {
+            const valid = event && Number.isInteger(event.tick) && event.tick >= lastTick &&
+                EVENT_TYPES.includes(event.type) && isPlayerIndex(event.player) &&
+                (event.type !== 'input' || (Number.isInteger(event.actions) && Number.isFinite(event.axisX)));
+            lastTick = valid ? event.tick : lastTick;
+            return valid;
+        });
+        if (!eventsValid) {
+            return fail('Replay events are invalid or out of order');
+        }
+        if (!Array.isArray(data.checks) || !data.checks.every(check =>
+            check && Number.isInteger(check.tick) && typeof check.hash === 'string')) {
+            return fail('Replay checks are invalid');
+        }
+        return { replay: data, level, errors: [] };
+    }
+
+    // Starts watching a validated replay
+    watch(replay, level) {
+        const game = this.game;
+        if (!this.isActive()) {
+            this.saved = {
+                level: game.serializeLevel(game.currentLevelName || 'Untitled'),
+                nextObjectId: game.nextObjectId,
+                players: game.players.map(player => ({ playerIndex: player.playerIndex, controller: player.controller }))
+            };
+            game.keyboardState.enabled = false;
+        }
+        this.replay = replay;
+        this.level = level;
+        this.checksByTick = new Map(replay.checks.map(check => [check.tick, check]));
+        this.restart();
+        this.playing = true;
+        this.notify();
+    }
+
+    // Back to the first step: the replay's level and players as recorded
+    restart() {
+        const game = this.game;
+        [...game.players].forEach(player => game.removePlayer(player));
+        game.applyLevelData(this.level);
+        // Trampolines placed during the replay get the same ids as when recorded
+        game.nextObjectId = Math.max(game.nextObjectId, this.replay.nextObjectId || 0);
+        this.replay.players.forEach(({ playerIndex, state }) => {
+            const player = game.addPlayer(new ReplayController(), playerIndex);
+            player.applyNetworkState(state, game);
+            player.teleport(state.x, state.y);
+        });
+        game.camera.snapTo(game.players);
+        game.accumulator = 0;
+        this.tick = 0;
+        this.eventIndex = 0;
+        this.checksPassed = 0;
+        this.divergence = null;
+    }
+
+    // Stops watching and gives the game its own level and players back
+    stop() {
+        if (!this.isActive()) return;
+        const game = this.game;
+        const saved = this.saved;
+        this.replay = null;
+        this.level = null;
+        this.playing = false;
+        this.saved = null;
+
+        [...game.players].forEach(player => game.removePlayer(player));
+        saved.players.forEach(({ playerIndex, controller }) => game.addPlayer(controller, playerIndex));
+        game.keyboardState.enabled = true;
+        game.applyLevelData(LevelFormat.parse(saved.level).level);
+        game.nextObjectId = Math.max(game.nextObjectId, saved.nextObjectId);
+        this.notify();
+    }
+
+    // Runs the steps that fit in a frame at the playback speed
+    advance(frameMs) {
+        const game = this.game;
+        if (!this.playing) return;
+        game.accumulator += frameMs * this.speed;
+        while (this.playing && game.accumulator >= FIXED_TIMESTEP_MS) {
+            this.step();
+            game.accumulator -= FIXED_TIMESTEP_MS;
+        }
+    }
+
+    // Plays one step. Returns false at the end of the replay.
+    step() {
+        const game = this.game;
+        if (this.tick >= this.replay.length) {
+            this.setPlaying(false);
+            return false;
+        }
+        this.applyEvents();
+        game.fixedUpdate();
+        this.verify();
+        this.tick++;
+        return true;
+    }
+
+    applyEvents() {
+        const game = this.game;
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.tick) {
+            const event = events[this.eventIndex++];
+            const player = game.players.find(p => p.playerIndex === event.player);
+            if (event.type === 'join' && !player) {
+                game.addPlayer(new ReplayController(), event.player);
+            } else if (event.type === 'leave' && player) {
+                game.removePlayer(player);
+            } else if (event.type === 'input' && player) {
+                player.controller.setInput(event.actions, event.axisX);
+            }
+        }
+    }
+
+    // Compares the state after this step with the recording's checksum
+    verify() {
+        const check = this.checksByTick.get(this.tick);
+        if (!check || this.divergence) return;
+        if (computeStateChecksum(this.game) === check.hash) {
+            this.checksPassed++;
+            return;
+        }
+        this.divergence = { tick: this.tick, expected: check.positions || [], actual: getPlayerPositions(this.game) };
+        console.warn(`Replay diverged at step ${this.tick}`, this.divergence);
+        this.setPlaying(false);
+    }
+
+    setPlaying(playing) {
+        this.playing = playing && this.tick < this.replay.length;
+        this.resetAccumulator();
+        this.notify();
+    }
+
+    // Paused, the last step is shown as it is rather than between steps
+    resetAccumulator() {
+        this.game.accumulator = this.playing ? 0 : FIXED_TIMESTEP_MS;
+    }
+
+    stepFrame() {
+        this.playing = false;
+        this.step();
+        this.resetAccumulator();
+        this.notify();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.notify();
+    }
+
+    // Jumps to a step. Going back plays the replay again from the start,
+    // since the game can't run backwards.
+    seek(tick) {
+        const target = Utils.clamp(Math.round(tick), 0, this.replay.length);
+        if (target < this.tick) {
+            this.restart();
+        }
+        while (this.tick < target && this.step()) {
+            // Each step plays on from the last
+        }
+        this.resetAccumulator();
+        this.notify();
+    }
+}
+
+// Replays panel: save or watch the current and previous attempts, import
+// replay files, and the playback controls while watching
+export class ReplayPanel {
+    constructor(game) {
+        this.game = game;
+        this.recorder = game.replayRecorder;
+        this.player = game.replayPlayer;
+        this.element = document.getElementById('replayPanel');
+        this.fileInput = document.getElementById('replayFile');
+        this.isVisible = false;
+        this.message = '';
+        this.progress = null; // Elements updated every frame while watching
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = ''; // Allow picking the same file again
+            if (file) {
+                this.importFile(file);
+            }
+        });
+        this.player.onChange(() => this.render());
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.style.display = this.isVisible ? 'block' : 'none';
+        this.message = '';
+        this.render();
+    }
+
+    render() {
+        if (!this.isVisible) return;
+        this.element.innerHTML = '';
+        this.progress = null;
+
+        const title = document.createElement('div');
+        title.className = 'replayTitle';
+        title.textContent = 'Replays';
+        this.element.appendChild(title);
+
+        if (this.player.isActive()) {
+            this.renderPlayback();
+        } else {
+            this.addAttemptRow('This attempt', this.recorder.recording);
+            this.addAttemptRow('Previous attempt', this.recorder.previous);
+            this.element.appendChild(this.createRow([
+                this.createButton('Import...', () => this.fileInput.click())
+            ]));
+        }
+
+        if (this.message) {
+            const message = this.createRow([document.createTextNode(this.message)]);
+            message.classList.add('replayMessage');
+            this.element.appendChild(message);
+        }
+        this.element.appendChild(this.createRow([this.createButton('Close', () => this.toggle())]));
+    }
+
+    addAttemptRow(label, recording) {
+        if (!recording || recording.length === 0) {
+            this.element.appendChild(this.createRow([document.createTextNode(`${label}: nothing recorded yet`)]));
+            return;
+        }
+        const time = Utils.formatTime(recording.length * FIXED_TIMESTEP_MS);
+        const state = recording.complete ? 'complete' : 'unfinished';
+        this.element.appendChild(this.createRow([
+            document.createTextNode(`${label}: ${time} (${state})`),
+            this.createButton('Watch', () => this.watch(recording)),
+            this.createButton('Save', () => {
+                downloadJSON(`${Utils.toFileName(recording.levelName)}-replay.json`, recording);
+            })
+        ]));
+    }
+
+    renderPlayback() {
+        const player = this.player;
+        const replay = player.replay;
+        this.element.appendChild(this.createRow([document.createTextNode(
+            `"${replay.levelName}" recorded ${new Date(replay.recordedAt).toLocaleString()}`)]));
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = replay.length;
+        slider.addEventListener('input', () => player.seek(Number(slider.value)));
+        const time = document.createElement('span');
+        time.className = 'replayTime';
+        this.element.appendChild(this.createRow([slider, time]));
+
+        const speed = document.createElement('select');
+        REPLAY_SPEEDS.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value}×`;
+            option.selected = value === player.speed;
+            speed.appendChild(option);
+        });
+        speed.addEventListener('change', () => player.setSpeed(Number(speed.value)));
+        this.element.appendChild(this.createRow([
+            this.createButton(player.playing ? 'Pause' : 'Play', () => {
+                if (!player.playing && player.tick >= replay.length) {
+                    player.seek(0);
+                }
+                player.setPlaying(!player.playing);
+            }),
+            this.createButton('Step', () => player.stepFrame()),
+            speed,
+            this.createButton('Exit replay', () => player.stop())
+        ]));
+
+        const sync = this.createRow([]);
+        this.element.appendChild(sync);
+        this.progress = { slider, time, sync };
+        this.update();
+    }
+
+    // Called every frame: moves the slider along with the replay
+    update() {
+        if (!this.isVisible || !this.progress || !this.player.isActive()) return;
+        const player = this.player;
+        const { slider, time, sync } = this.progress;
+        slider.value = player.tick;
+        time.textContent = `${Utils.formatTime(player.tick * FIXED_TIMESTEP_MS)} / ` +
+            `${Utils.formatTime(player.replay.length * FIXED_TIMESTEP_MS)}`;
+
+        const divergence = player.divergence;
+        sync.classList.toggle('replayDiverged', !!divergence);
+        if (divergence) {
+            const describe = positions => positions.map(([index, x, y]) => `P${index + 1} (${x}, ${y})`).join(', ') || 'no players';
+            sync.textContent = `Diverged at step ${divergence.tick}: expected ${describe(divergence.expected)}, ` +
+                `got ${describe(divergence.actual)}`;
+        } else {
+            sync.textContent = `In sync (${player.checksPassed} of ${player.replay.checks.length} checks passed)`;
+        }
+    }
+
+    // Watching swaps the level out, so not in the middle of editing or
+    // online play. Edits are kept and come back afterwards.
+    watch(recording) {
+        const game = this.game;
+        if (game.levelEditor.isEnabled) {
+            this.showMessage('Leave the editor before watching a replay');
+            return;
+        }
+        if (game.network.role) {
+            this.showMessage('Replays can\'t be watched during online play');
+            return;
+        }
+        // Copied, so the recording can't change while it plays
+        const { replay, level, errors } = ReplayPlayer.validate(JSON.parse(JSON.stringify(recording)));
+        if (!replay) {
+            this.showMessage(errors.join(' '));
+            return;
+        }
+        this.message = '';
+        this.player.watch(replay, level);
+    }
+
+    async importFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showMessage(`${file.name} is not valid JSON`);
+            return;
+        }
+        this.watch(data);
+    }
+
+    showMessage(message) {
+        this.message = message;
+        this.render();
+    }
+
+    createRow(children) {
+        const row = document.createElement('div');
+        row.className = 'replayRow';
+        children.forEach(child => row.appendChild(child));
+        return row;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
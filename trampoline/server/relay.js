@@ -0,0 +1,372 @@
+// Trampoline Game Prototype
+// Local relay server for online co-op (see network.js)
+//
+// Serves the game over HTTP and relays JSON messages between the players
+// in a room over WebSocket (/relay). The relay doesn't know the game: a
+// host creates a room, others join it by its code, and everything a
+// client sends goes to the host while the host sends to one client or all.
+//
+// Usage: node server/relay.js [port]
+// Then open http://localhost:8080/ in two tabs, host a room in one and
+// join it from the other. Uses only Node's built-in modules.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 8080;
+const GAME_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RELAY_PATH = '/relay';
+const MAX_MESSAGE_BYTES = 1024 * 1024; // Levels are sent whole, so allow a generous size
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, which look like 1 and 0
+const ROOM_CODE_LENGTH = 4;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// WebSocket frame opcodes (RFC 6455)
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// One browser connected over WebSocket. Handles the framing; complete text
+// messages are parsed as JSON and passed to onMessage.
+class RelayConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = []; // Payloads of a message split over several frames
+        this.isText = false; // Whether the message being received is text
+        this.closed = false;
+        this.room = null; // Room the connection is in, if any
+        this.peerId = null; // Id within the room; 0 for the host
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Takes one complete frame off the buffer, or returns null if it
+    // hasn't all arrived yet
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < offset + 2) return null;
+            length = buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            if (buffer.length < offset + 8) return null;
+            length = Number(buffer.readBigUInt64BE(offset));
+            offset += 8;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < offset + maskLength + length) return null;
+        const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+        offset += maskLength;
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.close) {
+            this.close(1000, '');
+            return;
+        }
+        if (opcode === OPCODES.ping) {
+            this.sendFrame(OPCODES.pong, payload);
+            return;
+        }
+        if (opcode === OPCODES.pong) return;
+
+        if (opcode !== OPCODES.continuation) {
+            this.fragments = [];
+            this.isText = opcode === OPCODES.text;
+        }
+        this.fragments.push(payload);
+        if (this.fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return;
+        }
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments);
+        this.fragments = [];
+        if (!this.isText) return; // The game only sends JSON text
+
+        let data;
+        try {
+            data = JSON.parse(message.toString('utf8'));
+        } catch (error) {
+            this.send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+        this.onMessage(this, data);
+    }
+
+    send(data) {
+        this.sendFrame(OPCODES.text, Buffer.from(JSON.stringify(data), 'utf8'));
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code, reason) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+// Rooms by code: { code, name, host, peers: Map of peer id -> connection }
+class RelayServer {
+    constructor() {
+        this.rooms = new Map();
+        this.nextPeerId = 1;
+    }
+
+    handleMessage(connection, message) {
+        switch (message && message.type) {
+            case 'create':
+                this.createRoom(connection, typeof message.name === 'string' ? message.name.slice(0, 40) : '');
+                break;
+            case 'join':
+                this.joinRoom(connection, String(message.room || '').toUpperCase());
+                break;
+            case 'list':
+                connection.send({ type: 'rooms', rooms: this.listRooms() });
+                break;
+            case 'leave':
+                this.leaveRoom(connection);
+                break;
+            case 'relay':
+                this.relay(connection, message);
+                break;
+            default:
+                connection.send({ type: 'error', message: `Unknown message type "${message && message.type}"` });
+        }
+    }
+
+    createRoom(connection, name) {
+        this.leaveRoom(connection);
+        const code = this.generateRoomCode();
+        const room = { code, name: name || `Room ${code}`, host: connection, peers: new Map() };
+        this.rooms.set(code, room);
+        connection.room = room;
+        connection.peerId = 0;
+        connection.send({ type: 'created', room: code, name: room.name });
+        console.log(`Room ${code} created`);
+    }
+
+    joinRoom(connection, code) {
+        const room = this.rooms.get(code);
+        if (!room) {
+            connection.send({ type: 'error', message: `There is no room ${code}` });
+            return;
+        }
+        this.leaveRoom(connection);
+        const peerId = this.nextPeerId++;
+        room.peers.set(peerId, connection);
+        connection.room = room;
+        connection.peerId = peerId;
+        connection.send({ type: 'joined', room: code, name: room.name, peerId });
+        room.host.send({ type: 'peerJoined', peerId });
+        console.log(`Peer ${peerId} joined room ${code}`);
+    }
+
+    leaveRoom(connection) {
+        const room = connection.room;
+        if (!room) return;
+        connection.room = null;
+
+        if (connection === room.host) {
+            // The game lives on the host, so the room goes with it
+            room.peers.forEach(peer => {
+                peer.room = null;
+                peer.send({ type: 'roomClosed' });
+            });
+            this.rooms.delete(room.code);
+            console.log(`Room ${room.code} closed`);
+        } else {
+            room.peers.delete(connection.peerId);
+            room.host.send({ type: 'peerLeft', peerId: connection.peerId });
+            console.log(`Peer ${connection.peerId} left room ${room.code}`);
+        }
+    }
+
+    // Clients talk to the host; the host talks to one client (`to`) or
+    // to all of them
+    relay(connection, message) {
+        const room = connection.room;
+        if (!room) {
+            connection.send({ type: 'error', message: 'Not in a room' });
+            return;
+        }
+        const forwarded = { type: 'relay', from: connection.peerId, data: message.data };
+        if (connection !== room.host) {
+            room.host.send(forwarded);
+        } else if (message.to !== undefined) {
+            const peer = room.peers.get(message.to);
+            if (peer) {
+                peer.send(forwarded);
+            }
+        } else {
+            room.peers.forEach(peer => peer.send(forwarded));
+        }
+    }
+
+    listRooms() {
+        return [...this.rooms.values()].map(room => ({
+            room: room.code,
+            name: room.name,
+            players: room.peers.size + 1
+        }));
+    }
+
+    generateRoomCode() {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+                code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+            }
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
+
+// Serves the game's files, so the tabs load it from the same origin
+function serveFile(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(GAME_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    if (!filePath.startsWith(GAME_ROOT + path.sep)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        response.end(data);
+    });
+}
+
+function acceptWebSocket(request, socket, relayServer) {
+    const key = request.headers['sec-websocket-key'];
+    const isWebSocket = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+    if (new URL(request.url, 'http://localhost').pathname !== RELAY_PATH || !isWebSocket || !key) {
+        // A client resetting the connection would otherwise crash the relay
+        socket.on('error', () => socket.destroy());
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    new RelayConnection(socket,
+        (connection, message) => relayServer.handleMessage(connection, message),
+        connection => relayServer.leaveRoom(connection));
+}
+
+function startServer(port = DEFAULT_PORT) {
+    const relayServer = new RelayServer();
+    const server = http.createServer(serveFile);
+    server.on('upgrade', (request, socket) => acceptWebSocket(request, socket, relayServer));
+    server.listen(port, () => {
+        console.log(`Trampoline relay running: open http://localhost:${port}/ (relay at ws://localhost:${port}${RELAY_PATH})`);
+    });
+    return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    startServer(Number(process.argv[2]) || DEFAULT_PORT);
+}
+
+export { startServer, RelayServer };
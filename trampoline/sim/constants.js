@@ -0,0 +1,31 @@
+// Trampoline Game Prototype
+// Simulation constants shared by the game and the headless simulation
+
+// Fixed simulation rate. Physics values (PHYSICS_FIELDS in physicsRules.js,
+// bounceForce) are expressed per 60Hz frame and scaled to the step size.
+export const SIMULATION_HZ = 120;
+export const FIXED_TIMESTEP_MS = 1000 / SIMULATION_HZ;
+export const STEP_SCALE = 60 / SIMULATION_HZ;
+export const MAX_FRAME_MS = 250; // Don't try to catch up after long stalls
+
+// Colors handed out to players as they join
+export const PLAYER_COLORS = [0xFF6B6B, 0x6B8BFF, 0x6BFF8B, 0xD46BFF];
+export const MAX_PLAYERS = PLAYER_COLORS.length;
+export const PLAYER_SIZE = 40;
+
+// Smallest width/height the editor lets a platform be resized to
+export const MIN_PLATFORM_SIZE = 5;
+
+// Chained bounces past this many stop adding a trampoline's chain boost
+export const MAX_CHAIN_BOOSTS = 5;
+
+export const TRAMPOLINE_WIDTH = 120;
+export const TRAMPOLINE_HEIGHT = 20;
+
+// Height of the ground strip along the bottom of every level
+export const GROUND_HEIGHT = 100;
+
+// A player who dies is out for RESPAWN_DELAY_MS, then comes back at their
+// checkpoint and can't be hurt for INVULNERABLE_MS
+export const RESPAWN_DELAY_MS = 700;
+export const INVULNERABLE_MS = 1500;
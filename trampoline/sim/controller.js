@@ -0,0 +1,70 @@
+// Trampoline Game Prototype
+// Logical actions and the controller interface players are driven through.
+// Devices (keyboard, gamepad, network, replays) extend Controller.
+
+// Logical actions the game can ask a controller about
+export const INPUT_ACTIONS = {
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    moveDown: 'Down (+ jump to drop through)',
+    jump: 'Jump',
+    placeTrampoline: 'Place trampoline',
+    nextTrampoline: 'Next trampoline kind',
+    toggleEditor: 'Toggle editor',
+    reset: 'Reset'
+};
+
+// Base class: snapshots every action once per simulation step so that
+// wasPressed() means "went down since the last step"
+export class Controller {
+    constructor(bindings, device, layout = null) {
+        this.bindings = bindings;
+        this.device = device;
+        this.layout = layout;
+        this.current = {};
+        this.previous = {};
+        this.axisX = 0;
+    }
+
+    get map() {
+        return this.bindings.getMap(this.device, this.layout);
+    }
+
+    update() {
+        this.previous = this.current;
+        this.current = {};
+        this.poll();
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            this.current[action] = (this.map[action] || []).some(input => this.isInputDown(input));
+        });
+    }
+
+    // Subclasses refresh their device state here
+    poll() {}
+
+    isInputDown(input) {
+        return false;
+    }
+
+    isDown(action) {
+        return !!this.current[action];
+    }
+
+    wasPressed(action) {
+        return !!this.current[action] && !this.previous[action];
+    }
+
+    // Horizontal movement in the range -1..1
+    getMoveX() {
+        const digital = (this.isDown('moveRight') ? 1 : 0) - (this.isDown('moveLeft') ? 1 : 0);
+        return digital !== 0 ? digital : this.axisX;
+    }
+
+    isAnyActionDown() {
+        return Object.keys(INPUT_ACTIONS).some(action => this.isDown(action));
+    }
+
+    describe() {
+        return 'Controller';
+    }
+}
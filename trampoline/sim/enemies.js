@@ -0,0 +1,302 @@
+// Trampoline Game Prototype
+// Enemies and hazards: patrolling walkers, bouncing hazards and projectile emitters
+//
+// Enemies are level objects like platforms. Simulation.updateEnemies() moves
+// them every step, using the same gravity and swept collision as the players
+// (Simulation.moveBody). A player who lands on a walker or bouncer from
+// above stomps it; any other touch, or a projectile, costs them a life.
+
+import { FIXED_TIMESTEP_MS, STEP_SCALE } from './constants.js';
+import { Rectangle } from './geometry.js';
+import { Platform, SolidPlatform } from './platforms.js';
+
+export const STOMP_TOLERANCE = 6; // How far below an enemy's top a landing still counts as a stomp
+export const STOMP_BOUNCE = 0.7; // Share of the jump force a stomp bounces the player up with
+const STOMP_SQUASH_MS = 250; // How long a stomped enemy stays squashed before disappearing
+export const PROJECTILE_RADIUS = 6;
+
+// Base class for enemies. Like MovingPlatform, the editor works on the start
+// position (`home` while the enemy is out moving) and restarting the level
+// puts the enemy back there.
+export class Enemy extends Platform {
+    constructor(x, y, type) {
+        super(x, y, type);
+        this.vx = 0;
+        this.vy = 0;
+        this.onGround = false;
+        this.home = { x, y };
+        this.atHome = true; // Not moved since the level (re)started or the editor opened
+        this.defeated = false;
+        this.squashMs = 0; // Time left showing the stomped enemy
+        this.previousState = { x, y };
+    }
+
+    isEnemy() {
+        return true;
+    }
+
+    // Whether touching it hurts; if not, it is handled in updateEnemy()
+    hurtsOnContact() {
+        return !this.defeated;
+    }
+
+    canBeStomped() {
+        return true;
+    }
+
+    blocksPlacement() {
+        return !this.defeated;
+    }
+
+    getHomePosition() {
+        return this.atHome ? { x: this.x, y: this.y } : this.home;
+    }
+
+    defeat() {
+        this.defeated = true;
+        this.squashMs = STOMP_SQUASH_MS;
+        this.scale.set(1.2, 0.4);
+    }
+
+    // Called every step while playing
+    updateEnemy(game) {
+        if (this.atHome) {
+            this.home = { x: this.x, y: this.y };
+            this.atHome = false;
+        }
+        if (this.defeated) {
+            this.squashMs -= FIXED_TIMESTEP_MS;
+            this.visible = this.squashMs > 0;
+            return;
+        }
+        this.move(game);
+    }
+
+    // Enemy-specific movement
+    move(game) {}
+
+    resetState() {
+        this.defeated = false;
+        this.squashMs = 0;
+        this.visible = true;
+        this.scale.set(1);
+        this.vx = 0;
+        this.vy = 0;
+        if (this.atHome) return;
+        this.x = this.home.x;
+        this.y = this.home.y;
+        this.previousState = { ...this.home };
+        this.atHome = true;
+    }
+
+    getNetworkState() {
+        return {
+            x: this.x, y: this.y, vx: this.vx, vy: this.vy, direction: this.direction,
+            defeated: this.defeated, squashMs: this.squashMs
+        };
+    }
+
+    applyNetworkState(state) {
+        if (this.atHome) {
+            this.home = { x: this.x, y: this.y };
+            this.atHome = false;
+        }
+        if (state.defeated && !this.defeated) {
+            this.defeat();
+        } else if (!state.defeated) {
+            this.defeated = false;
+            this.scale.set(1);
+        }
+        Object.assign(this, state);
+        this.visible = !this.defeated || this.squashMs > 0;
+    }
+
+    savePreviousState() {
+        this.previousState = { x: this.x, y: this.y };
+    }
+}
+
+// Walks back and forth, turning at walls, at the edges of what it walks on
+// and `range` / 2 either side of where it started (range 0 = no limit)
+export class Walker extends Enemy {
+    constructor(x, y, range = 200, speed = 1.5) {
+        super(x, y, 'walker');
+        this.range = range;
+        this.speed = speed; // Pixels per 60Hz frame
+        this.direction = 1;
+    }
+
+    getSize() {
+        return { width: 32, height: 28 };
+    }
+
+    getEditableProperties() {
+        return [
+            { key: 'range', label: 'Patrol range (0 = any)', min: 0 },
+            { key: 'speed', label: 'Speed', min: 0 }
+        ];
+    }
+
+    move(game) {
+        this.vx = this.speed * this.direction;
+        const hits = game.moveBody(this);
+        let turn = !!hits.x;
+
+        if (this.onGround && !turn) {
+            const bounds = this.getCollisionBounds();
+            const frontX = this.direction > 0 ? bounds.x + bounds.width + 1 : bounds.x - 1;
+            turn = !game.isSupportedAt(frontX, bounds.y + bounds.height + 2);
+        }
+        const offset = this.x - this.home.x;
+        if (this.range > 0 && offset * this.direction >= this.range / 2) {
+            turn = true;
+        }
+        if (turn) {
+            this.direction = -this.direction;
+        }
+    }
+
+    resetState() {
+        super.resetState();
+        this.direction = 1;
+    }
+}
+
+// Hops along, bouncing off the floor with `bounceForce` and off walls
+export class Bouncer extends Enemy {
+    constructor(x, y, speed = 1, bounceForce = -10) {
+        super(x, y, 'bouncer');
+        this.speed = speed; // Pixels per 60Hz frame
+        this.bounceForce = bounceForce;
+        this.direction = 1;
+    }
+
+    getSize() {
+        return { width: 28, height: 28 };
+    }
+
+    getEditableProperties() {
+        return [
+            { key: 'speed', label: 'Speed', min: 0 },
+            { key: 'bounceForce', label: 'Bounce force', max: 0 }
+        ];
+    }
+
+    move(game) {
+        this.vx = this.speed * this.direction;
+        const hits = game.moveBody(this);
+        if (hits.x) {
+            this.direction = -this.direction;
+        }
+        if (this.onGround) {
+            this.vy = this.bounceForce;
+        }
+    }
+
+    resetState() {
+        super.resetState();
+        this.direction = 1;
+    }
+}
+
+// Fixed turret that fires a projectile every `interval` ms towards `angle`
+// (degrees, 0 = right, 90 = down). Projectiles fly straight for `range`
+// pixels and stop at solid platforms. The turret itself is solid.
+export class ProjectileEmitter extends Enemy {
+    constructor(x, y, angle = 180, interval = 2000, speed = 4, range = 400) {
+        super(x, y, 'emitter');
+        this.angle = angle;
+        this.interval = interval;
+        this.speed = speed; // Pixels per 60Hz frame
+        this.range = range;
+        this.timerMs = interval; // Time until the next shot
+        this.projectiles = []; // { x, y, previousX, previousY, travelled } in level coordinates
+    }
+
+    getSize() {
+        return { width: 30, height: 30 };
+    }
+
+    getEditableProperties() {
+        return [
+            { key: 'angle', label: 'Angle (°, 0 = right)' },
+            { key: 'interval', label: 'Fire every (ms)', min: 100 },
+            { key: 'speed', label: 'Shot speed', min: 0.5 },
+            { key: 'range', label: 'Shot range', min: 10 }
+        ];
+    }
+
+    hurtsOnContact() {
+        return false;
+    }
+
+    canBeStomped() {
+        return false;
+    }
+
+    blocksFrom(side) {
+        return true;
+    }
+
+    // Players can stand on it like on a platform
+    onPlayerCollision(player, side) {
+        SolidPlatform.prototype.onPlayerCollision.call(this, player, side);
+    }
+
+    // Never moves, so only the shots need updating
+    updateEnemy(game) {
+        this.timerMs -= FIXED_TIMESTEP_MS;
+        if (this.timerMs <= 0) {
+            this.timerMs += this.interval;
+            this.fire();
+        }
+
+        const step = this.speed * STEP_SCALE;
+        const radians = this.angle * Math.PI / 180;
+        this.projectiles = this.projectiles.filter(projectile => {
+            projectile.previousX = projectile.x;
+            projectile.previousY = projectile.y;
+            projectile.x += Math.cos(radians) * step;
+            projectile.y += Math.sin(radians) * step;
+            projectile.travelled += step;
+
+            const bounds = new Rectangle(projectile.x - PROJECTILE_RADIUS, projectile.y - PROJECTILE_RADIUS,
+                PROJECTILE_RADIUS * 2, PROJECTILE_RADIUS * 2);
+            const victim = game.players.find(player => !player.isDead() && player.isIntersecting(bounds));
+            if (victim) {
+                game.hurtPlayer(victim);
+            }
+            const blocked = game.platforms.some(platform => platform !== this &&
+                platform.blocksFrom('top') && platform.blocksFrom('bottom') &&
+                bounds.intersects(platform.getCollisionBounds()));
+            const outside = projectile.y > game.getGroundY() || projectile.x < 0 ||
+                projectile.x > game.worldBounds.width || projectile.y < 0;
+            return !(victim || blocked || outside || projectile.travelled >= this.range);
+        });
+    }
+
+    fire() {
+        const radians = this.angle * Math.PI / 180;
+        const x = this.x + Math.cos(radians) * 22;
+        const y = this.y + Math.sin(radians) * 22;
+        this.projectiles.push({ x, y, previousX: x, previousY: y, travelled: 0 });
+    }
+
+    resetState() {
+        super.resetState();
+        this.timerMs = this.interval;
+        this.projectiles = [];
+    }
+
+    getNetworkState() {
+        return {
+            timerMs: this.timerMs,
+            projectiles: this.projectiles.map(({ x, y, travelled }) => ({ x, y, travelled }))
+        };
+    }
+
+    applyNetworkState(state) {
+        this.timerMs = state.timerMs;
+        this.projectiles = state.projectiles.map(({ x, y, travelled }) => ({ x, y, previousX: x, previousY: y, travelled }));
+    }
+}
@@ -0,0 +1,33 @@
+// Trampoline Game Prototype
+// Plain geometry for the simulation, shaped like the Pixi classes the view
+// copies it to
+
+// Axis-aligned box; x/y is the top-left corner
+export class Rectangle {
+    constructor(x = 0, y = 0, width = 0, height = 0) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+    }
+
+    intersects(other) {
+        return this.x < other.x + other.width &&
+               this.x + this.width > other.x &&
+               this.y < other.y + other.height &&
+               this.y + this.height > other.y;
+    }
+}
+
+// x/y pair such as an object's scale
+export class Point {
+    constructor(x = 0, y = x) {
+        this.x = x;
+        this.y = y;
+    }
+
+    set(x, y = x) {
+        this.x = x;
+        this.y = y;
+    }
+}
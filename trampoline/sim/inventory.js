@@ -0,0 +1,69 @@
+// Trampoline Game Prototype
+// Budget of trampolines the players may place in a level
+//
+// A level's budget is an optional block in the level data:
+//
+//   { "mode": "shared", "trampolines": [ { "bounceForce": -15, "ttl": 1, "count": 3 }, ... ] }
+//
+// Each entry is a kind of trampoline and how many of it may be placed.
+// "shared" means all players draw from one pool, "perPlayer" gives every
+// player the full budget. Levels without the block have unlimited
+// trampolines using the physics panel's placed trampoline values.
+
+export const INVENTORY_MODES = {
+    shared: 'Shared by all players',
+    perPlayer: 'Each player'
+};
+
+// Budget used when the editor first limits a level's trampolines
+export const DEFAULT_INVENTORY = {
+    mode: 'shared',
+    trampolines: [{ bounceForce: -15, ttl: 1, count: 3 }]
+};
+
+// e.g. "15 force, 1 bounce"
+export function describeTrampolineKind(kind) {
+    const bounces = kind.ttl < 0 ? '∞ bounces' : `${kind.ttl} bounce${kind.ttl === 1 ? '' : 's'}`;
+    return `${Math.abs(kind.bounceForce)} force, ${bounces}`;
+}
+
+// Trampolines left to place in the current attempt at the level
+export class TrampolineInventory {
+    constructor() {
+        this.data = null; // The level's budget block; null = unlimited
+        this.pools = {}; // Count left per kind, by pool key, filled on first use
+    }
+
+    // Refills the budget, e.g. when the level restarts
+    reset(data) {
+        this.data = data;
+        this.pools = {};
+    }
+
+    isLimited() {
+        return !!this.data;
+    }
+
+    // Players share one pool, or each draws from their own
+    getPool(playerIndex) {
+        const key = this.data.mode === 'perPlayer' ? playerIndex : 'shared';
+        if (!this.pools[key]) {
+            this.pools[key] = this.data.trampolines.map(kind => kind.count);
+        }
+        return this.pools[key];
+    }
+
+    // Count left of a kind, or Infinity without a budget
+    getRemaining(playerIndex, kindIndex) {
+        return this.isLimited() ? this.getPool(playerIndex)[kindIndex] : Infinity;
+    }
+
+    // Uses up one trampoline of a kind. Returns false if none are left.
+    take(playerIndex, kindIndex) {
+        if (!this.isLimited()) return true;
+        const pool = this.getPool(playerIndex);
+        if (!(pool[kindIndex] > 0)) return false;
+        pool[kindIndex]--;
+        return true;
+    }
+}
@@ -0,0 +1,641 @@
+// Trampoline Game Prototype
+// Level file format: schema, validation and migrations
+//
+// A level is a JSON object:
+//
+//   {
+//     "version": 11,
+//     "name": "Demo",
+//     "bounds": { "width": 800, "height": 600 },
+//     "physics": { "preset": "Floaty", "values": { "gravity": 0.2, ... } },
+//     "inventory": { "mode": "shared", "trampolines": [ { "bounceForce": -15, "ttl": 1, "count": 3 } ] },
+//     "keepStarsOnDeath": true,
+//     "platforms": [
+//       { "type": "trampoline", "id": 1, "x": 200, "y": 450, "bounceForce": -18, "ttl": -1,
+//         "angle": 0, "superBounce": 1.5, "fallTransfer": 0, "chainBoost": 0, "enabled": true },
+//       { "type": "pressurePlate", "id": 2, "x": 100, "y": 560, "width": 60, "height": 8, "targets": [3] },
+//       { "type": "door", "id": 3, "x": 400, "y": 520, "width": 20, "height": 100, "startsOpen": false },
+//       { "type": "walker", "id": 4, "x": 500, "y": 472, "range": 200, "speed": 1.5 },
+//       ...
+//     ],
+//     "ghost": { "timeMs": 12480, "sampleTicks": 6, "splits": [...], "players": [...] }
+//   }
+//
+// Every platform entry has a stable `type` ID (see LEVEL_OBJECT_TYPES), an
+// `id` that is unique within the level and one field per constructor
+// parameter. Triggers list the ids of the objects they switch in
+// `targets`. Runtime state such as collected
+// stars and trampolines placed while playing is never saved. `physics` is
+// optional (see PHYSICS_FIELDS); levels without it use the player's own
+// tuning. `inventory` is optional too (see inventory.js); levels without it
+// have unlimited trampolines. With `keepStarsOnDeath` (default false) stars
+// stay collected when a player dies. `ghost` only appears in exported
+// levels: the best run to race against (see ghost.js). Saved levels keep
+// their ghosts apart, so it is left out of serialize().
+//
+// Several levels can be shared as a pack:
+//
+//   { "format": "trampolineLevelPack", "version": 1, "levels": [ <level>, ... ] }
+
+import { MAX_PLAYERS } from './constants.js';
+import { PhysicsRules } from './physicsRules.js';
+import { INVENTORY_MODES } from './inventory.js';
+import {
+    Trampoline, SolidPlatform, Star, Checkpoint, PlayerStart, DeathPlatform, MovingPlatform,
+    CrumblingPlatform, OneWayPlatform, DoorPlatform, SpawnPlatform, PressurePlate, HitSwitch, StarGate
+} from './platforms.js';
+import { Walker, Bouncer, ProjectileEmitter } from './enemies.js';
+
+// Bump this and add an entry to LEVEL_MIGRATIONS whenever the saved shape changes
+export const LEVEL_FORMAT_VERSION = 11;
+
+const DEFAULT_WORLD_BOUNDS = { width: 800, height: 600 };
+
+const LEVEL_PACK_FORMAT = 'trampolineLevelPack';
+const LEVEL_PACK_VERSION = 1;
+
+// Field validators, by name
+const LEVEL_FIELD_TYPES = {
+    number: {
+        check: value => typeof value === 'number' && isFinite(value),
+        description: 'a number'
+    },
+    size: {
+        check: value => typeof value === 'number' && isFinite(value) && value > 0,
+        description: 'a positive number'
+    },
+    integer: {
+        check: value => Number.isInteger(value),
+        description: 'an integer'
+    },
+    count: {
+        check: value => Number.isInteger(value) && value >= 0,
+        description: 'a whole number (0 or more)'
+    },
+    playerIndex: {
+        check: value => Number.isInteger(value) && value >= 0 && value < MAX_PLAYERS,
+        description: `a player index (0-${MAX_PLAYERS - 1})`
+    },
+    amount: {
+        check: value => typeof value === 'number' && isFinite(value) && value >= 0,
+        description: 'a number (0 or more)'
+    },
+    duration: {
+        check: value => typeof value === 'number' && isFinite(value) && value >= 0,
+        description: 'a number of milliseconds (0 or more)'
+    },
+    boolean: {
+        check: value => typeof value === 'boolean',
+        description: 'true or false'
+    },
+    targets: {
+        check: value => Array.isArray(value) && value.every(id => Number.isInteger(id) && id > 0) &&
+            new Set(value).size === value.length,
+        description: 'a list of distinct object ids'
+    },
+    path: {
+        check: value => Array.isArray(value) && value.length > 0 && value.every(point =>
+            !!point && typeof point === 'object' && LEVEL_FIELD_TYPES.number.check(point.x) && LEVEL_FIELD_TYPES.number.check(point.y)),
+        description: 'a list of at least one { x, y } offset'
+    }
+};
+
+// Object types by stable type ID. The ID is what gets written to level
+// files, so never rename one. `fields` lists every constructor parameter.
+// `linkable` types can be the targets of triggers.
+const LEVEL_OBJECT_TYPES = {
+    solid: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size' },
+        create: data => new SolidPlatform(data.x, data.y, data.width, data.height),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight
+        })
+    },
+    trampoline: {
+        fields: {
+            x: 'number', y: 'number', bounceForce: 'number', ttl: 'integer',
+            angle: 'number', superBounce: 'number', fallTransfer: 'number', chainBoost: 'number',
+            enabled: 'boolean'
+        },
+        linkable: true,
+        create: data => new Trampoline(data.x, data.y, data.bounceForce, data.ttl,
+            data.angle, data.superBounce, data.fallTransfer, data.chainBoost, data.enabled),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, bounceForce: platform.bounceForce, ttl: platform.initialTtl,
+            angle: platform.angle, superBounce: platform.superBounce,
+            fallTransfer: platform.fallTransfer, chainBoost: platform.chainBoost,
+            enabled: platform.enabled
+        })
+    },
+    star: {
+        fields: { x: 'number', y: 'number' },
+        create: data => new Star(data.x, data.y),
+        serialize: platform => ({ x: platform.x, y: platform.y })
+    },
+    playerStart: {
+        fields: { x: 'number', y: 'number', playerIndex: 'playerIndex' },
+        create: data => new PlayerStart(data.x, data.y, data.playerIndex),
+        serialize: platform => ({ x: platform.x, y: platform.y, playerIndex: platform.playerIndex })
+    },
+    death: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size' },
+        create: data => new DeathPlatform(data.x, data.y, data.width, data.height),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight
+        })
+    },
+    // x/y is where the platform starts; `path` holds the waypoints after
+    // it as offsets from there
+    moving: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size', path: 'path', speed: 'size' },
+        create: data => new MovingPlatform(data.x, data.y, data.width, data.height, data.path, data.speed),
+        serialize: platform => {
+            const home = platform.getHomePosition();
+            return {
+                x: home.x, y: home.y, width: platform.platformWidth, height: platform.platformHeight,
+                path: platform.path.map(point => ({ x: point.x, y: point.y })), speed: platform.speed
+            };
+        }
+    },
+    crumbling: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size', crumbleDelay: 'duration', respawnDelay: 'duration' },
+        create: data => new CrumblingPlatform(data.x, data.y, data.width, data.height, data.crumbleDelay, data.respawnDelay),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight,
+            crumbleDelay: platform.crumbleDelay, respawnDelay: platform.respawnDelay
+        })
+    },
+    checkpoint: {
+        fields: { x: 'number', y: 'number' },
+        create: data => new Checkpoint(data.x, data.y),
+        serialize: platform => ({ x: platform.x, y: platform.y })
+    },
+    oneWay: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size' },
+        create: data => new OneWayPlatform(data.x, data.y, data.width, data.height),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight
+        })
+    },
+    door: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size', startsOpen: 'boolean' },
+        linkable: true,
+        create: data => new DoorPlatform(data.x, data.y, data.width, data.height, data.startsOpen),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight,
+            startsOpen: platform.startsOpen
+        })
+    },
+    spawnPlatform: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size' },
+        linkable: true,
+        create: data => new SpawnPlatform(data.x, data.y, data.width, data.height),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight
+        })
+    },
+    pressurePlate: {
+        fields: { x: 'number', y: 'number', width: 'size', height: 'size', targets: 'targets' },
+        create: data => new PressurePlate(data.x, data.y, data.width, data.height, data.targets),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, width: platform.platformWidth, height: platform.platformHeight,
+            targets: [...platform.targets]
+        })
+    },
+    hitSwitch: {
+        fields: { x: 'number', y: 'number', targets: 'targets' },
+        create: data => new HitSwitch(data.x, data.y, data.targets),
+        serialize: platform => ({ x: platform.x, y: platform.y, targets: [...platform.targets] })
+    },
+    // Enemies are saved where they start (see Enemy.getHomePosition)
+    walker: {
+        fields: { x: 'number', y: 'number', range: 'amount', speed: 'amount' },
+        create: data => new Walker(data.x, data.y, data.range, data.speed),
+        serialize: platform => ({ ...platform.getHomePosition(), range: platform.range, speed: platform.speed })
+    },
+    bouncer: {
+        fields: { x: 'number', y: 'number', speed: 'amount', bounceForce: 'number' },
+        create: data => new Bouncer(data.x, data.y, data.speed, data.bounceForce),
+        serialize: platform => ({ ...platform.getHomePosition(), speed: platform.speed, bounceForce: platform.bounceForce })
+    },
+    emitter: {
+        fields: { x: 'number', y: 'number', angle: 'number', interval: 'size', speed: 'size', range: 'size' },
+        create: data => new ProjectileEmitter(data.x, data.y, data.angle, data.interval, data.speed, data.range),
+        serialize: platform => ({
+            x: platform.x, y: platform.y, angle: platform.angle,
+            interval: platform.interval, speed: platform.speed, range: platform.range
+        })
+    },
+    starGate: {
+        fields: { x: 'number', y: 'number', stars: 'count', targets: 'targets' },
+        create: data => new StarGate(data.x, data.y, data.stars, data.targets),
+        serialize: platform => ({ x: platform.x, y: platform.y, stars: platform.stars, targets: [...platform.targets] })
+    }
+};
+
+// Upgrades a level from the version it is keyed under to the next one
+const LEVEL_MIGRATIONS = {
+    // v1: no version field, platforms keyed on constructor names, star
+    // `collected` state saved, trampoline ttl dropped, player start also
+    // stored as a top-level `playerStart` position
+    1: level => {
+        const typeIds = {
+            SolidPlatform: 'solid',
+            Trampoline: 'trampoline',
+            Star: 'star',
+            PlayerStart: 'playerStart',
+            DeathPlatform: 'death'
+        };
+
+        const platforms = (Array.isArray(level.platforms) ? level.platforms : []).map(old => {
+            if (!old || typeof old !== 'object') return old;
+            const type = typeIds[old.type] || old.type;
+            const upgraded = { type, x: old.x, y: old.y };
+            if (type === 'solid' || type === 'death') {
+                upgraded.width = old.width || 120;
+                upgraded.height = old.height || 20;
+            } else if (type === 'trampoline') {
+                // v1 loaded every trampoline with infinite bounces
+                upgraded.bounceForce = old.bounceForce || -20;
+                upgraded.ttl = -1;
+            } else if (type === 'playerStart') {
+                upgraded.playerIndex = old.playerIndex || 0;
+            }
+            return upgraded;
+        });
+
+        // Keep the top-level start position if no marker existed
+        if (level.playerStart && !platforms.some(p => p && p.type === 'playerStart')) {
+            platforms.push({ type: 'playerStart', x: level.playerStart.x, y: level.playerStart.y, playerIndex: 0 });
+        }
+
+        return {
+            version: 2,
+            name: level.name,
+            bounds: level.bounds || { ...DEFAULT_WORLD_BOUNDS },
+            platforms
+        };
+    },
+
+    // v2: objects had no ids
+    2: level => ({
+        ...level,
+        version: 3,
+        platforms: (Array.isArray(level.platforms) ? level.platforms : []).map((entry, index) =>
+            entry && typeof entry === 'object' ? { ...entry, id: index + 1 } : entry
+        )
+    }),
+
+    // v3: levels couldn't carry physics values
+    3: level => ({ ...level, version: 4 }),
+
+    // v4: trampolines had no angle, super-bounce, fall speed or chain settings
+    4: level => ({
+        ...level,
+        version: 5,
+        platforms: (Array.isArray(level.platforms) ? level.platforms : []).map(entry =>
+            entry && typeof entry === 'object' && entry.type === 'trampoline' ?
+                { ...entry, angle: 0, superBounce: 1.5, fallTransfer: 0, chainBoost: 0 } : entry
+        )
+    }),
+
+    // v5: levels couldn't limit the trampolines players place
+    5: level => ({ ...level, version: 6 }),
+
+    // v6: no moving, crumbling or one-way platforms
+    6: level => ({ ...level, version: 7 }),
+
+    // v7: no triggers, so trampolines couldn't be switched on or off
+    7: level => ({
+        ...level,
+        version: 8,
+        platforms: (Array.isArray(level.platforms) ? level.platforms : []).map(entry =>
+            entry && typeof entry === 'object' && entry.type === 'trampoline' ? { ...entry, enabled: true } : entry
+        )
+    }),
+
+    // v8: no checkpoints, and every death put the stars back
+    8: level => ({ ...level, version: 9 }),
+
+    // v9: no enemies
+    9: level => ({ ...level, version: 10 }),
+
+    // v10: no ghosts
+    10: level => ({ ...level, version: 11 })
+};
+
+// Fields of each kind of trampoline in a level's inventory
+const INVENTORY_KIND_FIELDS = {
+    bounceForce: {
+        check: value => typeof value === 'number' && isFinite(value) && value <= 0,
+        description: 'a number no greater than 0'
+    },
+    ttl: {
+        check: value => Number.isInteger(value) && (value === -1 || value > 0),
+        description: 'a positive integer, or -1 for unlimited bounces'
+    },
+    count: {
+        check: value => Number.isInteger(value) && value >= 0,
+        description: 'a whole number of at least 0'
+    }
+};
+
+export const LevelFormat = {
+    // Builds level data for the given platforms. `physics` and `inventory`
+    // are the level's optional blocks, left out when null.
+    serialize(name, platforms, bounds, { physics = null, inventory = null, keepStarsOnDeath = false } = {}) {
+        const level = {
+            version: LEVEL_FORMAT_VERSION,
+            name,
+            bounds: { width: bounds.width, height: bounds.height }
+        };
+        if (physics) {
+            level.physics = JSON.parse(JSON.stringify(physics));
+        }
+        if (inventory) {
+            level.inventory = JSON.parse(JSON.stringify(inventory));
+        }
+        if (keepStarsOnDeath) {
+            level.keepStarsOnDeath = true;
+        }
+        level.platforms = platforms
+            .filter(platform => LEVEL_OBJECT_TYPES[platform.platformType] && platform.placedBy === null)
+            .map(platform => this.serializeObject(platform));
+        // Links to objects that were erased since aren't saved
+        const linkable = new Set(level.platforms
+            .filter(entry => LEVEL_OBJECT_TYPES[entry.type].linkable)
+            .map(entry => entry.id));
+        level.platforms.forEach(entry => {
+            if (entry.targets) {
+                entry.targets = entry.targets.filter(id => linkable.has(id));
+            }
+        });
+        return level;
+    },
+
+    serializeObject(platform) {
+        return {
+            type: platform.platformType,
+            id: platform.id,
+            ...LEVEL_OBJECT_TYPES[platform.platformType].serialize(platform)
+        };
+    },
+
+    getVersion(data) {
+        return data.version === undefined ? 1 : data.version;
+    },
+
+    // Runs the migration chain up to LEVEL_FORMAT_VERSION.
+    // Throws if the level can't be upgraded.
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Level data is not an object');
+        }
+
+        let level = data;
+        let version = this.getVersion(level);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown level format version: ${JSON.stringify(version)}`);
+        }
+        if (version > LEVEL_FORMAT_VERSION) {
+            throw new Error(`Level was saved in format v${version}, this game only reads up to v${LEVEL_FORMAT_VERSION}`);
+        }
+
+        while (version < LEVEL_FORMAT_VERSION) {
+            level = LEVEL_MIGRATIONS[version](level);
+            version = this.getVersion(level);
+        }
+        return level;
+    },
+
+    // Checks a current-version level. Returns { level, errors }: `level` keeps
+    // only the valid entries, `errors` describes each problem found.
+    validate(data) {
+        const errors = [];
+        const level = {
+            version: LEVEL_FORMAT_VERSION,
+            name: data.name,
+            bounds: { ...DEFAULT_WORLD_BOUNDS },
+            platforms: []
+        };
+
+        const bounds = data.bounds;
+        if (bounds && LEVEL_FIELD_TYPES.size.check(bounds.width) && LEVEL_FIELD_TYPES.size.check(bounds.height)) {
+            level.bounds = { width: bounds.width, height: bounds.height };
+        } else {
+            errors.push(`bounds: expected { width, height } with positive numbers, using ${DEFAULT_WORLD_BOUNDS.width}x${DEFAULT_WORLD_BOUNDS.height}`);
+        }
+
+        if (data.physics !== undefined) {
+            const physics = this.validatePhysics(data.physics, errors);
+            if (physics) {
+                level.physics = physics;
+            }
+        }
+
+        if (data.inventory !== undefined) {
+            const inventory = this.validateInventory(data.inventory, errors);
+            if (inventory) {
+                level.inventory = inventory;
+            }
+        }
+
+        if (data.keepStarsOnDeath !== undefined) {
+            if (LEVEL_FIELD_TYPES.boolean.check(data.keepStarsOnDeath)) {
+                level.keepStarsOnDeath = data.keepStarsOnDeath;
+            } else {
+                errors.push(`keepStarsOnDeath must be true or false, got ${JSON.stringify(data.keepStarsOnDeath)}, stars are lost on death`);
+            }
+        }
+
+        if (data.ghost !== undefined) {
+            const ghost = this.validateGhost(data.ghost, errors);
+            if (ghost) {
+                level.ghost = ghost;
+            }
+        }
+
+        if (!Array.isArray(data.platforms)) {
+            errors.push('platforms: expected an array');
+            return { level, errors };
+        }
+
+        const usedIds = new Set();
+        data.platforms.forEach((entry, index) => {
+            const entryErrors = this.validateEntry(entry);
+            if (entryErrors.length === 0 && usedIds.has(entry.id)) {
+                entryErrors.push(`id ${entry.id} is used by more than one object`);
+            }
+            if (entryErrors.length > 0) {
+                entryErrors.forEach(message => errors.push(`platforms[${index}]: ${message}`));
+            } else {
+                usedIds.add(entry.id);
+                level.platforms.push(entry);
+            }
+        });
+
+        // Triggers may only link to objects they can switch
+        const linkable = new Set(level.platforms
+            .filter(entry => LEVEL_OBJECT_TYPES[entry.type].linkable)
+            .map(entry => entry.id));
+        level.platforms = level.platforms.map(entry => {
+            if (!entry.targets) return entry;
+            const missing = entry.targets.filter(id => !linkable.has(id));
+            if (missing.length === 0) return entry;
+            errors.push(`${entry.type} ${entry.id}: no object that can be switched with id ${missing.join(', ')}, link removed`);
+            return { ...entry, targets: entry.targets.filter(id => linkable.has(id)) };
+        });
+
+        return { level, errors };
+    },
+
+    // Keeps the valid values of a physics block; missing ones use the
+    // defaults when the level is played
+    validatePhysics(physics, errors) {
+        if (!physics || typeof physics !== 'object' || !physics.values || typeof physics.values !== 'object') {
+            errors.push('physics: expected { values: { ... } }, using your own physics');
+            return null;
+        }
+
+        const result = { values: {} };
+        if (typeof physics.preset === 'string') {
+            result.preset = physics.preset;
+        }
+        Object.entries(physics.values).forEach(([key, value]) => {
+            const error = PhysicsRules.checkValue(key, value);
+            if (error) {
+                errors.push(`physics: ${error}`);
+            } else {
+                result.values[key] = value;
+            }
+        });
+        return result;
+    },
+
+    // Keeps the valid kinds of a trampoline budget
+    validateInventory(inventory, errors) {
+        if (!inventory || typeof inventory !== 'object' || !Array.isArray(inventory.trampolines)) {
+            errors.push('inventory: expected { mode, trampolines: [...] }, trampolines are unlimited');
+            return null;
+        }
+
+        let mode = inventory.mode;
+        if (!Object.prototype.hasOwnProperty.call(INVENTORY_MODES, mode)) {
+            errors.push(`inventory.mode must be one of ${Object.keys(INVENTORY_MODES).join(', ')}, got ${JSON.stringify(mode)}, using shared`);
+            mode = 'shared';
+        }
+
+        const trampolines = [];
+        inventory.trampolines.forEach((kind, index) => {
+            const kindErrors = !kind || typeof kind !== 'object' ? ['not an object'] :
+                Object.keys(INVENTORY_KIND_FIELDS)
+                    .map(field => this.checkInventoryValue(field, kind[field]))
+                    .filter(error => error);
+            if (kindErrors.length > 0) {
+                kindErrors.forEach(message => errors.push(`inventory.trampolines[${index}]: ${message}`));
+            } else {
+                trampolines.push({ bounceForce: kind.bounceForce, ttl: kind.ttl, count: kind.count });
+            }
+        });
+        return { mode, trampolines };
+    },
+
+    // A ghost is only of use whole, so any problem drops it
+    validateGhost(ghost, errors) {
+        const isPosition = value => value === null || LEVEL_FIELD_TYPES.number.check(value);
+        const valid = !!ghost && typeof ghost === 'object' &&
+            LEVEL_FIELD_TYPES.size.check(ghost.timeMs) &&
+            Number.isInteger(ghost.sampleTicks) && ghost.sampleTicks > 0 &&
+            Array.isArray(ghost.splits) && ghost.splits.every(LEVEL_FIELD_TYPES.amount.check) &&
+            Array.isArray(ghost.players) && ghost.players.every(player => !!player &&
+                LEVEL_FIELD_TYPES.playerIndex.check(player.playerIndex) &&
+                Array.isArray(player.positions) && player.positions.length % 2 === 0 &&
+                player.positions.every(isPosition));
+        if (!valid) {
+            errors.push('ghost: expected { timeMs, sampleTicks, splits, players: [{ playerIndex, positions }] }, ghost dropped');
+            return null;
+        }
+        return {
+            timeMs: ghost.timeMs,
+            sampleTicks: ghost.sampleTicks,
+            splits: [...ghost.splits],
+            players: ghost.players.map(({ playerIndex, positions }) => ({ playerIndex, positions: [...positions] }))
+        };
+    },
+
+    // Returns an error message, or null if the value is allowed
+    checkInventoryValue(field, value) {
+        const fieldType = INVENTORY_KIND_FIELDS[field];
+        return fieldType.check(value) ? null : `${field} must be ${fieldType.description}, got ${JSON.stringify(value)}`;
+    },
+
+    validateEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return ['not an object'];
+        }
+
+        const objectType = LEVEL_OBJECT_TYPES[entry.type];
+        if (!objectType) {
+            return [`unknown type ${JSON.stringify(entry.type)}`];
+        }
+
+        const errors = [];
+        if (!Number.isInteger(entry.id) || entry.id < 1) {
+            errors.push(`${entry.type}.id must be a positive integer, got ${JSON.stringify(entry.id)}`);
+        }
+        Object.entries(objectType.fields).forEach(([field, fieldType]) => {
+            if (!LEVEL_FIELD_TYPES[fieldType].check(entry[field])) {
+                errors.push(`${entry.type}.${field} must be ${LEVEL_FIELD_TYPES[fieldType].description}, got ${JSON.stringify(entry[field])}`);
+            }
+        });
+        return errors;
+    },
+
+    // Migrates and validates stored or imported data.
+    // Returns { level, errors }; level is null if the data is unusable.
+    parse(data) {
+        let migrated;
+        try {
+            migrated = this.migrate(data);
+        } catch (error) {
+            return { level: null, errors: [error.message] };
+        }
+        return this.validate(migrated);
+    },
+
+    createObject(entry) {
+        const object = LEVEL_OBJECT_TYPES[entry.type].create(entry);
+        object.id = entry.id;
+        return object;
+    },
+
+    createPack(levels) {
+        return {
+            format: LEVEL_PACK_FORMAT,
+            version: LEVEL_PACK_VERSION,
+            levels
+        };
+    },
+
+    isPack(data) {
+        return !!data && data.format === LEVEL_PACK_FORMAT;
+    },
+
+    // Returns the raw level objects in an exported file (a pack or a single
+    // level). Throws if the file is neither.
+    unpack(data) {
+        if (this.isPack(data)) {
+            if (data.version > LEVEL_PACK_VERSION) {
+                throw new Error(`Level pack v${data.version} is newer than this game supports (v${LEVEL_PACK_VERSION})`);
+            }
+            if (!Array.isArray(data.levels)) {
+                throw new Error('Level pack has no levels array');
+            }
+            return data.levels;
+        }
+        if (data && typeof data === 'object' && Array.isArray(data.platforms)) {
+            return [data];
+        }
+        throw new Error('File is not a level or level pack');
+    }
+};
@@ -0,0 +1,100 @@
+// Trampoline Game Prototype
+// Tunable physics rules and named presets
+//
+// Values are per 60Hz frame like the rest of the physics (see STEP_SCALE),
+// except for the timing windows, which are in milliseconds. Toggles switch
+// a jump-feel mechanic on or off so its effect can be compared.
+
+// Every tunable value. Add an entry here and read it from game.physics.values.
+export const PHYSICS_FIELDS = {
+    gravity: { label: 'Gravity', defaultValue: 0.4, min: 0, max: 2, step: 0.01 },
+    jumpForce: { label: 'Jump force', defaultValue: -10, min: -30, max: 0, step: 0.5 },
+    moveSpeed: { label: 'Move speed', defaultValue: 5, min: 0, max: 20, step: 0.5 },
+    friction: { label: 'Friction (speed kept)', defaultValue: 0.8, min: 0, max: 1, step: 0.01 },
+    trampolineForce: { label: 'New trampoline force', defaultValue: -20, min: -50, max: 0, step: 0.5 },
+    placedTrampolineForce: { label: 'Placed trampoline force', defaultValue: -15, min: -50, max: 0, step: 0.5 },
+    placedTrampolineBounces: { label: 'Placed trampoline bounces', defaultValue: 1, min: -1, max: 20, step: 1, integer: true },
+    superBounceWindowMs: { label: 'Super-bounce window (ms)', defaultValue: 120, min: 0, max: 500, step: 10, integer: true },
+    variableJump: { label: 'Variable jump height', toggle: true, defaultValue: true },
+    jumpCut: { label: 'Rise kept on early release', defaultValue: 0.5, min: 0, max: 1, step: 0.05 },
+    coyoteTime: { label: 'Coyote time', toggle: true, defaultValue: true },
+    coyoteMs: { label: 'Coyote time (ms)', defaultValue: 100, min: 0, max: 500, step: 10, integer: true },
+    jumpBuffer: { label: 'Jump buffering', toggle: true, defaultValue: true },
+    jumpBufferMs: { label: 'Jump buffer (ms)', defaultValue: 100, min: 0, max: 500, step: 10, integer: true },
+    acceleration: { label: 'Ground/air acceleration', toggle: true, defaultValue: true },
+    groundAcceleration: { label: 'Ground acceleration', defaultValue: 1, min: 0.05, max: 20, step: 0.05 },
+    groundDeceleration: { label: 'Ground deceleration', defaultValue: 1, min: 0.05, max: 20, step: 0.05 },
+    airAcceleration: { label: 'Air acceleration', defaultValue: 0.4, min: 0.05, max: 20, step: 0.05 },
+    airDeceleration: { label: 'Air deceleration', defaultValue: 0.1, min: 0, max: 20, step: 0.05 }
+};
+
+// Presets that ship with the game; values left out use the defaults
+export const BUILTIN_PHYSICS_PRESETS = {
+    Default: {},
+    Floaty: { gravity: 0.2, jumpForce: -8, friction: 0.9 },
+    Snappy: { gravity: 0.7, jumpForce: -13, moveSpeed: 6, friction: 0.6, groundAcceleration: 2, airAcceleration: 0.8 },
+    // All jump-feel mechanics off, for comparison
+    Classic: { variableJump: false, coyoteTime: false, jumpBuffer: false, acceleration: false }
+};
+
+export const PhysicsRules = {
+    defaults() {
+        const values = {};
+        Object.entries(PHYSICS_FIELDS).forEach(([key, field]) => {
+            values[key] = field.defaultValue;
+        });
+        return values;
+    },
+
+    // Returns an error message, or null if the value is allowed
+    checkValue(key, value) {
+        const field = PHYSICS_FIELDS[key];
+        if (!field) {
+            return `unknown physics value ${JSON.stringify(key)}`;
+        }
+        if (field.toggle) {
+            return typeof value === 'boolean' ? null : `${key} must be true or false, got ${JSON.stringify(value)}`;
+        }
+        if (typeof value !== 'number' || !isFinite(value) || (field.integer && !Number.isInteger(value)) ||
+            value < field.min || value > field.max) {
+            return `${key} must be ${field.integer ? 'an integer' : 'a number'} from ${field.min} to ${field.max}, got ${JSON.stringify(value)}`;
+        }
+        return null;
+    },
+
+    // Complete set of values: valid entries of `values` over the defaults.
+    // Returns { values, errors }.
+    sanitize(values) {
+        const result = this.defaults();
+        const errors = [];
+        if (values && typeof values === 'object') {
+            Object.entries(values).forEach(([key, value]) => {
+                const error = this.checkValue(key, value);
+                if (error) {
+                    errors.push(error);
+                } else {
+                    result[key] = value;
+                }
+            });
+        }
+        return { values: result, errors };
+    }
+};
+
+// The physics values in effect when nothing else is tuned: the level's
+// values over the defaults. The game uses PhysicsTuning instead, which
+// falls back to the player's own settings.
+export class PhysicsValues {
+    constructor() {
+        this.values = PhysicsRules.defaults();
+    }
+
+    useLevelPhysics(levelPhysics) {
+        this.values = PhysicsRules.sanitize(levelPhysics ? levelPhysics.values : null).values;
+    }
+
+    // Physics block for the level file
+    toLevelData() {
+        return { values: { ...this.values } };
+    }
+}
@@ -0,0 +1,865 @@
+// Trampoline Game Prototype
+// Level objects: platforms, trampolines, stars, triggers and what they switch
+//
+// These are plain models. How each one looks is drawn by the view (see
+// PLATFORM_VIEWS in view.js) from its type, its fields and the appearance
+// fields below (alpha, tint, rotation, scale, visible).
+
+import {
+    FIXED_TIMESTEP_MS, STEP_SCALE, PLAYER_COLORS, MAX_PLAYERS, MIN_PLATFORM_SIZE,
+    MAX_CHAIN_BOOSTS, TRAMPOLINE_WIDTH, TRAMPOLINE_HEIGHT
+} from './constants.js';
+import { Point, Rectangle } from './geometry.js';
+import { Utils } from './utils.js';
+
+// Spikes on top of a death platform, part of its collision box
+export const DEATH_SPIKE_HEIGHT = 8;
+
+// Platform base class
+export class Platform {
+    constructor(x, y, type = 'solid') {
+        this.x = x; // Center of the object
+        this.y = y;
+        this.platformType = type;
+        this.wantsRemoval = false;
+        this.id = null; // Unique within the level, assigned by Simulation.addPlatform()
+        this.placedBy = null; // Index of the player who placed it while playing; those aren't saved
+
+        // how the view shows the object
+        this.alpha = 1;
+        this.tint = 0xFFFFFF;
+        this.rotation = 0;
+        this.scale = new Point(1);
+        this.visible = true;
+        this.version = 0; // Bumped by redraw() so the view draws it again
+    }
+
+    // Width and height of the collision box, which the view draws to
+    getSize() {
+        return { width: 0, height: 0 };
+    }
+
+    // Tells the view the object looks different, e.g. after the editor
+    // resizes it
+    redraw() {
+        this.version++;
+    }
+
+    // Collision box in level coordinates. Leaves out the scale so squash
+    // animations don't move the surface.
+    getCollisionBounds() {
+        const { width, height } = this.getSize();
+        return new Rectangle(this.x - width / 2, this.y - height / 2, width, height);
+    }
+
+    // Sets editable fields, e.g. from the property panel or when the editor
+    // undoes a change
+    applyProperties(properties) {
+        Object.assign(this, properties);
+        this.redraw();
+    }
+
+    // Fields the editor's property panel offers for this object:
+    // [{ key, label, min, max, integer }], or [{ key, label, toggle: true }]
+    // for true/false values
+    getEditableProperties() {
+        return [];
+    }
+
+    // Whether the editor shows resize handles (for platformWidth/Height)
+    isResizable() {
+        return false;
+    }
+
+    // Whether players may not place a trampoline overlapping this
+    blocksPlacement() {
+        return true;
+    }
+
+    // Whether down + jump drops a player standing on it through it
+    allowsDropThrough() {
+        return false;
+    }
+
+    // Buttons the property panel offers for a single selected object:
+    // [{ label, title, disabled, properties }], where `properties` are set
+    // as one undoable edit
+    getEditorActions() {
+        return [];
+    }
+
+    // Called every simulation step, for platforms that move or change.
+    // While the editor is open they should stay in their saved state.
+    update(isEditing) {}
+
+    // Puts runtime state back to how the level was saved
+    resetState() {}
+
+    // For platforms that move: keeps the position before each step in
+    // previousState, which the view interpolates from (see Catfox)
+    savePreviousState() {}
+
+    // Whether this switches other objects on and off. Triggers keep the ids
+    // of their targets in `targets` and set `isActive` in updateTrigger().
+    isTrigger() {
+        return false;
+    }
+
+    // Whether a trigger can be linked to this (see setPowered)
+    isTriggerTarget() {
+        return false;
+    }
+
+    // Called every step for trigger targets; `powered` is true while any
+    // trigger linked to it is active
+    setPowered(powered, game) {}
+
+    // Runtime state the host sends to online players (see network.js), or
+    // null for objects that don't change while playing
+    getNetworkState() {
+        return null;
+    }
+
+    applyNetworkState(state, game) {}
+
+    // Whether this is an enemy or hazard moved by Simulation.updateEnemies()
+    // (see enemies.js)
+    isEnemy() {
+        return false;
+    }
+
+    // Whether the player is stopped when touching this side of the platform
+    // ('top', 'bottom', 'left' or 'right'). Non-blocking platforms are
+    // triggers that only react to overlap.
+    blocksFrom(side) {
+        return false;
+    }
+}
+
+// Property panel button that unlinks a trigger from all its targets
+function getClearLinksAction(trigger) {
+    return {
+        label: 'Clear links',
+        title: 'Unlink every target (draw links with the Link tool)',
+        disabled: trigger.targets.length === 0,
+        properties: { targets: [] }
+    };
+}
+
+// Trampoline class. A tilted trampoline launches the player at its angle;
+// it still collides as the flat, untilted pad. Triggers linked to it
+// switch it off (or on, if it isn't `enabled` to begin with).
+export class Trampoline extends Platform {
+    constructor(x, y, bounceForce = -20, ttl = -1, angle = 0, superBounce = 1.5, fallTransfer = 0, chainBoost = 0, enabled = true) {
+        super(x, y, 'trampoline');
+        this.bounceForce = bounceForce;
+        this.initialTtl = ttl; // Bounces as placed in the level; what gets saved
+        this.ttl = ttl; // Bounces left, counting down while playing
+        this.angle = angle; // Degrees, positive tilts the launch to the right
+        this.superBounce = superBounce; // Force multiplier for a timed jump press
+        this.fallTransfer = fallTransfer; // Share of the landing speed added to the bounce
+        this.chainBoost = chainBoost; // Extra force per chained bounce, as a share of the force
+        this.enabled = enabled; // Whether it works while no trigger powers it
+        this.powered = false;
+        this.bounces = 0; // Bounces so far; the view squashes the trampoline when it changes
+        this.lastBounceWasSuper = false;
+        this.rotation = angle * Math.PI / 180;
+        this.alpha = this.isWorking() ? 1 : 0.3;
+    }
+
+    isWorking() {
+        return this.enabled !== this.powered && !this.isUsedUp();
+    }
+
+    // Out of bounces. Placed trampolines are removed then; the level's own
+    // are hidden until the run restarts.
+    isUsedUp() {
+        return this.initialTtl > 0 && this.ttl === 0;
+    }
+
+    getSize() {
+        return { width: TRAMPOLINE_WIDTH, height: TRAMPOLINE_HEIGHT };
+    }
+
+    getEditableProperties() {
+        return [
+            { key: 'bounceForce', label: 'Bounce force', max: 0 },
+            { key: 'initialTtl', label: 'Bounces (-1 = ∞)', min: -1, integer: true },
+            { key: 'angle', label: 'Angle (°)', min: -60, max: 60 },
+            { key: 'superBounce', label: 'Super-bounce ×', min: 1 },
+            { key: 'fallTransfer', label: 'Fall speed kept', min: 0, max: 1 },
+            { key: 'chainBoost', label: 'Chain boost', min: 0, max: 1 },
+            { key: 'enabled', label: 'On at start', toggle: true }
+        ];
+    }
+
+    applyProperties(properties) {
+        super.applyProperties(properties);
+        this.ttl = this.initialTtl;
+        this.rotation = this.angle * Math.PI / 180;
+        this.alpha = this.isWorking() ? 1 : 0.3;
+    }
+
+    // A used-up trampoline is out of the way until it comes back
+    blocksPlacement() {
+        return !this.isUsedUp();
+    }
+
+    isTriggerTarget() {
+        return true;
+    }
+
+    setPowered(powered) {
+        this.powered = powered;
+        this.alpha = this.isWorking() ? 1 : 0.3;
+    }
+
+    resetState() {
+        if (this.ttl !== this.initialTtl) {
+            this.ttl = this.initialTtl;
+            this.redraw();
+        }
+        this.bounces = 0;
+        this.visible = true;
+        this.setPowered(false);
+    }
+
+    getNetworkState() {
+        return { ttl: this.ttl, powered: this.powered };
+    }
+
+    applyNetworkState(state) {
+        if (state.ttl !== this.ttl) {
+            this.ttl = state.ttl;
+            this.visible = !this.isUsedUp();
+            this.redraw();
+        }
+        this.setPowered(state.powered);
+    }
+
+    // Trampolines only act when landed on from above, and not while off
+    blocksFrom(side) {
+        return side === 'top' && this.isWorking();
+    }
+
+    // Velocity the player leaves with after landing at fallSpeed, with
+    // `chain` bounces before this one
+    getLaunchVelocity(fallSpeed, chain, isSuperBounce) {
+        let force = this.bounceForce - Math.max(fallSpeed, 0) * this.fallTransfer;
+        force *= 1 + Math.min(chain, MAX_CHAIN_BOOSTS) * this.chainBoost;
+        if (isSuperBounce) {
+            force *= this.superBounce;
+        }
+        return { vx: -force * Math.sin(this.rotation), vy: force * Math.cos(this.rotation) };
+    }
+
+    // A jump pressed just before landing (player.superBounceMs) boosts the
+    // bounce; otherwise the boost is kept in player.lateSuperBounce for a
+    // press just after
+    onPlayerCollision(player, side) {
+        const isSuperBounce = player.superBounceMs > 0;
+        const launch = this.getLaunchVelocity(player.vy, player.bounceChain, isSuperBounce);
+        if (!isSuperBounce && this.superBounce > 1) {
+            const boosted = this.getLaunchVelocity(player.vy, player.bounceChain, true);
+            player.lateSuperBounce = { trampoline: this, ageMs: 0, vx: boosted.vx - launch.vx, vy: boosted.vy - launch.vy };
+        } else {
+            player.lateSuperBounce = null;
+        }
+        player.superBounceMs = 0;
+        player.bounceChain++;
+
+        player.vx += launch.vx;
+        player.vy = launch.vy;
+        this.playBounceAnimation(isSuperBounce);
+        if (this.ttl > 0) {
+            this.ttl--;
+            if (this.ttl === 0 && this.placedBy !== null) {
+                this.wantsRemoval = true;
+            } else if (this.ttl === 0) {
+                this.visible = false;
+            }
+        }
+    }
+
+    playBounceAnimation(isSuperBounce) {
+        this.bounces++;
+        this.lastBounceWasSuper = isSuperBounce;
+    }
+}
+
+// Solid Platform class
+export class SolidPlatform extends Platform {
+    constructor(x, y, width = 120, height = 20, type = 'solid') {
+        super(x, y, type);
+        this.platformWidth = width;
+        this.platformHeight = height;
+    }
+
+    getSize() {
+        return { width: this.platformWidth, height: this.platformHeight };
+    }
+
+    getEditableProperties() {
+        return [
+            { key: 'platformWidth', label: 'Width', min: MIN_PLATFORM_SIZE },
+            { key: 'platformHeight', label: 'Height', min: MIN_PLATFORM_SIZE }
+        ];
+    }
+
+    isResizable() {
+        return true;
+    }
+
+    blocksFrom(side) {
+        return true;
+    }
+
+    onPlayerCollision(player, side) {
+        if (side === 'top') {
+            // Landed - stop falling
+            player.vy = 0;
+            player.onGround = true;
+            player.standingOn = this;
+        } else if (side === 'bottom') {
+            // Bumped head - stop rising
+            player.vy = Math.max(player.vy, 0);
+        } else {
+            // Hit a wall - stop horizontal movement
+            player.vx = 0;
+        }
+    }
+}
+
+// Star (goal) class
+export class Star extends Platform {
+    constructor(x, y) {
+        super(x, y, 'star');
+        this.collected = false;
+    }
+
+    getSize() {
+        return { width: 30, height: 30 };
+    }
+
+    blocksPlacement() {
+        return false;
+    }
+
+    onPlayerCollision(player, side, game) {
+        if (!this.collected) {
+            this.collected = true;
+            this.alpha = 0.5; // Make it semi-transparent when collected
+            player.starsSinceCheckpoint.push(this);
+            game.log('Star collected!');
+        }
+    }
+
+    resetState() {
+        this.collected = false;
+        this.alpha = 1.0;
+    }
+
+    getNetworkState() {
+        return { collected: this.collected };
+    }
+
+    applyNetworkState(state) {
+        this.collected = state.collected;
+        this.alpha = state.collected ? 0.5 : 1.0;
+    }
+}
+
+// Flag that becomes the respawn point of each player who touches it
+export class Checkpoint extends Platform {
+    constructor(x, y) {
+        super(x, y, 'checkpoint');
+        this.tint = 0x999999; // Player colour once touched
+    }
+
+    getSize() {
+        return { width: 26, height: 40 };
+    }
+
+    blocksPlacement() {
+        return false;
+    }
+
+    // Stars collected before the checkpoint are safe from then on
+    onPlayerCollision(player, side, game) {
+        if (player.checkpoint === this) return;
+        player.checkpoint = this;
+        player.starsSinceCheckpoint = [];
+        this.tint = PLAYER_COLORS[player.playerIndex];
+        game.log(`Player ${player.playerIndex + 1} reached a checkpoint`);
+    }
+
+    resetState() {
+        this.tint = 0x999999;
+    }
+}
+
+// Player Start Position class
+export class PlayerStart extends Platform {
+    constructor(x, y, playerIndex = 0) {
+        super(x, y, 'playerStart');
+        this.playerIndex = playerIndex; // Which player spawns here
+    }
+
+    getSize() {
+        return { width: 24, height: 24 };
+    }
+
+    getEditableProperties() {
+        return [{ key: 'playerIndex', label: 'Player', min: 0, max: MAX_PLAYERS - 1, integer: true }];
+    }
+
+    blocksPlacement() {
+        return false;
+    }
+
+    onPlayerCollision(player) {
+        // Player start positions don't affect player physics
+        return;
+    }
+}
+
+// Death Platform class
+export class DeathPlatform extends Platform {
+    constructor(x, y, width = 120, height = 20) {
+        super(x, y, 'death');
+        this.platformWidth = width;
+        this.platformHeight = height;
+    }
+
+    // The spikes on top count too
+    getSize() {
+        return { width: this.platformWidth, height: this.platformHeight + DEATH_SPIKE_HEIGHT };
+    }
+
+    getEditableProperties() {
+        return [
+            { key: 'platformWidth', label: 'Width', min: MIN_PLATFORM_SIZE },
+            { key: 'platformHeight', label: 'Height', min: MIN_PLATFORM_SIZE }
+        ];
+    }
+
+    isResizable() {
+        return true;
+    }
+
+    onPlayerCollision(player, side, game) {
+        // Death platform - reset player to start position
+        game.log('Player hit death platform - resetting!');
+        // The simulation sees the flag and handles the death
+        this.triggerReset = true;
+    }
+}
+
+// Platform that travels back and forth along a path of waypoints and
+// carries players standing on it (see Simulation.updatePlatforms). `path`
+// holds the waypoints after the start position, as offsets from it.
+export class MovingPlatform extends SolidPlatform {
+    constructor(x, y, width = 120, height = 20, path = [{ x: 200, y: 0 }], speed = 2) {
+        super(x, y, width, height, 'moving');
+        this.path = path.map(point => ({ x: point.x, y: point.y }));
+        this.speed = speed; // Pixels per 60Hz frame
+        this.home = { x, y }; // Start position while the platform is travelling
+        this.atHome = true; // Not moved since the level (re)started or the editor opened
+        this.targetIndex = 1; // Waypoint it is heading for; 0 is the start
+        this.direction = 1; // 1 along the path, -1 on the way back
+        this.previousState = { x, y };
+    }
+
+    getEditableProperties() {
+        return [
+            ...super.getEditableProperties(),
+            { key: 'speed', label: 'Speed', min: 0 }
+        ];
+    }
+
+    getEditorActions() {
+        const last = this.path[this.path.length - 1] || { x: 0, y: 0 };
+        return [
+            { label: 'Add point', title: 'Add a waypoint after the last one', properties: { path: [...this.path, { x: last.x + 100, y: last.y }] } },
+            { label: 'Remove point', title: 'Remove the last waypoint', disabled: this.path.length <= 1, properties: { path: this.path.slice(0, -1) } }
+        ];
+    }
+
+    // Start position followed by the waypoints, in level coordinates
+    getWaypoints() {
+        const home = this.getHomePosition();
+        return [{ x: 0, y: 0 }, ...this.path].map(point => ({ x: home.x + point.x, y: home.y + point.y }));
+    }
+
+    getHomePosition() {
+        return this.atHome ? { x: this.x, y: this.y } : this.home;
+    }
+
+    update(isEditing) {
+        // The editor works on the start position
+        if (isEditing) {
+            this.resetState();
+            return;
+        }
+        if (this.atHome) {
+            this.home = { x: this.x, y: this.y };
+            this.atHome = false;
+        }
+
+        const waypoints = this.getWaypoints();
+        if (waypoints.length < 2) return;
+        let distance = this.speed * STEP_SCALE;
+        // Bounded so a zero-length path can't loop forever
+        for (let i = 0; i < waypoints.length * 2 && distance > 0; i++) {
+            const target = waypoints[this.targetIndex];
+            const remaining = Utils.distance(this.x, this.y, target.x, target.y);
+            if (remaining > distance) {
+                this.x += (target.x - this.x) * distance / remaining;
+                this.y += (target.y - this.y) * distance / remaining;
+                return;
+            }
+            this.x = target.x;
+            this.y = target.y;
+            distance -= remaining;
+            // Turn round at either end
+            if (this.targetIndex + this.direction < 0 || this.targetIndex + this.direction >= waypoints.length) {
+                this.direction = -this.direction;
+            }
+            this.targetIndex += this.direction;
+        }
+    }
+
+    resetState() {
+        if (this.atHome) return;
+        this.x = this.home.x;
+        this.y = this.home.y;
+        this.previousState = { ...this.home };
+        this.atHome = true;
+        this.targetIndex = 1;
+        this.direction = 1;
+    }
+
+    getNetworkState() {
+        return { x: this.x, y: this.y, targetIndex: this.targetIndex, direction: this.direction };
+    }
+
+    applyNetworkState(state) {
+        if (this.atHome) {
+            this.home = { x: this.x, y: this.y };
+            this.atHome = false;
+        }
+        Object.assign(this, state);
+    }
+
+    // Shown between its last two simulated positions, like the players
+    savePreviousState() {
+        this.previousState = { x: this.x, y: this.y };
+    }
+}
+
+// Platform that breaks a moment after a player lands on it and comes back
+// later (never, if respawnDelay is 0)
+export class CrumblingPlatform extends SolidPlatform {
+    constructor(x, y, width = 120, height = 20, crumbleDelay = 500, respawnDelay = 3000) {
+        super(x, y, width, height, 'crumbling');
+        this.crumbleDelay = crumbleDelay; // ms from the first landing until it breaks
+        this.respawnDelay = respawnDelay; // ms until a broken platform comes back
+        this.crumbleMs = null; // Time left until it breaks, once stepped on; the view shakes it meanwhile
+        this.brokenMs = null; // Time left until it comes back, once broken
+    }
+
+    getEditableProperties() {
+        return [
+            ...super.getEditableProperties(),
+            { key: 'crumbleDelay', label: 'Breaks after (ms)', min: 0 },
+            { key: 'respawnDelay', label: 'Returns after (ms, 0 = never)', min: 0 }
+        ];
+    }
+
+    isBroken() {
+        return this.brokenMs !== null;
+    }
+
+    blocksFrom(side) {
+        return !this.isBroken();
+    }
+
+    blocksPlacement() {
+        return !this.isBroken();
+    }
+
+    onPlayerCollision(player, side) {
+        super.onPlayerCollision(player, side);
+        if (side === 'top' && this.crumbleMs === null) {
+            this.crumbleMs = this.crumbleDelay;
+        }
+    }
+
+    update(isEditing) {
+        if (isEditing) {
+            this.resetState();
+            return;
+        }
+
+        if (this.crumbleMs !== null) {
+            this.crumbleMs -= FIXED_TIMESTEP_MS;
+            if (this.crumbleMs <= 0) {
+                this.crumbleMs = null;
+                this.brokenMs = this.respawnDelay;
+                this.alpha = 0.2;
+            }
+        } else if (this.isBroken() && this.respawnDelay > 0) {
+            this.brokenMs -= FIXED_TIMESTEP_MS;
+            if (this.brokenMs <= 0) {
+                this.resetState();
+            }
+        }
+    }
+
+    resetState() {
+        this.crumbleMs = null;
+        this.brokenMs = null;
+        this.alpha = 1;
+    }
+
+    getNetworkState() {
+        return { crumbleMs: this.crumbleMs, brokenMs: this.brokenMs };
+    }
+
+    applyNetworkState(state) {
+        this.crumbleMs = state.crumbleMs;
+        this.brokenMs = state.brokenMs;
+        this.alpha = this.isBroken() ? 0.2 : 1;
+    }
+}
+
+// Platform that can be jumped through from below and dropped through with
+// down + jump
+export class OneWayPlatform extends SolidPlatform {
+    constructor(x, y, width = 120, height = 10) {
+        super(x, y, width, height, 'oneWay');
+    }
+
+    blocksFrom(side) {
+        return side === 'top';
+    }
+
+    allowsDropThrough() {
+        return true;
+    }
+}
+
+// Block that is solid while closed. Linked triggers open it (or close it,
+// if it `startsOpen`). It waits for players to get clear before closing.
+export class DoorPlatform extends SolidPlatform {
+    constructor(x, y, width = 20, height = 100, startsOpen = false, type = 'door') {
+        super(x, y, width, height, type);
+        this.startsOpen = startsOpen;
+        this.powered = false;
+        this.isOpen = startsOpen;
+        this.alpha = this.isOpen ? 0.25 : 1;
+    }
+
+    getEditableProperties() {
+        return [
+            ...super.getEditableProperties(),
+            { key: 'startsOpen', label: 'Starts open', toggle: true }
+        ];
+    }
+
+    applyProperties(properties) {
+        super.applyProperties(properties);
+        this.resetState();
+    }
+
+    isTriggerTarget() {
+        return true;
+    }
+
+    setPowered(powered, game) {
+        this.powered = powered;
+        const open = this.startsOpen !== powered;
+        if (!open && this.isOpen) {
+            const bounds = this.getCollisionBounds();
+            if (game.players.some(player => player.isIntersecting(bounds))) return;
+        }
+        this.isOpen = open;
+        this.alpha = open ? 0.25 : 1;
+    }
+
+    resetState() {
+        this.powered = false;
+        this.isOpen = this.startsOpen;
+        this.alpha = this.isOpen ? 0.25 : 1;
+    }
+
+    getNetworkState() {
+        return { powered: this.powered, isOpen: this.isOpen };
+    }
+
+    applyNetworkState(state) {
+        this.powered = state.powered;
+        this.isOpen = state.isOpen;
+        this.alpha = this.isOpen ? 0.25 : 1;
+    }
+
+    blocksFrom(side) {
+        return !this.isOpen;
+    }
+
+    blocksPlacement() {
+        return !this.isOpen;
+    }
+}
+
+// Platform that only appears while a linked trigger is active
+export class SpawnPlatform extends DoorPlatform {
+    constructor(x, y, width = 120, height = 20) {
+        super(x, y, width, height, true, 'spawnPlatform');
+    }
+
+    // Always starts hidden, so there's nothing to toggle
+    getEditableProperties() {
+        return SolidPlatform.prototype.getEditableProperties.call(this);
+    }
+}
+
+// Plate that is active while a player stands on it
+export class PressurePlate extends SolidPlatform {
+    constructor(x, y, width = 60, height = 8, targets = []) {
+        super(x, y, width, height, 'pressurePlate');
+        this.targets = [...targets]; // Ids of the objects it powers
+        this.isActive = false;
+        this.tint = 0xB0B0B0;
+    }
+
+    getEditorActions() {
+        return [getClearLinksAction(this)];
+    }
+
+    isTrigger() {
+        return true;
+    }
+
+    updateTrigger(game) {
+        this.isActive = game.players.some(player => player.standingOn === this);
+        this.tint = this.isActive ? 0xFFD700 : 0xB0B0B0;
+    }
+
+    resetState() {
+        this.isActive = false;
+        this.tint = 0xB0B0B0;
+    }
+
+    getNetworkState() {
+        return { isActive: this.isActive };
+    }
+
+    applyNetworkState(state) {
+        this.isActive = state.isActive;
+        this.tint = this.isActive ? 0xFFD700 : 0xB0B0B0;
+    }
+}
+
+// Switch that flips on or off each time a player touches it
+export class HitSwitch extends Platform {
+    constructor(x, y, targets = []) {
+        super(x, y, 'hitSwitch');
+        this.targets = [...targets]; // Ids of the objects it powers
+        this.isActive = false;
+        this.touched = false; // A player was touching it last step
+        this.tint = 0xFF6347;
+    }
+
+    getSize() {
+        return { width: 24, height: 24 };
+    }
+
+    getEditorActions() {
+        return [getClearLinksAction(this)];
+    }
+
+    blocksPlacement() {
+        return false;
+    }
+
+    isTrigger() {
+        return true;
+    }
+
+    updateTrigger(game) {
+        const bounds = this.getCollisionBounds();
+        const touched = game.players.some(player => !player.isDead() && player.isIntersecting(bounds));
+        if (touched && !this.touched) {
+            this.isActive = !this.isActive;
+        }
+        this.touched = touched;
+        this.tint = this.isActive ? 0x7CFC00 : 0xFF6347;
+    }
+
+    resetState() {
+        this.isActive = false;
+        this.touched = false;
+        this.tint = 0xFF6347;
+    }
+
+    getNetworkState() {
+        return { isActive: this.isActive, touched: this.touched };
+    }
+
+    applyNetworkState(state) {
+        this.isActive = state.isActive;
+        this.touched = state.touched;
+        this.tint = this.isActive ? 0x7CFC00 : 0xFF6347;
+    }
+}
+
+// Active once the players have collected at least `stars` stars
+export class StarGate extends Platform {
+    constructor(x, y, stars = 1, targets = []) {
+        super(x, y, 'starGate');
+        this.stars = stars;
+        this.targets = [...targets]; // Ids of the objects it powers
+        this.isActive = false;
+    }
+
+    getSize() {
+        return { width: 36, height: 24 };
+    }
+
+    getEditableProperties() {
+        return [{ key: 'stars', label: 'Stars needed', min: 1, integer: true }];
+    }
+
+    getEditorActions() {
+        return [getClearLinksAction(this)];
+    }
+
+    blocksPlacement() {
+        return false;
+    }
+
+    isTrigger() {
+        return true;
+    }
+
+    updateTrigger(game) {
+        const collected = game.platforms.filter(platform => platform.platformType === 'star' && platform.collected).length;
+        this.isActive = collected >= this.stars;
+        this.tint = this.isActive ? 0xFFD700 : 0xFFFFFF;
+    }
+
+    resetState() {
+        this.isActive = false;
+        this.tint = 0xFFFFFF;
+    }
+
+    getNetworkState() {
+        return { isActive: this.isActive };
+    }
+
+    applyNetworkState(state) {
+        this.isActive = state.isActive;
+        this.tint = this.isActive ? 0xFFD700 : 0xFFFFFF;
+    }
+}
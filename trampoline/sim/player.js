@@ -0,0 +1,120 @@
+// Trampoline Game Prototype
+// Player state: position, velocity and the jump, bounce and respawn timers
+
+import { PLAYER_SIZE } from './constants.js';
+import { Point, Rectangle } from './geometry.js';
+
+// Catfox fields sent to online players as they are (see getNetworkState)
+const PLAYER_NETWORK_FIELDS = [
+    'x', 'y', 'vx', 'vy', 'onGround', 'coyoteMs', 'jumpBufferMs', 'isJumping', 'superBounceMs',
+    'bounceChain', 'trampolineKind', 'respawnMs', 'invulnerableMs', 'alpha', 'rotation'
+];
+
+export class Catfox {
+    constructor(x, y) {
+        this.x = x; // Center of the player
+        this.y = y;
+        this.width = PLAYER_SIZE;
+        this.height = PLAYER_SIZE;
+
+        // how the view shows the player (death animation, blinking)
+        this.alpha = 1;
+        this.rotation = 0;
+        this.scale = new Point(1);
+
+        // physics properties
+        this.vx = 0; // Velocity X
+        this.vy = 0; // Velocity Y
+        this.onGround = false;
+        this.standingOn = null; // Platform landed on in the last step, if any
+        this.droppingThrough = null; // One-way platform being dropped through
+
+        // jump feel state (see Simulation.handlePlayerInput)
+        this.coyoteMs = 0; // Time left to jump after leaving the ground
+        this.jumpBufferMs = 0; // Time left for a jump pressed too early to fire
+        this.isJumping = false; // Rising from a jump; releasing jump cuts it short
+
+        // trampoline state (see Trampoline.onPlayerCollision)
+        this.superBounceMs = 0; // Time left for a jump press to boost the next bounce
+        this.lateSuperBounce = null; // { trampoline, ageMs, vx, vy }: boost still available for the last bounce
+        this.bounceChain = 0; // Trampoline bounces since last standing on something
+        this.trampolineKind = 0; // Index of the inventory kind the T key places
+        this.inventoryMessage = null; // { text, untilTick } shown in the inventory HUD
+
+        // death and respawn state (see Simulation.handlePlayerDeath)
+        this.respawnMs = 0; // Time left until a dead player respawns
+        this.invulnerableMs = 0; // Time left that hazards can't hurt the player
+        this.checkpoint = null; // Last Checkpoint touched; respawns there
+        this.starsSinceCheckpoint = []; // Stars collected since then, lost on death unless the level keeps them
+
+        // co-op properties, assigned by Simulation.addPlayer()
+        this.playerIndex = 0;
+        this.controller = null; // KeyboardController or GamepadController
+
+        // position before the last step, which the view interpolates from
+        this.previousState = { x, y };
+    }
+
+    // Moves the player without interpolating from the old position
+    teleport(x, y) {
+        this.x = x;
+        this.y = y;
+        this.previousState = { x, y };
+    }
+
+    savePreviousState() {
+        this.previousState = { x: this.x, y: this.y };
+    }
+
+    isDead() {
+        return this.respawnMs > 0;
+    }
+
+    // State the host sends to online players (see network.js). Platforms
+    // are referred to by id.
+    getNetworkState() {
+        const state = { scale: this.scale.x };
+        PLAYER_NETWORK_FIELDS.forEach(key => {
+            state[key] = this[key];
+        });
+        ['standingOn', 'droppingThrough', 'checkpoint'].forEach(key => {
+            state[key] = this[key] ? this[key].id : null;
+        });
+        return state;
+    }
+
+    applyNetworkState(state, game) {
+        PLAYER_NETWORK_FIELDS.forEach(key => {
+            this[key] = state[key];
+        });
+        this.scale.set(state.scale);
+        ['standingOn', 'droppingThrough', 'checkpoint'].forEach(key => {
+            this[key] = state[key] === null ? null : game.findPlatformById(state[key]);
+        });
+    }
+
+    // Collision box in level coordinates
+    getCollisionBounds() {
+        return new Rectangle(this.x - this.width / 2, this.y - this.height / 2, this.width, this.height);
+    }
+
+    // Box covering everything the player touched during the last step
+    getSweptBounds() {
+        const bounds = this.getCollisionBounds();
+        const dx = this.previousState.x - this.x;
+        const dy = this.previousState.y - this.y;
+        return new Rectangle(
+            bounds.x + Math.min(dx, 0),
+            bounds.y + Math.min(dy, 0),
+            bounds.width + Math.abs(dx),
+            bounds.height + Math.abs(dy)
+        );
+    }
+
+    isIntersecting(target, playerBounds = this.getCollisionBounds()) {
+        return playerBounds.x < target.x + target.width &&
+               playerBounds.x + playerBounds.width > target.x &&
+               playerBounds.y < target.y + target.height &&
+               playerBounds.y + playerBounds.height > target.y;
+    }
+}
@@ -0,0 +1,306 @@
+// Trampoline Game Prototype
+// Level solvability: which stars a player can reach from the start
+//
+// LevelAnalyser doesn't model the physics again; it plays the level with a
+// Simulation and one probe player, so jumps, bounces, super bounces and
+// collisions work exactly as in updatePhysics(). From every place the
+// player comes to rest or bounces off a trampoline it tries a fixed set of
+// moves: walking a little either way, waiting, full and short jumps
+// (steering either way, or changing direction at the top), dropping
+// through one-way platforms and, while the level's budget allows, placing
+// a trampoline at the top of a jump. Each move is played step by step until
+// the player lands, bounces again or dies. Where it ends is searched from
+// next, unless a place like it was already seen: same REACHABILITY_CELL,
+// speed and switch, trampoline and budget state.
+//
+// The search is a sample of the possible input, not a proof. A star it
+// reaches can be reached by playing its moves; a star it can't reach may
+// still be reachable with input it doesn't try (very precise mid-air
+// turns, waiting on a moving platform for longer). Moving platforms and
+// enemies are simulated along every move, but places are told apart
+// without their timing.
+
+import { SIMULATION_HZ } from './constants.js';
+import { Controller } from './controller.js';
+import { Simulation } from './simulation.js';
+
+export const REACHABILITY_CELL = 20; // Grid the reachable region is reported in, in pixels
+const DEFAULT_MAX_PLACES = 3000; // Places searched before a level is reported as not fully checked
+const MAX_MOVE_STEPS = SIMULATION_HZ * 4; // Longest a single move may take
+const WAIT_STEPS = SIMULATION_HZ / 2;
+const ARC_SAMPLE_STEPS = 4; // Steps between the points kept of a jump arc
+const SPEED_BUCKET = 2.5; // Speeds closer than this count as the same place
+
+// Input for the probe player, set by the analyser before every step
+class ProbeController extends Controller {
+    constructor() {
+        super(null, 'probe');
+        this.held = {};
+    }
+
+    update() {
+        this.previous = this.current;
+        this.current = { ...this.held };
+    }
+
+    describe() {
+        return 'Probe';
+    }
+}
+
+// Keeps playing after the last star, so the search can go on. The probe
+// joins, collects stars and dies thousands of times; its messages about
+// that stay out of the console.
+class ProbeSimulation extends Simulation {
+    completeLevel() {}
+
+    log() {}
+}
+
+// Moves tried from a place. `direction` is held from the start, then
+// `apexDirection` once the player stops rising.
+function getMoves(place, simulation) {
+    const moves = [];
+    const directions = [-1, 0, 1];
+    if (place.kind === 'ground') {
+        moves.push({ kind: 'walk', direction: -1 }, { kind: 'walk', direction: 1 }, { kind: 'wait', direction: 0 });
+        directions.forEach(direction => {
+            directions.forEach(apexDirection => {
+                moves.push({ kind: 'jump', direction, apexDirection, fullJump: true });
+            });
+            moves.push({ kind: 'jump', direction, apexDirection: direction, fullJump: false });
+        });
+        if (place.canDropThrough) {
+            moves.push({ kind: 'drop', direction: 0, apexDirection: 0 });
+        }
+        // One placed trampoline at a time, or every leftover one would make
+        // the rest of the level a new place to search
+        const hasPlaced = simulation.platforms.some(platform => platform.placedBy !== null);
+        simulation.getTrampolineKinds().forEach((kind, kindIndex) => {
+            if (hasPlaced || !(simulation.inventory.getRemaining(0, kindIndex) > 0)) return; // The probe is player one
+            directions.forEach(direction => {
+                moves.push({ kind: 'place', direction, apexDirection: direction, fullJump: true, kindIndex });
+            });
+        });
+    } else {
+        // In the air: spawning, or just bounced (a jump press now is a late super bounce)
+        directions.forEach(direction => {
+            directions.forEach(apexDirection => {
+                moves.push({ kind: 'air', direction, apexDirection, superBounce: false });
+            });
+            if (place.kind === 'bounce') {
+                moves.push({ kind: 'air', direction, apexDirection: direction, superBounce: true });
+            }
+        });
+    }
+    return moves;
+}
+
+export class LevelAnalyser {
+    // `level` is parsed level data (see LevelFormat.parse); levels without
+    // a physics block are checked with the default physics
+    constructor(level, { maxPlaces = DEFAULT_MAX_PLACES } = {}) {
+        this.maxPlaces = maxPlaces;
+        this.controller = new ProbeController();
+        this.simulation = new ProbeSimulation();
+        this.simulation.applyLevelData(level);
+        this.player = this.simulation.addPlayer(this.controller);
+        this.stars = this.simulation.platforms.filter(platform => platform.platformType === 'star');
+        this.hasStarGates = this.simulation.platforms.some(platform => platform.platformType === 'starGate');
+
+        this.reachedStars = new Set(); // Ids
+        this.cells = new Map(); // "x,y" -> [x, y] of the cells the player's center passed through
+        this.arcs = []; // { kind, points: [x, y, x, y, ...] } of the moves that found new places
+        this.seen = new Set(); // Keys of the places searched or queued
+        this.queue = [];
+        this.searched = 0;
+        this.done = false;
+
+        const start = { kind: 'spawn', state: this.saveState() };
+        this.seen.add(this.getPlaceKey('spawn'));
+        this.queue.push(start);
+    }
+
+    // Searches up to `budget` more places; returns true once the search is
+    // over. The editor calls this a little every frame.
+    run(budget = Infinity) {
+        while (!this.done && budget-- > 0) {
+            // Places left in the queue at the limit mark the search as cut off
+            if (this.queue.length === 0 || this.searched >= this.maxPlaces) {
+                this.done = true;
+                break;
+            }
+            const place = this.queue.shift();
+            this.searched++;
+            this.restoreState(place.state);
+            getMoves(place, this.simulation).forEach(move => this.tryMove(place, move));
+        }
+        return this.done;
+    }
+
+    // Plays a move from a place and queues where it ends
+    tryMove(place, move) {
+        const simulation = this.simulation;
+        const player = this.player;
+        this.restoreState(place.state);
+        if (move.kindIndex !== undefined) {
+            player.trampolineKind = move.kindIndex;
+        }
+
+        const startX = player.x;
+        const bounces = simulation.run.bounces;
+        const collected = new Set(this.stars.filter(star => star.collected));
+        const path = [player.x, player.y];
+        let pastApex = false;
+        let placed = false;
+        let end = null;
+
+        for (let step = 0; step < MAX_MOVE_STEPS && !end; step++) {
+            const airborne = step > 0 && !player.onGround;
+            pastApex = pastApex || (airborne && player.vy >= 0);
+            const direction = pastApex && move.apexDirection !== undefined ? move.apexDirection : move.direction;
+            this.controller.held = {
+                moveLeft: direction < 0,
+                moveRight: direction > 0,
+                moveDown: move.kind === 'drop' && step === 0,
+                jump: (move.kind === 'drop' && step === 0) ||
+                    (move.superBounce && step === 0) ||
+                    ((move.kind === 'jump' || move.kind === 'place') && (move.fullJump ? !pastApex : step === 0)),
+                placeTrampoline: move.kind === 'place' && pastApex && !placed
+            };
+            placed = placed || this.controller.held.placeTrampoline;
+
+            const fromX = player.x;
+            simulation.fixedUpdate();
+            if (step % ARC_SAMPLE_STEPS === ARC_SAMPLE_STEPS - 1) {
+                path.push(player.x, player.y);
+            }
+
+            if (player.isDead()) {
+                end = 'dead';
+            } else if (simulation.run.bounces > bounces) {
+                end = 'bounce';
+            } else if (player.onGround) {
+                const walked = Math.abs(player.x - startX) >= REACHABILITY_CELL || Math.abs(player.x - fromX) < 0.01;
+                if (move.kind === 'walk' ? walked : move.kind === 'wait' ? step >= WAIT_STEPS : step > 0) {
+                    end = 'ground';
+                }
+            }
+        }
+        path.push(player.x, player.y);
+
+        // Stars touched on the way count unless dying put them back
+        if (end !== 'dead' || simulation.keepStarsOnDeath) {
+            this.stars.forEach(star => {
+                if (star.collected && !collected.has(star)) {
+                    this.reachedStars.add(star.id);
+                }
+            });
+        }
+        if (end !== 'ground' && end !== 'bounce') return;
+        // A trampoline placed but missed only clutters the level
+        const missed = simulation.platforms.find(platform => platform.placedBy !== null && platform.bounces === 0);
+        if (move.kind === 'place' && missed) return;
+
+        this.addCells(path);
+        const key = this.getPlaceKey(end);
+        if (this.seen.has(key)) return;
+        this.seen.add(key);
+        this.queue.push({
+            kind: end,
+            canDropThrough: end === 'ground' && !!player.standingOn && player.standingOn.allowsDropThrough(),
+            state: this.saveState()
+        });
+        if (move.kind !== 'walk' && move.kind !== 'wait') {
+            const kind = move.kind !== 'air' ? move.kind : place.kind === 'bounce' ? 'bounce' : 'fall';
+            this.arcs.push({ kind, points: path });
+        }
+    }
+
+    addCells(path) {
+        for (let i = 0; i < path.length; i += 2) {
+            const x = Math.floor(path[i] / REACHABILITY_CELL);
+            const y = Math.floor(path[i + 1] / REACHABILITY_CELL);
+            this.cells.set(`${x},${y}`, [x, y]);
+        }
+    }
+
+    // What tells places apart: where the player is and how fast they are
+    // going, and the state that changes what they can do next
+    getPlaceKey(kind) {
+        const player = this.player;
+        const parts = [
+            kind,
+            Math.round(player.x / REACHABILITY_CELL),
+            Math.round(player.y / REACHABILITY_CELL),
+            Math.round(player.vx / SPEED_BUCKET),
+            kind === 'ground' ? 0 : Math.round(player.vy / SPEED_BUCKET)
+        ];
+        this.simulation.platforms.forEach(platform => {
+            if (platform.platformType === 'trampoline' && (platform.ttl > 0 || platform.placedBy !== null)) {
+                parts.push(`t${Math.round(platform.x)},${Math.round(platform.y)},${platform.ttl}`);
+            } else if (platform.platformType === 'hitSwitch') {
+                parts.push(`s${platform.id},${platform.isActive}`);
+            }
+        });
+        if (this.hasStarGates) {
+            parts.push(`*${this.stars.filter(star => star.collected).length}`);
+        }
+        parts.push(JSON.stringify(this.simulation.inventory.pools));
+        return parts.join('|');
+    }
+
+    // Everything a move can change, using the state objects send online
+    // (see getNetworkState)
+    saveState() {
+        const simulation = this.simulation;
+        const { controller, scale, ...player } = this.player;
+        return {
+            player: {
+                ...player,
+                previousState: { ...player.previousState },
+                lateSuperBounce: player.lateSuperBounce && { ...player.lateSuperBounce },
+                starsSinceCheckpoint: [...player.starsSinceCheckpoint]
+            },
+            platforms: simulation.platforms.map(platform => [platform, platform.getNetworkState()]),
+            pools: JSON.parse(JSON.stringify(simulation.inventory.pools)),
+            run: { ...simulation.run }
+        };
+    }
+
+    restoreState(state) {
+        const simulation = this.simulation;
+        simulation.platforms = state.platforms.map(([platform]) => platform);
+        state.platforms.forEach(([platform, saved]) => {
+            platform.wantsRemoval = false;
+            if (saved) {
+                platform.applyNetworkState(JSON.parse(JSON.stringify(saved)), simulation);
+            }
+        });
+        simulation.inventory.pools = JSON.parse(JSON.stringify(state.pools));
+        simulation.run = { ...state.run };
+        Object.assign(this.player, state.player, {
+            previousState: { ...state.player.previousState },
+            lateSuperBounce: state.player.lateSuperBounce && { ...state.player.lateSuperBounce },
+            starsSinceCheckpoint: [...state.player.starsSinceCheckpoint]
+        });
+        this.controller.held = {};
+        this.controller.current = {};
+    }
+
+    // What the search found so far:
+    //   stars: [{ id, x, y, reachable }], unreachable: ids of the stars not reached,
+    //   cells: [[x, y], ...] in REACHABILITY_CELL units, arcs: [{ kind, points }],
+    //   searched: places searched, complete: false if it stopped at maxPlaces
+    getReport() {
+        return {
+            stars: this.stars.map(star => ({ id: star.id, x: star.x, y: star.y, reachable: this.reachedStars.has(star.id) })),
+            unreachable: this.stars.filter(star => !this.reachedStars.has(star.id)).map(star => star.id),
+            cellSize: REACHABILITY_CELL,
+            cells: [...this.cells.values()],
+            arcs: this.arcs,
+            searched: this.searched,
+            complete: this.done && this.queue.length === 0
+        };
+    }
+}
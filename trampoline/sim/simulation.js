@@ -0,0 +1,841 @@
+// Trampoline Game Prototype
+// The game's rules without a screen: players, platforms, collisions, stars,
+// deaths and respawns, advanced one fixed step at a time
+//
+// Game (game.js) extends Simulation with the Pixi view, the editor and the
+// rest of the page, and fills in the hooks below. On its own it runs under
+// Node, driven by Controller subclasses (see test/).
+
+import {
+    SIMULATION_HZ, FIXED_TIMESTEP_MS, STEP_SCALE, MAX_PLAYERS, TRAMPOLINE_WIDTH, TRAMPOLINE_HEIGHT,
+    GROUND_HEIGHT, RESPAWN_DELAY_MS, INVULNERABLE_MS
+} from './constants.js';
+import { Rectangle } from './geometry.js';
+import { Utils } from './utils.js';
+import { PhysicsValues } from './physicsRules.js';
+import { TrampolineInventory } from './inventory.js';
+import { Catfox } from './player.js';
+import { Trampoline } from './platforms.js';
+import { STOMP_TOLERANCE, STOMP_BOUNCE } from './enemies.js';
+import { LevelFormat } from './levelFormat.js';
+
+export class Simulation {
+    constructor(physics = new PhysicsValues()) {
+        this.worldBounds = { width: 800, height: 600 }; // Level size, saved with the level
+        this.players = []; // Array of Catfox instances, one per joined player
+        this.platforms = []; // Array to hold all platforms
+        this.nextObjectId = 1; // Next free level object id
+        this.playerStartPos = { x: 100, y: 100 }; // Default start position
+        this.physics = physics; // Rules in effect: gravity, jump force, ...
+        this.levelPhysics = null; // Physics block stored in the current level, if any
+        this.levelInventory = null; // Trampoline budget stored in the current level, if any
+        this.inventory = new TrampolineInventory(); // What's left of it in this attempt
+        this.keepStarsOnDeath = false; // Level rule: stars stay collected when a player dies
+        this.tickCount = 0; // Fixed steps simulated so far
+        this.run = null; // Stats of the current attempt at the level (see startRun)
+    }
+
+    // Whether the level is being edited rather than played; platforms and
+    // enemies then stay as they were saved
+    isEditing() {
+        return false;
+    }
+
+    // Whether another game is authoritative and this one only follows it
+    // (see network.js)
+    isNetworkClient() {
+        return false;
+    }
+
+    // Every controller that can issue commands
+    getControllers() {
+        return this.players.map(p => p.controller);
+    }
+
+    // Called every step once the controllers are updated, to add players
+    // whose controllers started being used
+    handleJoins() {}
+
+    // Called every step of the attempt, after the time is counted
+    onRunTick() {}
+
+    // Progress messages for the console
+    log(message) {
+        console.log(message);
+    }
+
+    // Adds a player driven by the given controller and spawns it, in the
+    // given slot or the first free one. Returns null when the slot is taken.
+    addPlayer(controller, playerIndex = this.nextFreePlayerIndex()) {
+        if (playerIndex === -1 || this.players.some(p => p.playerIndex === playerIndex)) {
+            console.warn('No free player slots, ignoring join');
+            return null;
+        }
+
+        const player = new Catfox(0, 0);
+        player.playerIndex = playerIndex;
+        player.controller = controller;
+        this.players.push(player);
+        this.players.sort((a, b) => a.playerIndex - b.playerIndex);
+        this.resetPlayer(player);
+
+        this.log(`Player ${playerIndex + 1} joined (${controller.describe()})`);
+        return player;
+    }
+
+    removePlayer(player) {
+        const index = this.players.indexOf(player);
+        if (index === -1) return;
+
+        this.players.splice(index, 1);
+        this.log(`Player ${player.playerIndex + 1} left`);
+    }
+
+    nextFreePlayerIndex() {
+        for (let i = 0; i < MAX_PLAYERS; i++) {
+            if (!this.players.some(p => p.playerIndex === i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Method to add a new platform at runtime
+    addPlatform(platform) {
+        this.insertPlatform(platform, this.platforms.length);
+    }
+
+    // Adds a platform at a position in the update and draw order
+    insertPlatform(platform, index) {
+        if (platform.id === null) {
+            platform.id = this.nextObjectId++;
+        } else {
+            this.nextObjectId = Math.max(this.nextObjectId, platform.id + 1);
+        }
+        index = Utils.clamp(index, 0, this.platforms.length);
+        this.platforms.splice(index, 0, platform);
+    }
+
+    findPlatformById(id) {
+        return this.platforms.find(platform => platform.id === id) || null;
+    }
+
+    removePlatformById(id) {
+        const platform = this.findPlatformById(id);
+        return platform ? this.removePlatformByRef(platform) : null;
+    }
+
+    // Method to remove a platform at runtime
+    removePlatform(index) {
+        if (index >= 0 && index < this.platforms.length) {
+            return this.platforms.splice(index, 1)[0];
+        }
+        return null;
+    }
+
+    // Method to remove platform by reference
+    removePlatformByRef(platform) {
+        const index = this.platforms.indexOf(platform);
+        if (index !== -1) {
+            return this.removePlatform(index);
+        }
+        return null;
+    }
+
+    clearAllPlatforms() {
+        this.platforms = [];
+        this.nextObjectId = 1;
+    }
+
+    // Level physics override the values in effect while the level is loaded
+    setLevelPhysics(physics) {
+        this.levelPhysics = physics ? JSON.parse(JSON.stringify(physics)) : null;
+        this.physics.useLevelPhysics(this.levelPhysics);
+    }
+
+    // Changes the level's trampoline budget (null = unlimited) and refills it
+    setLevelInventory(inventory) {
+        this.levelInventory = inventory ? JSON.parse(JSON.stringify(inventory)) : null;
+        this.inventory.reset(this.levelInventory);
+        this.players.forEach(player => {
+            player.trampolineKind = 0;
+        });
+    }
+
+    setKeepStarsOnDeath(keep) {
+        this.keepStarsOnDeath = keep;
+    }
+
+    setWorldBounds(bounds) {
+        this.worldBounds = { width: bounds.width, height: bounds.height };
+    }
+
+    // Top of the ground along the bottom of the world
+    getGroundY() {
+        return this.worldBounds.height - GROUND_HEIGHT;
+    }
+
+    handleInput() {
+        // Snapshot all controllers once per step for edge detection
+        this.getControllers().forEach(controller => controller.update());
+        this.handleJoins();
+
+        this.players.forEach(player => this.handlePlayerInput(player));
+
+        // Platform manipulation (one-time key presses)
+        this.handlePlatformControls();
+    }
+
+    handlePlayerInput(player) {
+        if (player.isDead()) return;
+        const controller = player.controller;
+        const physics = this.physics.values;
+        const moveX = controller.getMoveX();
+
+        // Horizontal movement
+        if (physics.acceleration) {
+            // Speed up towards the target speed, slow down when there's no
+            // input, with separate rates on the ground and in the air
+            let rate;
+            if (moveX !== 0) {
+                rate = player.onGround ? physics.groundAcceleration : physics.airAcceleration;
+            } else {
+                rate = player.onGround ? physics.groundDeceleration : physics.airDeceleration;
+            }
+            player.vx = Utils.approach(player.vx, moveX * physics.moveSpeed, rate * STEP_SCALE);
+        } else if (moveX < 0) {
+            player.vx = -physics.moveSpeed;
+        } else if (moveX > 0) {
+            player.vx = physics.moveSpeed;
+        } else {
+            player.vx *= Math.pow(physics.friction, STEP_SCALE); // Friction
+        }
+
+        // Down + jump on a one-way platform drops through it instead of jumping
+        const dropsThrough = controller.isDown('moveDown') && controller.wasPressed('jump') &&
+            !!player.standingOn && player.standingOn.allowsDropThrough();
+        if (dropsThrough) {
+            player.droppingThrough = player.standingOn;
+            player.onGround = false;
+            player.coyoteMs = 0;
+        }
+
+        // Jump. A press is remembered for a moment so one made just before
+        // landing still counts, and the ground still counts for a moment
+        // after walking off a ledge.
+        if (controller.wasPressed('jump') && !dropsThrough) {
+            player.jumpBufferMs = physics.jumpBuffer ? Math.max(physics.jumpBufferMs, FIXED_TIMESTEP_MS) : FIXED_TIMESTEP_MS;
+        }
+        const canJump = player.onGround || (physics.coyoteTime && player.coyoteMs > 0);
+        if (player.jumpBufferMs > 0 && canJump) {
+            player.vy = physics.jumpForce;
+            player.onGround = false;
+            player.isJumping = true;
+            player.jumpBufferMs = 0;
+            player.coyoteMs = 0;
+        } else if (controller.wasPressed('jump') && !dropsThrough) {
+            this.pressSuperBounce(player);
+        }
+        player.jumpBufferMs = Math.max(0, player.jumpBufferMs - FIXED_TIMESTEP_MS);
+        player.superBounceMs = Math.max(0, player.superBounceMs - FIXED_TIMESTEP_MS);
+        if (player.lateSuperBounce) {
+            player.lateSuperBounce.ageMs += FIXED_TIMESTEP_MS;
+        }
+
+        // Letting go of jump while rising cuts the jump short
+        if (player.isJumping && !controller.isDown('jump')) {
+            if (physics.variableJump && player.vy < 0) {
+                player.vy *= physics.jumpCut;
+            }
+            player.isJumping = false;
+        }
+
+        // Pick which kind of trampoline to place
+        if (controller.wasPressed('nextTrampoline')) {
+            player.trampolineKind = (player.trampolineKind + 1) % this.getTrampolineKinds().length;
+        }
+
+        // Add trampoline in the player's path
+        if (controller.wasPressed('placeTrampoline')) {
+            this.placeTrampoline(player);
+        }
+    }
+
+    // Kinds of trampoline players can place: the level's budget, or one
+    // unlimited kind from the physics values
+    getTrampolineKinds() {
+        if (this.levelInventory) {
+            return this.levelInventory.trampolines;
+        }
+        const physics = this.physics.values;
+        return [{ bounceForce: physics.placedTrampolineForce, ttl: physics.placedTrampolineBounces }];
+    }
+
+    placeTrampoline(player) {
+        // Online clients leave it to the host, whose snapshots bring it back
+        if (this.isNetworkClient()) return;
+        const kinds = this.getTrampolineKinds();
+        if (kinds.length === 0) {
+            this.showInventoryMessage(player, 'No trampolines in this level');
+            return;
+        }
+        const kindIndex = Math.min(player.trampolineKind, kinds.length - 1);
+        const kind = kinds[kindIndex];
+        const x = player.x + player.vx * 10;
+        const y = player.y + player.height * 2;
+
+        if (!this.hasRoomForTrampoline(x, y)) {
+            this.showInventoryMessage(player, 'No room there');
+            return;
+        }
+        if (!this.inventory.take(player.playerIndex, kindIndex)) {
+            this.showInventoryMessage(player, 'None left');
+            return;
+        }
+
+        const trampoline = new Trampoline(x, y, kind.bounceForce, kind.ttl);
+        trampoline.placedBy = player.playerIndex;
+        this.addPlatform(trampoline);
+        this.log(`Player ${player.playerIndex + 1} added trampoline at (${Math.round(x)}, ${Math.round(y)}) with bounce force ${kind.bounceForce}`);
+    }
+
+    // A placed trampoline must be inside the level, above the ground and
+    // clear of other platforms
+    hasRoomForTrampoline(x, y) {
+        const bounds = new Rectangle(x - TRAMPOLINE_WIDTH / 2, y - TRAMPOLINE_HEIGHT / 2, TRAMPOLINE_WIDTH, TRAMPOLINE_HEIGHT);
+        if (bounds.x < 0 || bounds.x + bounds.width > this.worldBounds.width || bounds.y < 0 || bounds.y + bounds.height > this.getGroundY()) {
+            return false;
+        }
+        return !this.platforms.some(platform =>
+            platform.blocksPlacement() && bounds.intersects(platform.getCollisionBounds())
+        );
+    }
+
+    showInventoryMessage(player, text) {
+        player.inventoryMessage = { text, untilTick: this.tickCount + SIMULATION_HZ };
+    }
+
+    // Jump pressed in the air: boosts the bounce the player just made, or
+    // else the one they are about to make
+    pressSuperBounce(player) {
+        const windowMs = this.physics.values.superBounceWindowMs;
+        const late = player.lateSuperBounce;
+        player.lateSuperBounce = null;
+        if (late && late.ageMs <= windowMs && player.vy < 0) {
+            player.vx += late.vx;
+            player.vy += late.vy;
+            late.trampoline.playBounceAnimation(true);
+        } else {
+            player.superBounceMs = windowMs;
+        }
+    }
+
+    handlePlatformControls() {
+        // Reset all players to their start positions
+        if (this.getControllers().some(c => c.wasPressed('reset'))) {
+            this.resetGame();
+        }
+    }
+
+    // Moves and changes platforms; moving ones carry the players standing on them
+    updatePlatforms() {
+        const isEditing = this.isEditing();
+        this.platforms.forEach(platform => {
+            const fromX = platform.x;
+            const fromY = platform.y;
+            platform.update(isEditing);
+            const dx = platform.x - fromX;
+            const dy = platform.y - fromY;
+            if (dx === 0 && dy === 0) return;
+            this.players.forEach(player => {
+                if (player.standingOn === platform) {
+                    player.x += dx;
+                    player.y += dy;
+                }
+            });
+        });
+    }
+
+    // Moves the enemies and hazards. While editing they stay where they
+    // were placed.
+    updateEnemies() {
+        const enemies = this.platforms.filter(platform => platform.isEnemy());
+        if (this.isEditing()) {
+            enemies.forEach(enemy => enemy.resetState());
+            return;
+        }
+        enemies.forEach(enemy => enemy.updateEnemy(this));
+    }
+
+    // Moves an enemy with the players' gravity and swept collision. Sets
+    // body.onGround and returns the surfaces hit along each axis,
+    // { x, y } (null if none); the world's edges count as hits.
+    moveBody(body) {
+        body.vy += this.physics.values.gravity * STEP_SCALE;
+        body.onGround = false;
+        const hits = { x: null, y: null };
+
+        const dx = body.vx * STEP_SCALE;
+        if (dx !== 0) {
+            hits.x = this.sweepBody(body, 'x', dx);
+            body.x += hits.x ? hits.x.distance : dx;
+        }
+        const halfWidth = body.getSize().width / 2;
+        if (body.x < halfWidth || body.x > this.worldBounds.width - halfWidth) {
+            body.x = Utils.clamp(body.x, halfWidth, this.worldBounds.width - halfWidth);
+            hits.x = { platform: null, side: body.vx > 0 ? 'left' : 'right', distance: 0 };
+        }
+        if (hits.x) {
+            body.vx = 0;
+        }
+
+        const dy = body.vy * STEP_SCALE;
+        if (dy !== 0) {
+            hits.y = this.sweepBody(body, 'y', dy);
+            body.y += hits.y ? hits.y.distance : dy;
+        }
+        const groundY = this.getGroundY() - body.getSize().height / 2;
+        if (body.y >= groundY) {
+            body.y = groundY;
+            hits.y = { platform: null, side: 'top', distance: 0 };
+        }
+        if (hits.y) {
+            body.onGround = hits.y.side === 'top';
+            body.vy = 0;
+        }
+        return hits;
+    }
+
+    // Whether there is something to stand on at a level position
+    isSupportedAt(x, y) {
+        if (y >= this.getGroundY()) return true; // The ground
+        return this.platforms.some(platform => {
+            if (!platform.blocksFrom('top')) return false;
+            const bounds = platform.getCollisionBounds();
+            return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+        });
+    }
+
+    // Powers every object linked to an active trigger. While editing, the
+    // level stays as it was saved.
+    updateTriggers() {
+        if (this.isEditing()) {
+            this.platforms
+                .filter(platform => platform.isTrigger() || platform.isTriggerTarget())
+                .forEach(platform => platform.resetState());
+            return;
+        }
+        const powered = new Set();
+        this.platforms.forEach(platform => {
+            if (!platform.isTrigger()) return;
+            platform.updateTrigger(this);
+            if (platform.isActive) {
+                platform.targets.forEach(id => powered.add(id));
+            }
+        });
+        this.platforms.forEach(platform => {
+            if (platform.isTriggerTarget()) {
+                platform.setPowered(powered.has(platform.id), this);
+            }
+        });
+    }
+
+    updatePhysics(player) {
+        this.updateRespawn(player);
+        if (player.isDead()) return;
+
+        // Apply gravity
+        player.vy += this.physics.values.gravity * STEP_SCALE;
+
+        // Update position, stopping at solid surfaces
+        this.moveAndCollide(player);
+
+        // Trigger platforms (stars, death)
+        this.checkPlatformCollisions(player);
+        this.checkPlatformRemovals();
+
+        // Ground collision
+        const groundY = this.getGroundY() - player.height / 2;
+        if (player.y >= groundY) {
+            player.y = groundY;
+            player.vy = 0;
+            player.onGround = true;
+        }
+
+        // Solid again once the player has fallen past it or moved off it
+        if (player.droppingThrough) {
+            const bounds = player.droppingThrough.getCollisionBounds();
+            const playerBounds = player.getCollisionBounds();
+            if (playerBounds.y >= bounds.y + bounds.height || !this.platforms.includes(player.droppingThrough) ||
+                playerBounds.x + playerBounds.width <= bounds.x || playerBounds.x >= bounds.x + bounds.width) {
+                player.droppingThrough = null;
+            }
+        }
+
+        // A jump is over once it stops rising, so later bounces can't be cut
+        if (player.vy >= 0) {
+            player.isJumping = false;
+        }
+        if (player.onGround) {
+            player.bounceChain = 0;
+        }
+        player.coyoteMs = player.onGround ? this.physics.values.coyoteMs : Math.max(0, player.coyoteMs - FIXED_TIMESTEP_MS);
+
+        // World boundaries
+        if (player.x < player.width / 2) {
+            player.x = player.width / 2;
+        } else if (player.x > this.worldBounds.width - player.width / 2) {
+            player.x = this.worldBounds.width - player.width / 2;
+        }
+
+        // Reset if player falls out of the world
+        if (player.y > this.worldBounds.height + 100) {
+            this.handlePlayerDeath(player);
+        }
+    }
+
+    // Swept AABB movement: each axis is moved separately and stops at the
+    // first blocking surface in the way, so fast bounces can't tunnel
+    // through thin platforms
+    moveAndCollide(player) {
+        player.onGround = false;
+        player.standingOn = null;
+
+        const dx = player.vx * STEP_SCALE;
+        if (dx !== 0) {
+            const hit = this.sweepBody(player, 'x', dx);
+            player.x += hit ? hit.distance : dx;
+            if (hit) {
+                this.handleCollision(player, hit);
+            }
+        }
+
+        const dy = player.vy * STEP_SCALE;
+        if (dy !== 0) {
+            const hit = this.sweepBody(player, 'y', dy);
+            player.y += hit ? hit.distance : dy;
+            if (hit) {
+                this.handleCollision(player, hit);
+            }
+        }
+    }
+
+    handleCollision(player, hit) {
+        hit.platform.onPlayerCollision(player, hit.side, this);
+        if (hit.platform.platformType === 'trampoline') {
+            this.run.bounces++;
+            this.run.bestChain = Math.max(this.run.bestChain, player.bounceChain);
+            if (hit.platform.ttl > 0) {
+                hit.platform.redraw(); // One pip fewer
+            }
+        }
+    }
+
+    // Finds the nearest platform that blocks a player (or enemy) moving by
+    // delta along one axis. Returns { platform, side, distance } or null.
+    sweepBody(player, axis, delta) {
+        const epsilon = 0.001;
+        const playerBounds = player.getCollisionBounds();
+        let nearest = null;
+
+        for (const platform of this.platforms) {
+            if (platform === player) continue;
+            const bounds = platform.getCollisionBounds();
+            let side, distance;
+
+            if (axis === 'x') {
+                // Must overlap vertically to be in the way
+                if (playerBounds.y + playerBounds.height <= bounds.y ||
+                    playerBounds.y >= bounds.y + bounds.height) continue;
+                if (delta > 0) {
+                    side = 'left';
+                    distance = bounds.x - (playerBounds.x + playerBounds.width);
+                } else {
+                    side = 'right';
+                    distance = (bounds.x + bounds.width) - playerBounds.x;
+                }
+            } else {
+                // Must overlap horizontally to be in the way
+                if (playerBounds.x + playerBounds.width <= bounds.x ||
+                    playerBounds.x >= bounds.x + bounds.width) continue;
+                if (delta > 0) {
+                    side = 'top';
+                    distance = bounds.y - (playerBounds.y + playerBounds.height);
+                } else {
+                    side = 'bottom';
+                    distance = (bounds.y + bounds.height) - playerBounds.y;
+                }
+            }
+
+            if (!platform.blocksFrom(side) || platform === player.droppingThrough) continue;
+
+            // Surface must be ahead of the player (or touching) and within reach
+            const ahead = delta > 0 ? distance >= -epsilon : distance <= epsilon;
+            const reached = Math.abs(distance) <= Math.abs(delta);
+            if (!ahead || !reached) continue;
+
+            if (!nearest || Math.abs(distance) < Math.abs(nearest.distance)) {
+                nearest = { platform, side, distance: Math.abs(distance) < epsilon ? 0 : distance };
+            }
+        }
+
+        return nearest;
+    }
+
+    checkPlatformCollisions(player) {
+        // Triggers use the swept box so fast players can't skip past them
+        const playerBounds = player.getSweptBounds();
+
+        for (let platform of this.platforms) {
+            if (platform.platformType === 'star' || platform.platformType === 'checkpoint') {
+                if (player.isIntersecting(platform.getCollisionBounds(), playerBounds)) {
+                    platform.onPlayerCollision(player, null, this);
+                }
+            } else if (platform.platformType === 'death') {
+                // Death platforms trigger on any contact, unless the player just respawned
+                if (player.invulnerableMs <= 0 && player.isIntersecting(platform.getCollisionBounds(), playerBounds)) {
+                    platform.onPlayerCollision(player, null, this);
+                    // Check if platform wants to trigger reset
+                    if (platform.triggerReset) {
+                        this.handlePlayerDeath(player);
+                        platform.triggerReset = false; // Reset the flag
+                        break;
+                    }
+                }
+            } else if (platform.isEnemy() && platform.hurtsOnContact()) {
+                if (player.isIntersecting(platform.getCollisionBounds(), playerBounds)) {
+                    this.handleEnemyContact(player, platform);
+                    if (player.isDead()) break;
+                }
+            }
+        }
+    }
+
+    // Landing on an enemy from above defeats it and bounces the player up;
+    // any other touch hurts the player
+    handleEnemyContact(player, enemy) {
+        const enemyTop = enemy.getCollisionBounds().y;
+        const previousBottom = player.previousState.y + player.height / 2;
+        if (enemy.canBeStomped() && player.vy > 0 && previousBottom <= enemyTop + STOMP_TOLERANCE) {
+            enemy.defeat();
+            player.vy = this.physics.values.jumpForce * STOMP_BOUNCE;
+            player.isJumping = false;
+            this.log(`Player ${player.playerIndex + 1} stomped a ${enemy.platformType}`);
+        } else {
+            this.hurtPlayer(player);
+        }
+    }
+
+    // Kills the player unless they just respawned
+    hurtPlayer(player) {
+        if (player.invulnerableMs > 0) return;
+        this.handlePlayerDeath(player);
+    }
+
+    checkPlatformRemovals() {
+        // Online clients remove what the host's snapshots no longer list
+        if (this.isNetworkClient()) return;
+        // Remove platforms that want to be removed
+        for (let i = this.platforms.length - 1; i >= 0; i--) {
+            const platform = this.platforms[i];
+            if (platform.wantsRemoval) {
+                this.removePlatformByRef(platform);
+            }
+        }
+    }
+
+    // Spawn point for a player: its own PlayerStart if the level has one,
+    // otherwise offset sideways from player one's start
+    getSpawnPoint(playerIndex) {
+        const starts = this.platforms.filter(p => p.platformType === 'playerStart');
+        const ownStart = starts.find(p => p.playerIndex === playerIndex);
+        if (ownStart) {
+            return { x: ownStart.x, y: ownStart.y };
+        }
+
+        const baseStart = starts.find(p => p.playerIndex === 0) || starts[0] || this.playerStartPos;
+        return { x: baseStart.x + playerIndex * 50, y: baseStart.y };
+    }
+
+    // Back to the player's start, forgetting checkpoints (full restart)
+    resetPlayer(player) {
+        player.checkpoint = null;
+        player.starsSinceCheckpoint = [];
+        player.respawnMs = 0;
+        player.invulnerableMs = 0;
+        this.spawnPlayer(player, this.getSpawnPoint(player.playerIndex));
+    }
+
+    // Puts the player at a position, standing still
+    spawnPlayer(player, position) {
+        player.teleport(position.x, position.y);
+        player.scale.set(1);
+        player.rotation = 0;
+        player.alpha = 1;
+        player.vx = 0;
+        player.vy = 0;
+        player.onGround = false;
+        player.coyoteMs = 0;
+        player.jumpBufferMs = 0;
+        player.isJumping = false;
+        player.superBounceMs = 0;
+        player.lateSuperBounce = null;
+        player.bounceChain = 0;
+        player.standingOn = null;
+        player.droppingThrough = null;
+    }
+
+    // Takes the player out until updateRespawn() brings them back. Unless
+    // the level keeps them, the stars they collected since their last
+    // checkpoint are put back.
+    handlePlayerDeath(player) {
+        if (player.isDead()) return;
+        this.log(`Player ${player.playerIndex + 1} died`);
+        this.run.deaths++;
+        player.respawnMs = RESPAWN_DELAY_MS;
+        player.vx = 0;
+        player.vy = 0;
+        player.standingOn = null;
+        if (!this.keepStarsOnDeath) {
+            player.starsSinceCheckpoint.forEach(star => star.resetState());
+        }
+        player.starsSinceCheckpoint = [];
+    }
+
+    // Death animation, then respawn at the player's checkpoint (or start)
+    // with a moment of invulnerability, shown by blinking
+    updateRespawn(player) {
+        if (player.isDead()) {
+            player.respawnMs -= FIXED_TIMESTEP_MS;
+            const progress = 1 - Math.max(player.respawnMs, 0) / RESPAWN_DELAY_MS;
+            player.scale.set(1 - progress * 0.8);
+            player.rotation = progress * Math.PI * 2;
+            player.alpha = 1 - progress;
+            if (player.respawnMs <= 0) {
+                this.respawnPlayer(player);
+            }
+        } else if (player.invulnerableMs > 0) {
+            player.invulnerableMs = Math.max(0, player.invulnerableMs - FIXED_TIMESTEP_MS);
+            player.alpha = player.invulnerableMs > 0 && Math.floor(player.invulnerableMs / 100) % 2 === 0 ? 0.3 : 1;
+        }
+    }
+
+    respawnPlayer(player) {
+        player.respawnMs = 0;
+        const checkpoint = this.platforms.includes(player.checkpoint) ? player.checkpoint : null;
+        this.spawnPlayer(player, checkpoint || this.getSpawnPoint(player.playerIndex));
+        player.invulnerableMs = INVULNERABLE_MS;
+    }
+
+    resetStars() {
+        this.platforms.forEach(platform => {
+            if (platform.platformType === 'star') {
+                platform.resetState();
+            }
+        });
+    }
+
+    resetGame() {
+        this.players.forEach(player => this.resetPlayer(player));
+        this.resetStars();
+        this.startRun();
+    }
+
+    // Begins a fresh attempt at the level: stats back to zero, placed
+    // trampolines cleared away, the budget refilled and moving and
+    // crumbling platforms back at the start
+    startRun() {
+        this.platforms
+            .filter(platform => platform.placedBy !== null)
+            .forEach(platform => this.removePlatformByRef(platform));
+        this.platforms.forEach(platform => platform.resetState());
+        this.inventory.reset(this.levelInventory);
+
+        this.run = {
+            ticks: 0, // Fixed steps played, excluding time in the editor
+            deaths: 0,
+            bounces: 0,
+            bestChain: 0, // Most trampoline bounces in a row
+            complete: false,
+            resultsTicks: 0 // Fixed steps the results screen has been up
+        };
+    }
+
+    // Times the attempt and checks the win condition: every star collected
+    updateRun() {
+        if (this.isEditing()) return; // Editing doesn't count
+        this.run.ticks++;
+        this.onRunTick();
+
+        const stars = this.platforms.filter(platform => platform.platformType === 'star');
+        if (stars.length > 0 && stars.every(star => star.collected)) {
+            this.completeLevel();
+        }
+    }
+
+    completeLevel() {
+        this.run.complete = true;
+    }
+
+    // Keeps the positions before the step, which the view interpolates from
+    savePreviousStates() {
+        this.players.forEach(player => player.savePreviousState());
+        this.platforms.forEach(platform => platform.savePreviousState());
+    }
+
+    // One step of play
+    step() {
+        this.handleInput();
+        this.updatePlatforms();
+        this.updateEnemies();
+        this.players.forEach(player => this.updatePhysics(player));
+        this.updateTriggers();
+        this.updateRun();
+    }
+
+    // Advances the simulation by FIXED_TIMESTEP_MS; the level is frozen
+    // once it is complete
+    fixedUpdate() {
+        this.savePreviousStates();
+        if (!this.run.complete) {
+            this.step();
+        }
+        this.tickCount++;
+    }
+
+    // Level Save/Load System
+    serializeLevel(name) {
+        return LevelFormat.serialize(name, this.platforms, this.worldBounds, {
+            physics: this.levelPhysics,
+            inventory: this.levelInventory,
+            keepStarsOnDeath: this.keepStarsOnDeath
+        });
+    }
+
+    // Replaces the level with parsed level data and starts a fresh attempt
+    applyLevelData(level) {
+        // Clear existing platforms
+        this.clearAllPlatforms();
+        this.setWorldBounds(level.bounds);
+        this.setLevelPhysics(level.physics || null);
+        this.setLevelInventory(level.inventory || null);
+        this.setKeepStarsOnDeath(level.keepStarsOnDeath === true);
+
+        // Recreate platforms from saved data
+        level.platforms.forEach(entry => {
+            this.addPlatform(LevelFormat.createObject(entry));
+        });
+
+        // Update player start position from player one's PlayerStart platform
+        const playerStartPlatform = this.platforms.find(p => p.platformType === 'playerStart' && p.playerIndex === 0);
+        if (playerStartPlatform) {
+            this.playerStartPos = { x: playerStartPlatform.x, y: playerStartPlatform.y };
+        } else {
+            this.playerStartPos = { x: 100, y: 100 };
+        }
+
+        // Move players to their start positions
+        this.players.forEach(player => this.resetPlayer(player));
+        this.startRun();
+    }
+}
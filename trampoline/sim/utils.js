@@ -0,0 +1,45 @@
+// Trampoline Game Prototype
+// Utility functions for future expansion
+
+export const Utils = {
+    // Distance between two points
+    distance(x1, y1, x2, y2) {
+        return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+    },
+
+    // Formats milliseconds as m:ss.cc
+    formatTime(ms) {
+        const centiseconds = Math.round(ms / 10);
+        const minutes = Math.floor(centiseconds / 6000);
+        const seconds = Math.floor(centiseconds / 100) % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+    },
+
+    // Random number between min and max
+    random(min, max) {
+        return Math.random() * (max - min) + min;
+    },
+
+    // Clamp value between min and max
+    clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    },
+
+    // Moves value towards target by at most maxDelta
+    approach(value, target, maxDelta) {
+        if (value < target) {
+            return Math.min(value + maxDelta, target);
+        }
+        return Math.max(value - maxDelta, target);
+    },
+
+    // Linear interpolation
+    lerp(start, end, t) {
+        return start + t * (end - start);
+    },
+
+    // Turn a name into something safe to use as a file name
+    toFileName(name) {
+        return (name || 'level').trim().replace(/[^a-z0-9-_]+/gi, '_') || 'level';
+    }
+};
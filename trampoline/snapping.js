@@ -0,0 +1,126 @@
+// Trampoline Game Prototype
+// Level editor grid and edge snapping
+//
+// Works on collision bounds (Rectangle). An object's edges snap to the
+// edges or centers of nearby objects first; otherwise its left and top edges
+// snap to the grid.
+
+import { Rectangle } from './sim/geometry.js';
+
+const GRID_SIZES = [10, 20, 40];
+const EDGE_SNAP_DISTANCE = 8; // How close (in pixels) an edge must be to snap to a neighbour
+const NEIGHBOUR_DISTANCE = 300; // Objects farther away than this (in pixels) aren't neighbours
+
+export class EditorSnapping {
+    constructor() {
+        this.storageKey = 'trampolineEditorSettings';
+        this.gridSize = 20;
+        this.enabled = true;
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            if (GRID_SIZES.includes(saved.gridSize)) {
+                this.gridSize = saved.gridSize;
+            }
+            if (typeof saved.snap === 'boolean') {
+                this.enabled = saved.snap;
+            }
+        } catch (error) {
+            console.error('Failed to load editor settings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ gridSize: this.gridSize, snap: this.enabled }));
+        } catch (error) {
+            console.error('Failed to save editor settings:', error);
+        }
+    }
+
+    cycleGridSize() {
+        this.gridSize = GRID_SIZES[(GRID_SIZES.indexOf(this.gridSize) + 1) % GRID_SIZES.length];
+        this.save();
+    }
+
+    toggle() {
+        this.enabled = !this.enabled;
+        this.save();
+    }
+
+    // Returns { x, y, guides }: the offset that snaps `bounds` into place and
+    // an alignment guide for every neighbour edge it then lines up with.
+    // Only `objects` near `bounds` count as neighbours.
+    // Guides are { axis: 'x' | 'y', at, from, to } in level coordinates.
+    snap(bounds, objects, free = false) {
+        const neighbours = objects.filter(other => this.isNearby(bounds, other));
+        let x = 0;
+        let y = 0;
+        if (this.enabled && !free) {
+            x = this.snapAxis(this.getEdges(bounds, 'x'), neighbours.map(n => this.getEdges(n, 'x')));
+            y = this.snapAxis(this.getEdges(bounds, 'y'), neighbours.map(n => this.getEdges(n, 'y')));
+        }
+
+        const snapped = new Rectangle(bounds.x + x, bounds.y + y, bounds.width, bounds.height);
+        return { x, y, guides: this.findGuides(snapped, neighbours) };
+    }
+
+    // Whether the gap between two rectangles is within NEIGHBOUR_DISTANCE
+    // on both axes, so lining up with far-off objects doesn't get in the way
+    isNearby(bounds, other) {
+        const gapX = Math.max(other.x - (bounds.x + bounds.width), bounds.x - (other.x + other.width), 0);
+        const gapY = Math.max(other.y - (bounds.y + bounds.height), bounds.y - (other.y + other.height), 0);
+        return gapX <= NEIGHBOUR_DISTANCE && gapY <= NEIGHBOUR_DISTANCE;
+    }
+
+    // Start, center and end of a rectangle along one axis
+    getEdges(bounds, axis) {
+        const start = axis === 'x' ? bounds.x : bounds.y;
+        const size = axis === 'x' ? bounds.width : bounds.height;
+        return [start, start + size / 2, start + size];
+    }
+
+    snapAxis(edges, neighbourEdges) {
+        let best = null;
+        neighbourEdges.forEach(targets => {
+            targets.forEach(target => {
+                edges.forEach(edge => {
+                    const offset = target - edge;
+                    if (Math.abs(offset) <= EDGE_SNAP_DISTANCE && (best === null || Math.abs(offset) < Math.abs(best))) {
+                        best = offset;
+                    }
+                });
+            });
+        });
+        if (best !== null) {
+            return best;
+        }
+        return Math.round(edges[0] / this.gridSize) * this.gridSize - edges[0];
+    }
+
+    findGuides(bounds, neighbours) {
+        const guides = [];
+        neighbours.forEach(neighbour => {
+            ['x', 'y'].forEach(axis => {
+                const targets = this.getEdges(neighbour, axis);
+                const other = axis === 'x' ? 'y' : 'x';
+                const [ownStart, , ownEnd] = this.getEdges(bounds, other);
+                const [neighbourStart, , neighbourEnd] = this.getEdges(neighbour, other);
+                this.getEdges(bounds, axis).forEach(edge => {
+                    if (targets.some(target => Math.abs(target - edge) < 0.5)) {
+                        guides.push({
+                            axis,
+                            at: edge,
+                            from: Math.min(ownStart, neighbourStart),
+                            to: Math.max(ownEnd, neighbourEnd)
+                        });
+                    }
+                });
+            });
+        });
+        return guides;
+    }
+}
@@ -0,0 +1,72 @@
+// Shared setup for the simulation tests
+
+import { INPUT_ACTIONS, Controller } from '../sim/controller.js';
+import { LEVEL_FORMAT_VERSION, LevelFormat } from '../sim/levelFormat.js';
+import { Simulation } from '../sim/simulation.js';
+
+// Every action mapped to itself, so a ScriptedController can hold actions by name
+const ACTION_MAP = Object.fromEntries(Object.keys(INPUT_ACTIONS).map(action => [action, [action]]));
+
+// Controller whose actions are held and released by the test
+export class ScriptedController extends Controller {
+    constructor() {
+        super({ getMap: () => ACTION_MAP }, 'script');
+        this.held = new Set();
+    }
+
+    press(action) {
+        this.held.add(action);
+    }
+
+    release(action) {
+        this.held.delete(action);
+    }
+
+    isInputDown(action) {
+        return this.held.has(action);
+    }
+
+    describe() {
+        return 'Script';
+    }
+}
+
+// Level data for an 800x600 level with the given platform entries; ids are
+// filled in from their order
+export function makeLevel(platforms, extra = {}) {
+    return {
+        version: LEVEL_FORMAT_VERSION,
+        name: 'Test',
+        bounds: { width: 800, height: 600 },
+        platforms: platforms.map((entry, index) => ({ id: index + 1, ...entry })),
+        ...extra
+    };
+}
+
+// A simulation playing the level with one scripted player
+export function startLevel(data) {
+    const { level, errors } = LevelFormat.parse(data);
+    if (!level) {
+        throw new Error(`Invalid test level: ${errors.join(', ')}`);
+    }
+    const simulation = new Simulation();
+    simulation.applyLevelData(level);
+    const controller = new ScriptedController();
+    const player = simulation.addPlayer(controller);
+    return { simulation, controller, player };
+}
+
+// Runs fixed steps until the condition holds; fails after `limit` steps
+export function stepUntil(simulation, condition, limit = 1000) {
+    for (let i = 0; i < limit; i++) {
+        if (condition()) return i;
+        simulation.fixedUpdate();
+    }
+    throw new Error(`Condition not reached in ${limit} steps`);
+}
+
+export function stepFor(simulation, steps) {
+    for (let i = 0; i < steps; i++) {
+        simulation.fixedUpdate();
+    }
+}
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PhysicsRules } from '../sim/physicsRules.js';
+import { LevelFormat } from '../sim/levelFormat.js';
+import { Simulation } from '../sim/simulation.js';
+import { makeLevel, startLevel, stepUntil } from './helpers.js';
+
+const LEVELS_DIR = new URL('../levels/', import.meta.url);
+
+// Loads level data into a fresh simulation and saves it again
+function roundTrip(data) {
+    const { level, errors } = LevelFormat.parse(data);
+    assert.deepEqual(errors, []);
+    const simulation = new Simulation();
+    simulation.applyLevelData(level);
+    return { level, saved: simulation.serializeLevel(level.name) };
+}
+
+const manifest = JSON.parse(readFileSync(new URL('manifest.json', LEVELS_DIR)));
+manifest.levels.forEach(file => {
+    test(`bundled level ${file} saves back unchanged`, () => {
+        const data = JSON.parse(readFileSync(new URL(file, LEVELS_DIR)));
+        const { saved } = roundTrip(data);
+        const { ghost, ...withoutGhost } = data;
+        assert.deepEqual(saved, withoutGhost);
+    });
+});
+
+test('level rules, physics and links survive a round trip', () => {
+    const data = makeLevel([
+        { type: 'playerStart', x: 100, y: 480, playerIndex: 0 },
+        { type: 'pressurePlate', x: 300, y: 496, width: 60, height: 8, targets: [3] },
+        { type: 'door', x: 500, y: 450, width: 20, height: 100, startsOpen: false },
+        { type: 'walker', x: 600, y: 472, range: 200, speed: 1.5 }
+    ], {
+        physics: { preset: 'Floaty', values: { ...PhysicsRules.defaults(), gravity: 0.2 } },
+        inventory: { mode: 'perPlayer', trampolines: [{ bounceForce: -15, ttl: 1, count: 3 }] },
+        keepStarsOnDeath: true
+    });
+    const { level, saved } = roundTrip(data);
+    assert.deepEqual(saved, level);
+    assert.equal(saved.keepStarsOnDeath, true);
+    assert.deepEqual(saved.platforms[1].targets, [3]);
+});
+
+test('trampolines are saved with their bounces as placed, not the ones left', () => {
+    const { simulation } = startLevel(makeLevel([
+        { type: 'playerStart', x: 200, y: 300, playerIndex: 0 },
+        {
+            type: 'trampoline', x: 200, y: 450, bounceForce: -12, ttl: 2,
+            angle: 0, superBounce: 1.5, fallTransfer: 0, chainBoost: 0, enabled: true
+        }
+    ]));
+    const pad = simulation.platforms.find(p => p.platformType === 'trampoline');
+
+    stepUntil(simulation, () => pad.bounces === 1);
+    assert.equal(pad.ttl, 1);
+    const saved = simulation.serializeLevel('Test').platforms.find(entry => entry.type === 'trampoline');
+    assert.equal(saved.ttl, 2);
+});
+
+test('saved levels parse to the same level', () => {
+    const { saved } = roundTrip(JSON.parse(readFileSync(new URL('demo.json', LEVELS_DIR))));
+    const { level } = roundTrip(JSON.parse(JSON.stringify(saved)));
+    assert.deepEqual(level, saved);
+});
+
+test('broken objects are dropped with an error and the rest loads', () => {
+    const { level, errors } = LevelFormat.parse(makeLevel([
+        { type: 'star', x: 100, y: 100 },
+        { type: 'star', x: 'left', y: 100 },
+        { type: 'unknown', x: 0, y: 0 }
+    ]));
+    assert.equal(level.platforms.length, 1);
+    assert.equal(errors.length, 2);
+});
+
+test('star gates need a whole number of stars', () => {
+    const { level, errors } = LevelFormat.parse(makeLevel([
+        { type: 'starGate', x: 300, y: 400, stars: 2.5, targets: [] },
+        { type: 'starGate', x: 500, y: 400, stars: 2, targets: [] }
+    ]));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /stars/);
+    assert.deepEqual(level.platforms.map(entry => entry.stars), [2]);
+});
+
+test('levels from newer versions of the game are refused', () => {
+    const { level, errors } = LevelFormat.parse({ ...makeLevel([]), version: 999 });
+    assert.equal(level, null);
+    assert.equal(errors.length, 1);
+});
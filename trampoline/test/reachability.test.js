@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelFormat } from '../sim/levelFormat.js';
+import { LevelAnalyser } from '../sim/reachability.js';
+import { makeLevel } from './helpers.js';
+
+// A star along the ground and one high above it
+function skyStarLevel(trampolines) {
+    return makeLevel([
+        { type: 'playerStart', x: 100, y: 450, playerIndex: 0 },
+        { type: 'star', x: 400, y: 150 },
+        { type: 'star', x: 600, y: 470 }
+    ], { inventory: { mode: 'shared', trampolines } });
+}
+
+function analyse(data, options) {
+    const analyser = new LevelAnalyser(LevelFormat.parse(data).level, options);
+    analyser.run();
+    return analyser.getReport();
+}
+
+test('a star out of jumping height is reported unreachable', () => {
+    const report = analyse(skyStarLevel([]));
+    assert.equal(report.complete, true);
+    assert.deepEqual(report.unreachable, [2]);
+    assert.ok(report.cells.length > 0);
+});
+
+test('stars are reported where the level places them', () => {
+    const report = analyse(skyStarLevel([]));
+    assert.deepEqual(report.stars.map(star => [star.id, star.x, star.y]), [[2, 400, 150], [3, 600, 470]]);
+});
+
+test('a search stopped before its last place is not reported complete', () => {
+    const full = analyse(skyStarLevel([]));
+    const report = analyse(skyStarLevel([]), { maxPlaces: full.searched - 1 });
+    assert.equal(report.searched, full.searched - 1);
+    assert.equal(report.complete, false);
+});
+
+test('placing a trampoline from the budget reaches it', () => {
+    const report = analyse(skyStarLevel([{ bounceForce: -20, ttl: 1, count: 1 }]));
+    assert.deepEqual(report.unreachable, []);
+    assert.ok(report.arcs.some(arc => arc.kind === 'place'));
+});
+
+test('the analyser leaves the level it was given unchanged', () => {
+    const data = skyStarLevel([{ bounceForce: -20, ttl: 1, count: 1 }]);
+    const { level } = LevelFormat.parse(data);
+    const before = JSON.stringify(level);
+    new LevelAnalyser(level).run();
+    assert.equal(JSON.stringify(level), before);
+});
+
+test('the search keeps its messages out of the console without replacing console.log', t => {
+    const log = t.mock.method(console, 'log');
+    analyse(skyStarLevel([]));
+    assert.equal(log.mock.callCount(), 0);
+    assert.equal(console.log, log);
+});
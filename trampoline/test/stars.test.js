@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RESPAWN_DELAY_MS, INVULNERABLE_MS } from '../sim/constants.js';
+import { makeLevel, startLevel, stepUntil, stepFor } from './helpers.js';
+
+// Start, then two stars and a spike strip along the ground to the right
+function starRunLevel(extra) {
+    return makeLevel([
+        { type: 'playerStart', x: 100, y: 480, playerIndex: 0 },
+        { type: 'star', x: 250, y: 480 },
+        { type: 'death', x: 450, y: 490, width: 40, height: 20 },
+        { type: 'star', x: 650, y: 480 }
+    ], extra);
+}
+
+test('walking through a star collects it', () => {
+    const { simulation, controller, player } = startLevel(starRunLevel());
+    const [first, second] = simulation.platforms.filter(p => p.platformType === 'star');
+
+    controller.press('moveRight');
+    stepUntil(simulation, () => first.collected);
+    assert.deepEqual(player.starsSinceCheckpoint, [first]);
+    assert.equal(second.collected, false);
+    assert.equal(simulation.run.complete, false);
+});
+
+test('collecting every star completes the level and freezes it', () => {
+    const { simulation, controller, player } = startLevel(makeLevel([
+        { type: 'playerStart', x: 100, y: 480, playerIndex: 0 },
+        { type: 'star', x: 250, y: 480 },
+        { type: 'star', x: 400, y: 480 }
+    ]));
+
+    controller.press('moveRight');
+    stepUntil(simulation, () => simulation.run.complete);
+    const ticks = simulation.run.ticks;
+    const x = player.x;
+
+    stepFor(simulation, 10);
+    assert.equal(simulation.run.ticks, ticks);
+    assert.equal(player.x, x);
+});
+
+test('dying puts back the stars collected since the last checkpoint', () => {
+    const { simulation, controller, player } = startLevel(starRunLevel());
+    const [first] = simulation.platforms.filter(p => p.platformType === 'star');
+
+    controller.press('moveRight');
+    stepUntil(simulation, () => player.isDead());
+    controller.release('moveRight');
+    assert.equal(first.collected, false);
+    assert.deepEqual(player.starsSinceCheckpoint, []);
+    assert.equal(simulation.run.deaths, 1);
+
+    // Back at the start after the delay, briefly invulnerable
+    stepUntil(simulation, () => !player.isDead(), RESPAWN_DELAY_MS);
+    assert.equal(player.x, 100);
+    assert.equal(player.y, 480);
+    assert.equal(player.invulnerableMs, INVULNERABLE_MS);
+});
+
+test('levels can keep collected stars when a player dies', () => {
+    const { simulation, controller, player } = startLevel(starRunLevel({ keepStarsOnDeath: true }));
+    const [first] = simulation.platforms.filter(p => p.platformType === 'star');
+
+    controller.press('moveRight');
+    stepUntil(simulation, () => player.isDead());
+    assert.equal(first.collected, true);
+});
+
+test('restarting the level resets the stars and the player', () => {
+    const { simulation, controller, player } = startLevel(starRunLevel({ keepStarsOnDeath: true }));
+    const stars = simulation.platforms.filter(p => p.platformType === 'star');
+
+    controller.press('moveRight');
+    stepUntil(simulation, () => stars[0].collected);
+    controller.release('moveRight');
+
+    controller.press('reset');
+    simulation.fixedUpdate();
+    assert.ok(stars.every(star => !star.collected));
+    assert.equal(player.x, 100);
+    assert.deepEqual(simulation.run, {
+        ticks: 1, deaths: 0, bounces: 0, bestChain: 0, complete: false, resultsTicks: 0
+    });
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeLevel, startLevel, stepUntil, stepFor } from './helpers.js';
+
+function trampoline(x, y, ttl, bounceForce = -12) {
+    return {
+        type: 'trampoline', x, y, bounceForce, ttl,
+        angle: 0, superBounce: 1.5, fallTransfer: 0, chainBoost: 0, enabled: true
+    };
+}
+
+test('landing on a trampoline launches the player with its bounce force', () => {
+    const { simulation, player } = startLevel(makeLevel([
+        { type: 'playerStart', x: 200, y: 300, playerIndex: 0 },
+        trampoline(200, 450, -1)
+    ]));
+    const pad = simulation.platforms.find(p => p.platformType === 'trampoline');
+
+    stepUntil(simulation, () => pad.bounces === 1);
+    assert.equal(player.vy, -12);
+    assert.equal(player.bounceChain, 1);
+    assert.equal(simulation.run.bounces, 1);
+
+    stepUntil(simulation, () => pad.bounces === 2);
+    assert.equal(player.bounceChain, 2);
+    assert.ok(simulation.platforms.includes(pad), 'unlimited trampolines stay');
+});
+
+test('a trampoline stops working and is hidden once its bounces run out', () => {
+    const { simulation, player } = startLevel(makeLevel([
+        { type: 'playerStart', x: 200, y: 300, playerIndex: 0 },
+        trampoline(200, 450, 2)
+    ]));
+    const pad = simulation.platforms.find(p => p.platformType === 'trampoline');
+
+    stepUntil(simulation, () => pad.bounces === 1);
+    assert.equal(pad.ttl, 1);
+    assert.ok(simulation.platforms.includes(pad));
+
+    stepUntil(simulation, () => pad.bounces === 2);
+    assert.equal(pad.ttl, 0);
+    assert.equal(pad.isWorking(), false);
+    assert.equal(pad.visible, false);
+
+    // With the trampoline gone the player falls through to the ground
+    stepUntil(simulation, () => player.onGround);
+    assert.equal(player.y, simulation.getGroundY() - player.height / 2);
+    assert.equal(simulation.run.bounces, 2);
+});
+
+test('trampolines placed while playing are cleared when the run restarts', () => {
+    const { simulation, controller, player } = startLevel(makeLevel([
+        { type: 'playerStart', x: 300, y: 200, playerIndex: 0 }
+    ]));
+
+    // Placed below the falling player
+    controller.press('placeTrampoline');
+    simulation.fixedUpdate();
+    controller.release('placeTrampoline');
+    const placed = simulation.platforms.filter(p => p.placedBy !== null);
+    assert.equal(placed.length, 1);
+    assert.ok(placed[0].y > player.y);
+
+    simulation.resetGame();
+    assert.ok(!simulation.platforms.includes(placed[0]));
+});
+
+test('restarting the level brings back used-up trampolines', () => {
+    const { simulation, player } = startLevel(makeLevel([
+        { type: 'playerStart', x: 200, y: 300, playerIndex: 0 },
+        trampoline(200, 450, 2)
+    ]));
+    const pad = simulation.platforms.find(p => p.platformType === 'trampoline');
+    stepUntil(simulation, () => pad.bounces === 2);
+    stepUntil(simulation, () => player.onGround);
+
+    simulation.resetGame();
+    assert.ok(simulation.platforms.includes(pad));
+    assert.equal(pad.ttl, 2);
+    assert.equal(pad.bounces, 0);
+    assert.equal(pad.isWorking(), true);
+    assert.equal(pad.visible, true);
+
+    // And it bounces the player again
+    stepUntil(simulation, () => pad.bounces === 1);
+    stepFor(simulation, 1);
+    assert.ok(player.vy < 0);
+});
@@ -0,0 +1,109 @@
+// Trampoline Game Prototype
+// Command-line solvability check for exported levels (see sim/reachability.js)
+//
+// Usage: node tools/checkLevels.js [directory] [--max-places N]
+// Checks every .json level and level pack in the directory (the bundled
+// levels/ by default) and lists the stars a player can't reach from the
+// start. JSON files that aren't levels at all (no version, platforms or
+// pack format), such as levels/manifest.json, are skipped. Levels without
+// their own physics are checked with the default values. Exits with 1 if a
+// star can't be reached or a file or level is invalid.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { LevelFormat } from '../sim/levelFormat.js';
+import { LevelAnalyser } from '../sim/reachability.js';
+
+const DEFAULT_DIRECTORY = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'levels');
+
+// Whether parsed JSON looks like it was meant to be a level or level pack
+function looksLikeLevelFile(data) {
+    return !!data && typeof data === 'object' && ('version' in data || 'platforms' in data || 'format' in data);
+}
+
+// Checks one level; returns false if it has a problem
+function checkLevel(data, maxPlaces) {
+    const { level, errors } = LevelFormat.parse(data);
+    const name = data && typeof data.name === 'string' ? data.name : '(unnamed)';
+    if (!level) {
+        console.log(`  ${name}: invalid level: ${errors.join('; ')}`);
+        return false;
+    }
+    // Parts that couldn't be loaded fail the check; the rest is still searched
+    if (errors.length > 0) {
+        console.log(`  ${level.name}: invalid entries: ${errors.join('; ')}`);
+    }
+
+    const analyser = new LevelAnalyser(level, { maxPlaces });
+    analyser.run();
+    const report = analyser.getReport();
+    const reached = report.stars.length - report.unreachable.length;
+    const searched = report.complete ? `${report.searched} places searched` :
+        `search stopped after ${report.searched} places, try a higher --max-places`;
+
+    if (report.unreachable.length === 0) {
+        console.log(`  ${level.name}: all ${report.stars.length} stars reachable (${searched})`);
+        return errors.length === 0;
+    }
+    console.log(`  ${level.name}: ${reached} of ${report.stars.length} stars reachable (${searched})`);
+    report.stars.filter(star => !star.reachable).forEach(star => {
+        console.log(`    star ${star.id} at (${Math.round(star.x)}, ${Math.round(star.y)}) can't be reached`);
+    });
+    return false;
+}
+
+function main(args) {
+    let directory = DEFAULT_DIRECTORY;
+    let maxPlaces;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--max-places') {
+            maxPlaces = Number(args[++i]);
+            if (!(maxPlaces > 0)) {
+                console.error('--max-places needs a positive number');
+                return 2;
+            }
+        } else {
+            directory = args[i];
+        }
+    }
+
+    let files;
+    try {
+        files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        console.error(`Can't read ${directory}: ${error.message}`);
+        return 2;
+    }
+
+    let ok = true;
+    files.forEach(file => {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+            console.log(`${file}: can't be read (${error.message})`);
+            ok = false;
+            return;
+        }
+        if (!looksLikeLevelFile(data)) {
+            console.log(`${file}: skipped (not a level or level pack)`);
+            return;
+        }
+        let levels;
+        try {
+            levels = LevelFormat.unpack(data);
+        } catch (error) {
+            console.log(`${file}: invalid (${error.message})`);
+            ok = false;
+            return;
+        }
+        console.log(file);
+        levels.forEach(data => {
+            ok = checkLevel(data, maxPlaces) && ok;
+        });
+    });
+    return ok ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
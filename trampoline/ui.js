@@ -0,0 +1,55 @@
+// Trampoline Game Prototype
+// Browser helpers shared by the game and its panels
+
+// Modal dialog with a row of buttons, for choices prompt() can't offer
+export const Dialog = {
+    isOpen: false,
+    
+    // Resolves with the key of the clicked choice, or cancelKey on Escape
+    choose(message, choices, cancelKey) {
+        const dialog = document.getElementById('dialog');
+        const messageElement = document.getElementById('dialogMessage');
+        const buttons = document.getElementById('dialogButtons');
+        
+        return new Promise(resolve => {
+            const close = (key) => {
+                Dialog.isOpen = false;
+                dialog.style.display = 'none';
+                window.removeEventListener('keydown', onKeyDown, true);
+                resolve(key);
+            };
+            const onKeyDown = (e) => {
+                if (e.code === 'Escape') {
+                    e.stopPropagation();
+                    close(cancelKey);
+                }
+            };
+            
+            messageElement.textContent = message;
+            buttons.innerHTML = '';
+            choices.forEach(choice => {
+                const button = document.createElement('button');
+                button.textContent = choice.label;
+                button.addEventListener('click', () => close(choice.key));
+                buttons.appendChild(button);
+            });
+            
+            window.addEventListener('keydown', onKeyDown, true);
+            Dialog.isOpen = true;
+            dialog.style.display = 'block';
+        });
+    }
+};
+
+// Offer data to the user as a downloadable JSON file
+export function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
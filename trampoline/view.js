@@ -0,0 +1,480 @@
+// Trampoline Game Prototype
+// Pixi view of the simulation: one sprite per player and level object,
+// drawn from the model's type and fields and moved to match it every frame
+//
+// The models (sim/) know nothing about Pixi. Each one keeps appearance
+// fields the view copies (alpha, tint, rotation, scale, visible) and bumps
+// `version` when it needs drawing again. Anything only the view cares about,
+// like the trampoline squash or the crumbling shake, lives in PLATFORM_VIEWS.
+
+import { PLAYER_COLORS, MAX_PLAYERS, TRAMPOLINE_WIDTH, TRAMPOLINE_HEIGHT, GROUND_HEIGHT } from './sim/constants.js';
+import { Utils } from './sim/utils.js';
+import { DEATH_SPIKE_HEIGHT } from './sim/platforms.js';
+import { PROJECTILE_RADIUS } from './sim/enemies.js';
+
+const MAX_TTL_PIPS = 8; // Bounces-left dots drawn on a trampoline
+const BOUNCE_TINT = 0xFFE66D; // Trampoline flash on a super bounce
+
+export function createPlayerSprite(renderer, color = PLAYER_COLORS[0]) {
+    // Create a simple player sprite (colored rectangle)
+    const graphics = new PIXI.Graphics();
+    graphics.beginFill(color);
+    graphics.drawRect(0, 0, 40, 40);
+    graphics.endFill();
+
+    const sprite = new PIXI.Sprite(renderer.generateTexture(graphics));
+    sprite.anchor.set(0.5);
+    return sprite;
+}
+
+function drawSolid(color) {
+    return platform => {
+        const graphics = new PIXI.Graphics();
+        graphics.beginFill(color);
+        graphics.drawRect(0, 0, platform.platformWidth, platform.platformHeight);
+        graphics.endFill();
+        return graphics;
+    };
+}
+
+// How each type of level object looks, by platformType. `draw` returns the
+// graphics for the object's texture, drawn within (0, 0) and getSize();
+// `create` adds children that aren't part of the texture and `update`
+// animates the sprite every frame.
+const PLATFORM_VIEWS = {
+    solid: { draw: drawSolid(0x8B4513) }, // Brown
+
+    trampoline: {
+        draw(trampoline) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x4ECDC4); // Teal color
+            graphics.drawRoundedRect(0, 0, TRAMPOLINE_WIDTH, TRAMPOLINE_HEIGHT, 10);
+            graphics.endFill();
+
+            // One dot per bounce left, for trampolines that wear out
+            if (trampoline.ttl > 0) {
+                const pips = Math.min(trampoline.ttl, MAX_TTL_PIPS);
+                const spacing = 10;
+                const startX = TRAMPOLINE_WIDTH / 2 - (pips - 1) * spacing / 2;
+                graphics.beginFill(0xFFFFFF);
+                for (let i = 0; i < pips; i++) {
+                    graphics.drawCircle(startX + i * spacing, TRAMPOLINE_HEIGHT / 2, 3);
+                }
+                graphics.endFill();
+            }
+            return graphics;
+        },
+
+        // Squash (and flash, for a super bounce) for a moment after each bounce
+        update(sprite, trampoline, now) {
+            if (sprite.bounces !== trampoline.bounces) {
+                sprite.bounces = trampoline.bounces;
+                sprite.bounceSuper = trampoline.lastBounceWasSuper;
+                sprite.bounceUntil = now + (trampoline.lastBounceWasSuper ? 150 : 100);
+            }
+            if (now < sprite.bounceUntil) {
+                if (sprite.bounceSuper) {
+                    sprite.scale.set(1.4, 0.6);
+                    sprite.tint = BOUNCE_TINT;
+                } else {
+                    sprite.scale.set(1.2, 0.8);
+                }
+            }
+        }
+    },
+
+    star: {
+        draw() {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0xFFD700); // Gold color
+            // Draw a simple 5-pointed star
+            const points = [];
+            for (let i = 0; i < 10; i++) {
+                const angle = (i * Math.PI) / 5;
+                const radius = i % 2 === 0 ? 15 : 8;
+                points.push(Math.cos(angle) * radius + 15, Math.sin(angle) * radius + 15);
+            }
+            graphics.drawPolygon(points);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    checkpoint: {
+        draw() {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x555555);
+            graphics.drawRect(0, 0, 4, 40); // Pole
+            graphics.endFill();
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawPolygon([4, 2, 26, 9, 4, 16]);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    playerStart: {
+        draw(start) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x00FF00); // Green color
+            graphics.drawCircle(12, 12, 12);
+            graphics.endFill();
+            graphics.beginFill(PLAYER_COLORS[start.playerIndex % MAX_PLAYERS]); // Player colored center
+            graphics.drawCircle(12, 12, 8);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    // Spiky red platform
+    death: {
+        draw(platform) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0xFF0000); // Red color
+            graphics.drawRect(0, DEATH_SPIKE_HEIGHT, platform.platformWidth, platform.platformHeight);
+            graphics.endFill();
+
+            // Add spikes on top
+            graphics.beginFill(0xAA0000); // Darker red for spikes
+            for (let i = 0; i < platform.platformWidth; i += 10) {
+                // The last spike is narrowed to end with the platform
+                const end = Math.min(i + 10, platform.platformWidth);
+                graphics.drawPolygon([
+                    i, DEATH_SPIKE_HEIGHT,
+                    (i + end) / 2, 0,
+                    end, DEATH_SPIKE_HEIGHT
+                ]);
+            }
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    moving: {
+        draw(platform) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x6A5ACD); // Slate blue
+            graphics.drawRect(0, 0, platform.platformWidth, platform.platformHeight);
+            graphics.endFill();
+            // Arrows on both ends
+            graphics.beginFill(0xFFFFFF, 0.6);
+            const middle = platform.platformHeight / 2;
+            const size = Math.min(6, middle);
+            graphics.drawPolygon([4, middle, 4 + size, middle - size, 4 + size, middle + size]);
+            const right = platform.platformWidth - 4;
+            graphics.drawPolygon([right, middle, right - size, middle - size, right - size, middle + size]);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    crumbling: {
+        draw(platform) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0xA0522D); // Sienna
+            graphics.drawRect(0, 0, platform.platformWidth, platform.platformHeight);
+            graphics.endFill();
+            // Cracks
+            graphics.lineStyle(1, 0x5C2E0E);
+            for (let x = 15; x < platform.platformWidth - 5; x += 30) {
+                graphics.moveTo(x, 0);
+                graphics.lineTo(x + 5, platform.platformHeight / 2);
+                graphics.lineTo(x - 3, platform.platformHeight);
+            }
+            return graphics;
+        },
+
+        // Shake while about to break; the collision box stays put
+        update(sprite, platform) {
+            sprite.pivot.x = platform.crumbleMs !== null ? Utils.random(-1.5, 1.5) : 0;
+        }
+    },
+
+    oneWay: {
+        draw(platform) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0xDEB887, 0.8); // Burlywood
+            graphics.drawRect(0, 0, platform.platformWidth, platform.platformHeight);
+            graphics.endFill();
+            graphics.beginFill(0x8B4513); // Solid top edge
+            graphics.drawRect(0, 0, platform.platformWidth, Math.min(3, platform.platformHeight));
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    door: {
+        draw(platform) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x708090); // Slate gray
+            graphics.drawRect(0, 0, platform.platformWidth, platform.platformHeight);
+            graphics.endFill();
+            // Bars
+            graphics.lineStyle(2, 0x2F4F4F);
+            for (let x = 5; x < platform.platformWidth; x += 10) {
+                graphics.moveTo(x, 0);
+                graphics.lineTo(x, platform.platformHeight);
+            }
+            return graphics;
+        }
+    },
+
+    spawnPlatform: {
+        draw(platform) {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x3CB371); // Medium sea green
+            graphics.drawRect(0, 0, platform.platformWidth, platform.platformHeight);
+            graphics.endFill();
+            graphics.lineStyle(2, 0xFFFFFF, 0.6);
+            graphics.drawRect(1, 1, platform.platformWidth - 2, platform.platformHeight - 2);
+            return graphics;
+        }
+    },
+
+    pressurePlate: { draw: drawSolid(0xFFFFFF) }, // Tinted while pressed
+
+    hitSwitch: {
+        draw() {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x333333);
+            graphics.drawRoundedRect(0, 0, 24, 24, 4);
+            graphics.endFill();
+            graphics.beginFill(0xFFFFFF); // Tinted while on
+            graphics.drawCircle(12, 12, 7);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    starGate: {
+        draw(gate) {
+            const container = new PIXI.Container();
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x222222);
+            graphics.drawRoundedRect(0, 0, 36, 24, 4);
+            graphics.endFill();
+            container.addChild(graphics);
+            const label = new PIXI.Text(`★${gate.stars}`, {
+                fontSize: 14,
+                fill: 0xFFFFFF,
+                fontFamily: 'Arial'
+            });
+            label.anchor.set(0.5);
+            label.x = 18;
+            label.y = 12;
+            container.addChild(label);
+            return container;
+        }
+    },
+
+    walker: {
+        draw() {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x9932CC); // Dark orchid
+            graphics.drawRoundedRect(0, 0, 32, 28, 8);
+            graphics.endFill();
+            graphics.beginFill(0xFFFFFF);
+            graphics.drawCircle(10, 10, 4);
+            graphics.drawCircle(22, 10, 4);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    bouncer: {
+        draw() {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0xFF8C00); // Dark orange
+            graphics.drawCircle(14, 14, 14);
+            graphics.endFill();
+            graphics.beginFill(0x000000);
+            graphics.drawCircle(9, 11, 3);
+            graphics.drawCircle(19, 11, 3);
+            graphics.endFill();
+            return graphics;
+        }
+    },
+
+    emitter: {
+        draw() {
+            const graphics = new PIXI.Graphics();
+            graphics.beginFill(0x444444);
+            graphics.drawRect(0, 0, 30, 30);
+            graphics.endFill();
+            graphics.beginFill(0xFF4500);
+            graphics.drawCircle(15, 15, 5);
+            graphics.endFill();
+            return graphics;
+        },
+
+        // Drawn apart from the texture so it doesn't change the collision box
+        create(sprite) {
+            sprite.barrel = new PIXI.Graphics();
+            sprite.barrel.beginFill(0x222222);
+            sprite.barrel.drawRect(0, -5, 22, 10);
+            sprite.barrel.endFill();
+            sprite.addChild(sprite.barrel);
+            sprite.shots = [];
+        },
+
+        // Projectiles are children of the turret, so they go when it is removed
+        update(sprite, emitter, now, alpha) {
+            sprite.barrel.rotation = emitter.angle * Math.PI / 180;
+            while (sprite.shots.length < emitter.projectiles.length) {
+                const shot = new PIXI.Graphics();
+                shot.beginFill(0xFF4500);
+                shot.drawCircle(0, 0, PROJECTILE_RADIUS);
+                shot.endFill();
+                sprite.addChild(shot);
+                sprite.shots.push(shot);
+            }
+            while (sprite.shots.length > emitter.projectiles.length) {
+                sprite.shots.pop().destroy();
+            }
+            emitter.projectiles.forEach((projectile, index) => {
+                sprite.shots[index].x = Utils.lerp(projectile.previousX, projectile.x, alpha) - emitter.x;
+                sprite.shots[index].y = Utils.lerp(projectile.previousY, projectile.y, alpha) - emitter.y;
+            });
+        }
+    }
+};
+
+export class WorldView {
+    constructor(game, renderer) {
+        this.game = game;
+        this.renderer = renderer;
+        this.world = new PIXI.Container(); // Everything that scrolls with the camera
+        this.ground = null;
+        this.platformLayer = new PIXI.Container();
+        this.playerLayer = new PIXI.Container();
+        this.world.addChild(this.platformLayer, this.playerLayer);
+        this.sprites = new Map(); // Model -> sprite
+    }
+
+    // Redraws the ground along the bottom of the world
+    setWorldBounds(bounds) {
+        if (this.ground) {
+            this.world.removeChild(this.ground);
+            this.ground.destroy(true);
+        }
+
+        const graphics = new PIXI.Graphics();
+        graphics.beginFill(0x45B7D1); // Blue ground
+        graphics.drawRect(0, 0, bounds.width, GROUND_HEIGHT);
+        graphics.endFill();
+
+        this.ground = new PIXI.Sprite(this.renderer.generateTexture(graphics));
+        this.ground.y = bounds.height - GROUND_HEIGHT;
+
+        // Keep the ground behind players and platforms
+        this.world.addChildAt(this.ground, 0);
+    }
+
+    // Sprite for a level object that isn't part of the level, e.g. the
+    // editor's placement preview. It is drawn once, where the object is.
+    createObjectSprite(platform) {
+        const sprite = new PIXI.Sprite(PIXI.Texture.WHITE);
+        sprite.anchor.set(0.5);
+        const view = PLATFORM_VIEWS[platform.platformType];
+        if (view && view.create) {
+            view.create(sprite);
+        }
+        this.drawObject(sprite, platform);
+        this.updateObjectSprite(sprite, platform, performance.now(), 1);
+        return sprite;
+    }
+
+    drawObject(sprite, platform) {
+        const oldTexture = sprite.texture;
+        const view = PLATFORM_VIEWS[platform.platformType];
+        if (view) {
+            const { width, height } = platform.getSize();
+            const graphics = view.draw(platform);
+            sprite.texture = this.renderer.generateTexture({
+                target: graphics,
+                frame: new PIXI.Rectangle(0, 0, width, height)
+            });
+            graphics.destroy({ children: true });
+        }
+        if (oldTexture !== sprite.texture && oldTexture !== PIXI.Texture.WHITE) {
+            oldTexture.destroy(true);
+        }
+        sprite.version = platform.version;
+    }
+
+    updateObjectSprite(sprite, platform, now, alpha) {
+        if (sprite.version !== platform.version) {
+            this.drawObject(sprite, platform);
+        }
+        this.copyAppearance(sprite, platform);
+        const view = PLATFORM_VIEWS[platform.platformType];
+        if (view && view.update) {
+            view.update(sprite, platform, now, alpha);
+        }
+    }
+
+    copyAppearance(sprite, model) {
+        sprite.x = model.x;
+        sprite.y = model.y;
+        sprite.alpha = model.alpha;
+        sprite.tint = model.tint ?? 0xFFFFFF;
+        sprite.rotation = model.rotation;
+        sprite.scale.set(model.scale.x, model.scale.y);
+        sprite.visible = model.visible ?? true;
+    }
+
+    // Shows a model between its last two simulated positions
+    interpolate(sprite, model, alpha) {
+        if (!model.previousState) return;
+        sprite.x = Utils.lerp(model.previousState.x, model.x, alpha);
+        sprite.y = Utils.lerp(model.previousState.y, model.y, alpha);
+    }
+
+    // Brings the sprites in line with the simulation, `alpha` of the way
+    // from the last step to the next
+    render(alpha) {
+        const now = performance.now();
+        // Objects being edited are shown exactly where they are
+        const isEditing = this.game.isEditing();
+        this.syncLayer(this.platformLayer, this.game.platforms, platform => this.createObjectSprite(platform),
+            (sprite, platform) => {
+                this.updateObjectSprite(sprite, platform, now, isEditing ? 1 : alpha);
+                if (!isEditing) {
+                    this.interpolate(sprite, platform, alpha);
+                }
+            });
+        this.syncLayer(this.playerLayer, this.game.players,
+            player => createPlayerSprite(this.renderer, PLAYER_COLORS[player.playerIndex]),
+            (sprite, player) => {
+                this.copyAppearance(sprite, player);
+                this.interpolate(sprite, player, alpha);
+            });
+    }
+
+    // Gives every model a sprite in the layer, in the models' order, and
+    // drops the sprites of models that are gone
+    syncLayer(layer, models, create, update) {
+        models.forEach((model, index) => {
+            let sprite = this.sprites.get(model);
+            if (!sprite) {
+                sprite = create(model);
+                this.sprites.set(model, sprite);
+            }
+            if (sprite.parent !== layer) {
+                layer.addChildAt(sprite, index);
+            } else if (layer.getChildIndex(sprite) !== index) {
+                layer.setChildIndex(sprite, index);
+            }
+            update(sprite, model);
+        });
+        if (layer.children.length > models.length) {
+            const current = new Set(models);
+            this.sprites.forEach((sprite, model) => {
+                if (sprite.parent === layer && !current.has(model)) {
+                    this.sprites.delete(model);
+                    sprite.destroy({ children: true, texture: true, textureSource: true });
+                }
+            });
+        }
+    }
+}